@@ -0,0 +1,191 @@
+// Audio-reactive input from the microphone or an audio file.
+// An AnalyserNode provides the spectrum each frame, which is reduced to an
+// overall level, a set of band energies and an onset (transient) detector.
+// All features are normalized to roughly 0-1 so they can drive parameters
+// the same way CC values do.
+
+// Features that can be routed to parameters
+export const AUDIO_FEATURES = [
+  { id: 'level', name: 'Level' },
+  { id: 'sub', name: 'Sub (20-60 Hz)', low: 20, high: 60 },
+  { id: 'bass', name: 'Bass (60-250 Hz)', low: 60, high: 250 },
+  { id: 'lowMid', name: 'Low mid (250-500 Hz)', low: 250, high: 500 },
+  { id: 'mid', name: 'Mid (500-2k Hz)', low: 500, high: 2000 },
+  { id: 'highMid', name: 'High mid (2k-4k Hz)', low: 2000, high: 4000 },
+  { id: 'treble', name: 'Treble (4k-16k Hz)', low: 4000, high: 16000 },
+  { id: 'onset', name: 'Onset' }
+];
+
+const FFT_SIZE = 2048;
+const ONSET_HISTORY = 43; // About 0.7 s of spectral flux at 60 fps
+const ONSET_SENSITIVITY = 1.5; // Flux must exceed the recent average by this factor
+const ONSET_MIN_INTERVAL = 100; // ms between onsets
+
+// Create the audio input. Nothing is started until a source is chosen.
+export function createAudioInput() {
+  let context = null;
+  let analyser = null;
+  let sourceNode = null;
+  let mediaStream = null;
+  let audioElement = null;
+  let sourceLabel = null;
+
+  let spectrum = null;
+  let previousSpectrum = null;
+  let waveform = null;
+  const fluxHistory = [];
+  let lastOnsetTime = -Infinity;
+
+  // Create the audio context on first use (browsers require a user gesture)
+  async function ensureContext() {
+    if (!context) {
+      context = new (window.AudioContext || window.webkitAudioContext)();
+      analyser = context.createAnalyser();
+      analyser.fftSize = FFT_SIZE;
+      analyser.smoothingTimeConstant = 0.5;
+      spectrum = new Uint8Array(analyser.frequencyBinCount);
+      previousSpectrum = new Uint8Array(analyser.frequencyBinCount);
+      waveform = new Float32Array(analyser.fftSize);
+    }
+    if (context.state === 'suspended') {
+      await context.resume();
+    }
+  }
+
+  // Disconnect the current source and release the microphone or file
+  function stop() {
+    if (sourceNode) {
+      sourceNode.disconnect();
+      sourceNode = null;
+    }
+    if (mediaStream) {
+      mediaStream.getTracks().forEach(track => track.stop());
+      mediaStream = null;
+    }
+    if (audioElement) {
+      audioElement.pause();
+      URL.revokeObjectURL(audioElement.src);
+      audioElement = null;
+    }
+    sourceLabel = null;
+    fluxHistory.length = 0;
+  }
+
+  // Mean energy (0-1) of the spectrum bins between two frequencies
+  function bandEnergy(low, high) {
+    const binWidth = context.sampleRate / analyser.fftSize;
+    const start = Math.max(1, Math.floor(low / binWidth));
+    const end = Math.min(spectrum.length - 1, Math.ceil(high / binWidth));
+
+    let sum = 0;
+    for (let i = start; i <= end; i++) {
+      sum += spectrum[i];
+    }
+    return sum / ((end - start + 1) * 255);
+  }
+
+  // Spectral flux onset detection against an adaptive threshold
+  function detectOnset(time) {
+    let flux = 0;
+    for (let i = 0; i < spectrum.length; i++) {
+      const rise = spectrum[i] - previousSpectrum[i];
+      if (rise > 0) flux += rise;
+    }
+    flux /= spectrum.length;
+    previousSpectrum.set(spectrum);
+
+    const average = fluxHistory.length > 0
+      ? fluxHistory.reduce((sum, value) => sum + value, 0) / fluxHistory.length
+      : Infinity;
+    fluxHistory.push(flux);
+    if (fluxHistory.length > ONSET_HISTORY) {
+      fluxHistory.shift();
+    }
+
+    if (flux > average * ONSET_SENSITIVITY && flux > 1 && time - lastOnsetTime > ONSET_MIN_INTERVAL) {
+      lastOnsetTime = time;
+      return 1;
+    }
+    return 0;
+  }
+
+  return {
+    // Listen to the microphone (not routed to the speakers to avoid feedback)
+    async useMicrophone() {
+      await ensureContext();
+      stop();
+
+      mediaStream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+      });
+      sourceNode = context.createMediaStreamSource(mediaStream);
+      sourceNode.connect(analyser);
+      sourceLabel = 'Microphone';
+    },
+
+    // Play an audio file in a loop and analyse it (also audible, for rehearsal)
+    async useFile(file) {
+      await ensureContext();
+      stop();
+
+      audioElement = new Audio(URL.createObjectURL(file));
+      audioElement.loop = true;
+      sourceNode = context.createMediaElementSource(audioElement);
+      sourceNode.connect(analyser);
+      sourceNode.connect(context.destination);
+      sourceLabel = file.name;
+      await audioElement.play();
+    },
+
+    // Pause or resume file playback (no effect on the microphone)
+    togglePlayback() {
+      if (!audioElement) return;
+      if (audioElement.paused) {
+        audioElement.play();
+      } else {
+        audioElement.pause();
+      }
+    },
+
+    stop: stop,
+
+    // Name of the active source, or null when stopped
+    getSourceLabel() {
+      return sourceLabel;
+    },
+
+    // Analyse the current audio. Returns feature values keyed by id, or null when stopped.
+    analyze(time) {
+      if (!sourceNode) return null;
+
+      analyser.getByteFrequencyData(spectrum);
+      analyser.getFloatTimeDomainData(waveform);
+
+      let sumSquares = 0;
+      for (let i = 0; i < waveform.length; i++) {
+        sumSquares += waveform[i] * waveform[i];
+      }
+
+      const features = {
+        // RMS of a full-scale sine is ~0.7, so scale typical program material into 0-1
+        level: Math.min(1, Math.sqrt(sumSquares / waveform.length) * 3),
+        onset: detectOnset(time)
+      };
+
+      AUDIO_FEATURES.forEach(feature => {
+        if (feature.low !== undefined) {
+          features[feature.id] = bandEnergy(feature.low, feature.high);
+        }
+      });
+
+      return features;
+    }
+  };
+}
+
+// Move a value toward a target with separate attack (rising) and release (falling) times in ms
+export function followEnvelope(current, target, attackMs, releaseMs, dtMs) {
+  const time = target > current ? attackMs : releaseMs;
+  if (time <= 0) return target;
+  return current + (target - current) * (1 - Math.exp(-dtMs / time));
+}
@@ -0,0 +1,106 @@
+// Parameter automation: record timestamped parameter changes from any source
+// (MIDI, sliders, keys, audio) and play them back, optionally looping like an
+// automation lane. A take is { events: [{ time, param, value }], duration }
+// with times in ms from the start of the take and values 0-1.
+
+// Create an automation recorder/player. Times are DOMHighResTimeStamps in ms.
+export function createAutomation() {
+  let mode = 'idle'; // 'idle', 'recording' or 'playing'
+  let take = null;
+  let loop = true;
+  let startTime = 0;
+  let cursor = 0; // Index of the next event to play
+  const lastValues = new Map(); // Last recorded value per parameter, to skip repeats
+
+  return {
+    getMode() {
+      return mode;
+    },
+
+    getTake() {
+      return take;
+    },
+
+    // Replace the current take (e.g. one imported from a MIDI file)
+    setTake(newTake) {
+      mode = 'idle';
+      take = newTake;
+    },
+
+    getLoop() {
+      return loop;
+    },
+
+    setLoop(enabled) {
+      loop = enabled;
+    },
+
+    // Start a new take. The current values are stored at time 0 so playback starts from the same state.
+    startRecording(now, initialValues) {
+      mode = 'recording';
+      startTime = now;
+      lastValues.clear();
+      take = { events: [], duration: 0 };
+
+      initialValues.forEach((value, param) => {
+        take.events.push({ time: 0, param, value });
+        lastValues.set(param, value);
+      });
+    },
+
+    // Record a parameter change (ignored unless recording)
+    record(param, value, now) {
+      if (mode !== 'recording' || lastValues.get(param) === value) return;
+
+      take.events.push({ time: now - startTime, param, value });
+      lastValues.set(param, value);
+    },
+
+    // Stop recording or playback. A finished recording keeps its length for looping.
+    stop(now) {
+      if (mode === 'recording') {
+        take.duration = now - startTime;
+      }
+      mode = 'idle';
+    },
+
+    // Play the current take from the start. Returns false when there is nothing to play.
+    startPlayback(now) {
+      if (!take || take.events.length === 0) return false;
+
+      mode = 'playing';
+      startTime = now;
+      cursor = 0;
+      return true;
+    },
+
+    // Apply events that are due, calling apply(param, value) for each
+    update(now, apply) {
+      if (mode !== 'playing') return;
+
+      let elapsed = now - startTime;
+      if (elapsed >= take.duration) {
+        // Finish the pass before wrapping or stopping
+        while (cursor < take.events.length) {
+          const event = take.events[cursor++];
+          apply(event.param, event.value);
+        }
+
+        if (!loop || take.duration <= 0) {
+          mode = 'idle';
+          return;
+        }
+
+        const passes = Math.floor(elapsed / take.duration);
+        startTime += passes * take.duration;
+        elapsed -= passes * take.duration;
+        cursor = 0;
+      }
+
+      while (cursor < take.events.length && take.events[cursor].time <= elapsed) {
+        const event = take.events[cursor++];
+        apply(event.param, event.value);
+      }
+    }
+  };
+}
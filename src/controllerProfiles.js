@@ -0,0 +1,71 @@
+// Controller profiles: CC mapping sets stored under a MIDI input name.
+// A profile is applied automatically when its device is detected. Built-in
+// templates cover common controllers and can be cloned into a device profile.
+
+import { loadStored, saveStored } from './storage.js';
+
+const STORAGE_KEY = 'midi-visuals-profiles';
+
+// Templates that ship with the app. `match` is compared (case-insensitive)
+// against input names so a known device gets its template without setup.
+// Mappings follow the parameter order; parameters past the end of a
+// template's mappings keep the CCs they had.
+export const PROFILE_TEMPLATES = [
+  {
+    id: '8mu',
+    name: 'Music Thing 8mu',
+    match: '8mu',
+    mappings: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47]
+  },
+  {
+    id: 'generic-16',
+    name: 'Generic 16 CC (CC 20-35)',
+    match: null,
+    mappings: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35]
+  },
+  {
+    id: 'faders-knobs',
+    name: 'Generic 8 faders + 8 knobs (CC 0-7, 16-23)',
+    match: 'nanokontrol',
+    mappings: [0, 1, 2, 3, 4, 5, 6, 7, 16, 17, 18, 19, 20, 21, 22, 23]
+  }
+];
+
+// Load device profiles from localStorage, keyed by MIDI input name
+export function loadProfiles() {
+  const profiles = loadStored(STORAGE_KEY, {});
+  return profiles && typeof profiles === 'object' ? profiles : {};
+}
+
+// Persist device profiles to localStorage
+export function saveProfiles(profiles) {
+  saveStored(STORAGE_KEY, profiles);
+}
+
+// Find the profile for an input: a stored device profile first, then a matching template
+export function findProfileForInput(profiles, inputName) {
+  if (profiles[inputName]) {
+    return profiles[inputName];
+  }
+
+  const lowerName = inputName.toLowerCase();
+  return PROFILE_TEMPLATES.find(template =>
+    template.match && lowerName.includes(template.match)
+  ) || null;
+}
+
+// Copy a profile or template under a new name so it can be edited independently
+export function cloneProfile(source, name) {
+  const profile = {
+    name: name,
+    basedOn: source.name,
+    mappings: source.mappings.slice()
+  };
+
+  // Resolution per parameter ('7bit', '14bit' or 'nrpn'); templates are plain 7-bit
+  if (Array.isArray(source.modes)) {
+    profile.modes = source.modes.slice();
+  }
+
+  return profile;
+}
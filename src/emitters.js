@@ -0,0 +1,89 @@
+// Particle emitters and lifecycle settings.
+// An emitter places each new particle and gives it a direction to fly off in.
+// Emitted particles live for the Lifespan parameter, and can die early after
+// a number of terrain hits or when they leave a region around the centre.
+// They fade in and out in size and alpha.
+
+export const EMITTER_TYPES = [
+  {
+    id: 'point',
+    name: 'Point',
+    // A small cloud around the emitter position, flying off in every direction
+    sample(emitter, random) {
+      return {
+        position: {
+          x: emitter.x + (random() - 0.5) * 10,
+          y: emitter.y + (random() - 0.5) * 10,
+          z: emitter.z + (random() - 0.5) * 10
+        },
+        direction: randomUnitVector(random)
+      };
+    }
+  },
+  {
+    id: 'terrain',
+    name: 'Terrain surface',
+    // Anywhere on the terrain within the radius (a square) of the emitter, rising from the surface
+    sample(emitter, random, surfaceHeight) {
+      const x = emitter.x + (random() * 2 - 1) * emitter.radius;
+      const z = emitter.z + (random() * 2 - 1) * emitter.radius;
+      const spread = 0.3;
+      const direction = normalize({
+        x: (random() * 2 - 1) * spread,
+        y: 1,
+        z: (random() * 2 - 1) * spread
+      });
+      return { position: { x, y: surfaceHeight(x, z) + 2, z }, direction };
+    }
+  },
+  {
+    id: 'ring',
+    name: 'Ring',
+    // On a horizontal circle around the emitter position, flying outward
+    sample(emitter, random) {
+      const angle = random() * Math.PI * 2;
+      const outward = { x: Math.cos(angle), y: 0, z: Math.sin(angle) };
+      return {
+        position: {
+          x: emitter.x + outward.x * emitter.radius,
+          y: emitter.y,
+          z: emitter.z + outward.z * emitter.radius
+        },
+        direction: outward
+      };
+    }
+  }
+];
+
+function normalize(v) {
+  const length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+  return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
+
+// Same method as p5.Vector.random3D
+function randomUnitVector(random) {
+  const angle = random() * Math.PI * 2;
+  const vz = random() * 2 - 1;
+  const radius = Math.sqrt(1 - vz * vz);
+  return { x: radius * Math.cos(angle), y: radius * Math.sin(angle), z: vz };
+}
+
+export function getEmitterType(id) {
+  return EMITTER_TYPES.find(type => type.id === id) || EMITTER_TYPES[0];
+}
+
+// Default lifecycle settings: one emitter of each type, only the point emitter on.
+// Nothing is emitted until the Emission Rate parameter is raised.
+export function createDefaultLifecycle() {
+  return {
+    emitters: [
+      { type: 'point', enabled: true, x: 0, y: 150, z: 0, radius: 0, speed: 2 },
+      { type: 'terrain', enabled: false, x: 0, y: 0, z: 0, radius: 250, speed: 3 },
+      { type: 'ring', enabled: false, x: 0, y: 100, z: 0, radius: 150, speed: 1 }
+    ],
+    maxTerrainHits: 0, // Emitted particles die after this many terrain hits (0 = never)
+    regionRadius: 0, // Emitted particles die farther than this from the centre (0 = never)
+    fadeTime: 0.5, // Seconds of fading in after birth and out before death
+    maxEmitted: 300 // Emitters pause while this many of their particles are alive
+  };
+}
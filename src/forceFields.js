@@ -0,0 +1,211 @@
+// Placeable force fields.
+// Each field sits at a position and pushes the particles within its falloff
+// radius (0 = everywhere), weakening linearly toward the edge. Strengths are
+// velocity changes per physics step, like the other forces in simulation.js;
+// each type has its own range (see clampStrength). Fields are plain objects, so they
+// travel to the simulation worker with the step parameters:
+// { id, type, enabled, x, y, z, strength, falloff, dx, dy, dz }, where
+// dx, dy, dz is the wind direction, vortex axis or drag plane normal.
+
+const CURL_SCALE = 0.004; // Noise field units per world unit
+const CURL_TIME_SCALE = 0.2; // How fast the flow pattern changes
+const CURL_EPSILON = 1; // World units between the samples of the noise slope
+
+export const FIELD_TYPES = [
+  {
+    id: 'attractor',
+    name: 'Attractor',
+    color: [80, 220, 120],
+    strength: { min: 0, max: 0.5, step: 0.01, value: 0.05 },
+    // Pull toward the field position
+    force(field, position) {
+      return scale(normalize(subtract(fieldPosition(field), position)), field.strength);
+    }
+  },
+  {
+    id: 'repeller',
+    name: 'Repeller',
+    color: [230, 80, 80],
+    strength: { min: 0, max: 0.5, step: 0.01, value: 0.05 },
+    // Push away from the field position
+    force(field, position) {
+      return scale(normalize(subtract(position, fieldPosition(field))), field.strength);
+    }
+  },
+  {
+    id: 'wind',
+    name: 'Wind',
+    color: [120, 180, 240],
+    strength: { min: 0, max: 0.5, step: 0.01, value: 0.05 },
+    // A steady push along the direction
+    force(field) {
+      return scale(normalize(fieldDirection(field)), field.strength);
+    }
+  },
+  {
+    id: 'vortex',
+    name: 'Vortex',
+    color: [200, 120, 240],
+    strength: { min: -0.5, max: 0.5, step: 0.01, value: 0.05 }, // Negative swirls the other way
+    // Swirl around the axis through the field position
+    force(field, position) {
+      const offset = subtract(position, fieldPosition(field));
+      return scale(normalize(cross(offset, normalize(fieldDirection(field)))), field.strength);
+    }
+  },
+  {
+    id: 'curl',
+    name: 'Curl noise',
+    color: [240, 200, 80],
+    strength: { min: 0, max: 0.5, step: 0.01, value: 0.05 },
+    // Flow along the curl of a noise field, which swirls without bunching up
+    force(field, position, velocity, noise, time) {
+      return scale(normalize(curlNoise(noise, position, time)), field.strength);
+    }
+  },
+  {
+    id: 'drag',
+    name: 'Drag zone',
+    color: [170, 170, 170],
+    strength: { min: 0, max: 1, step: 0.01, value: 0.1 },
+    // Slow the particles in a slab around the plane through the field position.
+    // The falloff is the slab's half thickness, and the strength the share of
+    // the velocity lost per step (more than 1 would reverse it).
+    force(field, position, velocity) {
+      return scale(velocity, -Math.min(1, Math.max(0, field.strength)));
+    },
+    distance(field, position) {
+      return Math.abs(dot(subtract(position, fieldPosition(field)), normalize(fieldDirection(field))));
+    }
+  }
+];
+
+// Field properties that can be driven by a CC, with their default ranges
+// (a strength route starts with the range of its field's type)
+export const FIELD_CONTROLS = [
+  { key: 'x', name: 'X', min: -500, max: 500 },
+  { key: 'y', name: 'Y', min: -200, max: 400 },
+  { key: 'z', name: 'Z', min: -500, max: 500 },
+  { key: 'strength', name: 'Strength', min: 0, max: 0.5 },
+  { key: 'falloff', name: 'Falloff', min: 0, max: 1000 }
+];
+
+// Default CC range of a property of a field
+export function getControlRange(field, key) {
+  if (key === 'strength') {
+    const { min, max } = getFieldType(field.type).strength;
+    return { min, max };
+  }
+  const { min, max } = FIELD_CONTROLS.find(control => control.key === key);
+  return { min, max };
+}
+
+function vector(x = 0, y = 0, z = 0) {
+  return { x, y, z };
+}
+
+function subtract(a, b) {
+  return vector(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+function scale(v, s) {
+  return vector(v.x * s, v.y * s, v.z * s);
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+  return vector(a.y * b.z - a.z * b.y, a.z * b.x - a.x * b.z, a.x * b.y - a.y * b.x);
+}
+
+// Unit vector, or the zero vector for a zero-length one
+function normalize(v) {
+  const length = Math.sqrt(dot(v, v));
+  return length > 0 ? scale(v, 1 / length) : vector();
+}
+
+function fieldPosition(field) {
+  return vector(field.x, field.y, field.z);
+}
+
+function fieldDirection(field) {
+  return vector(field.dx, field.dy, field.dz);
+}
+
+// Curl of a vector potential made of three offset noise fields
+function curlNoise(noise, position, time) {
+  const t = time * CURL_TIME_SCALE;
+  const potential = (offset, x, y, z) =>
+    noise(x * CURL_SCALE + offset, y * CURL_SCALE + t, z * CURL_SCALE);
+  const slope = (offset, axis) => {
+    const ahead = Object.assign({}, position);
+    const behind = Object.assign({}, position);
+    ahead[axis] += CURL_EPSILON;
+    behind[axis] -= CURL_EPSILON;
+    return (potential(offset, ahead.x, ahead.y, ahead.z) - potential(offset, behind.x, behind.y, behind.z)) /
+      (2 * CURL_EPSILON);
+  };
+
+  // Potential components x, y, z are the noise at offsets 0, 100 and 200
+  return vector(
+    slope(200, 'y') - slope(100, 'z'),
+    slope(0, 'z') - slope(200, 'x'),
+    slope(100, 'x') - slope(0, 'y')
+  );
+}
+
+export function getFieldType(id) {
+  return FIELD_TYPES.find(type => type.id === id) || FIELD_TYPES[0];
+}
+
+// Keep a strength within its type's range
+export function clampStrength(type, strength) {
+  const range = getFieldType(type).strength;
+  return Math.min(range.max, Math.max(range.min, strength));
+}
+
+// A new field of a type at the centre. id tells fields apart for CC routes.
+export function createForceField(type = 'attractor', id = 0) {
+  return {
+    id,
+    type,
+    enabled: true,
+    x: 0,
+    y: 0,
+    z: 0,
+    strength: getFieldType(type).strength.value,
+    falloff: type === 'drag' ? 30 : 300,
+    dx: type === 'vortex' || type === 'drag' ? 0 : 1,
+    dy: type === 'vortex' || type === 'drag' ? 1 : 0,
+    dz: 0
+  };
+}
+
+// How strongly a field acts at a position: 1 at its centre (or plane),
+// falling to 0 at the falloff radius. A falloff of 0 reaches everywhere.
+export function fieldWeight(field, position) {
+  if (!(field.falloff > 0)) return 1;
+  const type = getFieldType(field.type);
+  const offset = subtract(position, fieldPosition(field));
+  const distance = type.distance ? type.distance(field, position) : Math.sqrt(dot(offset, offset));
+  return Math.max(0, 1 - distance / field.falloff);
+}
+
+// Sum of the enabled fields' forces on a particle at a position with a velocity.
+// noise(x, y, z) gives 0-1 values; time is in seconds.
+export function sumFieldForces(fields, position, velocity, noise, time) {
+  const total = vector();
+  for (const field of fields) {
+    if (!field.enabled) continue;
+    const weight = fieldWeight(field, position);
+    if (weight <= 0) continue;
+
+    const force = getFieldType(field.type).force(field, position, velocity, noise, time);
+    total.x += force.x * weight;
+    total.y += force.y * weight;
+    total.z += force.z * weight;
+  }
+  return total;
+}
@@ -0,0 +1,117 @@
+// Decoder for high-resolution MIDI control: 14-bit CC pairs and NRPN.
+//
+// 14-bit CC: controllers 0-31 carry the MSB and 32-63 the matching LSB.
+// A new MSB resets the LSB to 0, as in the MIDI spec, so controllers that
+// only send the MSB still work.
+//
+// NRPN: CC 99/98 select the parameter number, then CC 6/38 carry the data
+// MSB/LSB. CC 101/100 (RPN selection) cancels a pending NRPN.
+
+const MAX_14_BIT = 16383;
+
+// Create a decoder. State is kept per key so each input/channel pair decodes independently.
+export function createHighResDecoder() {
+  const states = new Map();
+
+  function getState(key) {
+    if (!states.has(key)) {
+      states.set(key, {
+        ccMsb: new Array(32).fill(0),
+        nrpnMsb: null,
+        nrpnLsb: null,
+        dataMsb: 0,
+        dataLsb: 0
+      });
+    }
+    return states.get(key);
+  }
+
+  return {
+    // Feed one raw control change. Returns a decoded high-resolution event or null:
+    //   { type: 'nrpn', number, value }  - NRPN parameter number and 0-1 value
+    //   { type: 'cc14', number, value }  - MSB controller number (0-31) and 0-1 value
+    //   { type: 'nrpn-select' }          - part of an NRPN/RPN parameter selection
+    decode(key, controller, rawValue) {
+      const state = getState(key);
+
+      if (controller === 99) {
+        state.nrpnMsb = rawValue;
+        state.nrpnLsb = null;
+        return { type: 'nrpn-select' };
+      }
+
+      if (controller === 98) {
+        state.nrpnLsb = rawValue;
+        return { type: 'nrpn-select' };
+      }
+
+      if (controller === 101 || controller === 100) {
+        state.nrpnMsb = null;
+        state.nrpnLsb = null;
+        return { type: 'nrpn-select' };
+      }
+
+      const nrpnSelected = state.nrpnMsb !== null && state.nrpnLsb !== null;
+      if (nrpnSelected && (controller === 6 || controller === 38)) {
+        if (controller === 6) {
+          state.dataMsb = rawValue;
+          state.dataLsb = 0;
+        } else {
+          state.dataLsb = rawValue;
+        }
+
+        return {
+          type: 'nrpn',
+          number: state.nrpnMsb * 128 + state.nrpnLsb,
+          value: (state.dataMsb * 128 + state.dataLsb) / MAX_14_BIT
+        };
+      }
+
+      if (controller < 32) {
+        state.ccMsb[controller] = rawValue;
+        return { type: 'cc14', number: controller, value: (rawValue * 128) / MAX_14_BIT };
+      }
+
+      if (controller < 64) {
+        const msbController = controller - 32;
+        const msb = state.ccMsb[msbController];
+        return { type: 'cc14', number: msbController, value: (msb * 128 + rawValue) / MAX_14_BIT };
+      }
+
+      return null;
+    }
+  };
+}
+
+// The parameters a control change drives, as a list of { paramIndex, value }.
+// highRes is what the decoder made of it (or null), and ccNumber/ccValue the
+// plain 7-bit control. faderMappings holds the control number of each
+// parameter and controlModes its resolution ('7bit' if unset). Every
+// parameter mapped to the control is driven, so one control can move several.
+export function resolveControls(highRes, ccNumber, ccValue, faderMappings, controlModes) {
+  const driven = [];
+  const drive = (mode, number, value) => {
+    faderMappings.forEach((mapped, paramIndex) => {
+      if (mapped === number && (controlModes[paramIndex] || '7bit') === mode) {
+        driven.push({ paramIndex, value });
+      }
+    });
+  };
+
+  // NRPN selection and data entry messages only drive NRPN parameters
+  if (highRes && highRes.type === 'nrpn-select') return driven;
+  if (highRes && highRes.type === 'nrpn') {
+    drive('nrpn', highRes.number, highRes.value);
+    return driven;
+  }
+
+  // Full-precision value for parameters in 14-bit mode. An LSB (CC 32-63)
+  // in use by a 14-bit pair does not also drive 7-bit parameters.
+  if (highRes && highRes.type === 'cc14') {
+    drive('14bit', highRes.number, highRes.value);
+    if (driven.length > 0 && ccNumber !== highRes.number) return driven;
+  }
+
+  drive('7bit', ccNumber, ccValue);
+  return driven;
+}
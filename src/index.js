@@ -1,18 +1,60 @@
 import p5 from 'p5';
 import { WebMidi } from 'webmidi';
+import { loadStored, saveStored } from './storage.js';
+import { PROFILE_TEMPLATES, loadProfiles, saveProfiles, findProfileForInput, cloneProfile } from './controllerProfiles.js';
+import { createFeedbackSender } from './midiFeedback.js';
+import { createHighResDecoder, resolveControls } from './highResolution.js';
+import { createTempoClock } from './tempo.js';
+import { AUDIO_FEATURES, createAudioInput, followEnvelope } from './audioInput.js';
+import { LFO_SHAPES, DEFAULT_MODULATOR, createModulatorBank } from './modulators.js';
+import { CURVES, createRoute, createDefaultRoutes, evaluateMatrix, applyRoute } from './modulationMatrix.js';
+import { SLEW_LAWS, createDefaultSlew, createSlewState, stepSlew } from './slew.js';
+import { createParticleRenderer } from './particleRenderer.js';
+import { buildTerrainGeometry, updateTerrainGeometry } from './terrainMesh.js';
+import {
+  TERRAIN_GENERATORS,
+  getTerrainGenerator,
+  createDefaultGeneratorParams
+} from './terrainGenerators.js';
+import { createRandom, randomSeed } from './random.js';
+import { createSimulation } from './simulationClient.js';
+import { EMITTER_TYPES, createDefaultLifecycle } from './emitters.js';
+import {
+  FIELD_TYPES,
+  FIELD_CONTROLS,
+  getFieldType,
+  getControlRange,
+  clampStrength,
+  createForceField
+} from './forceFields.js';
+import { createAutomation } from './automation.js';
+import { writeMidiFile, parseMidiFile } from './midiFile.js';
+import { loadPresets, savePresets, upsertPreset, exportPresets, parsePresetFile } from './presets.js';
 
 new p5((p) => {
   // Simulation state
   let simulationState = 'running'; // 'running', 'paused', 'reset'
   let showSettings = false;
   let lastChangedParam = null;
-  let paramChangeTimer = 0;
+  let paramChangeTimer = 0; // Seconds the parameter panels stay up
+  const PARAM_PANEL_TIME = 2; // Seconds a changed parameter is shown
+  const PARAM_PANEL_FADE_TIME = 0.5; // Seconds of fading out at the end
+  
+  // Simulation seed: every random choice and noise value in the world comes from
+  // it, so the same seed and the same input give the same run
+  const SIMULATION_SETTINGS_KEY = 'midi-visuals-simulation';
+  const simulationSettings = Object.assign({ seed: randomSeed() }, loadStored(SIMULATION_SETTINGS_KEY, {}));
   
   // MIDI parameters
   const midiParams = {
-    faderValues: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-    smoothedValues: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], // For smoothed gesture values
-    faderMappings: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47], // Default MIDI CC values
+    faderValues: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    modulatedValues: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], // Fader values plus LFO/envelope modulation
+    smoothedValues: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], // Values after per-parameter slew
+    paramValues: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], // Parameter values after the modulation matrix
+    ccValues: new Array(128).fill(0), // Latest 7-bit value of every CC, for matrix routes from unmapped CCs
+    faderMappings: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51], // Default MIDI CC values
+    mappingSources: [], // Device and channel each mapping was learned from (MIDI Learn)
+    controlModes: [], // Per parameter: '7bit' (default), '14bit' (CC 0-31 + LSB 32-63) or 'nrpn'
     paramNames: [
       'Size', 
       'Speed', 
@@ -27,99 +69,2225 @@ new p5((p) => {
       'Lift Right', // CC 44
       'Lift Left',  // CC 45
       'Rotate Right', // CC 46
-      'Rotate Left'   // CC 47
-    ],
-    smoothingFactor: 0.15 // Controls how quickly gesture values change (0-1)
+      'Rotate Left',  // CC 47
+      'Terrain Speed', // CC 48, living terrain drift
+      'Wave Amplitude', // CC 49, living terrain waves
+      'Emission Rate', // CC 50, particles per second from the emitters
+      'Lifespan' // CC 51, seconds an emitted particle lives
+    ]
+  };
+  
+  // Parameter groups: the camera gestures, and everything else that drives the simulation
+  const GESTURE_PARAMS = [8, 9, 10, 11, 12, 13];
+  const SIMULATION_PARAMS = midiParams.paramNames
+    .map((name, i) => i)
+    .filter(i => !GESTURE_PARAMS.includes(i));
+  
+  // The simulated particles, connections and terrain, in a worker when possible
+  // (see simulationClient.js); created in setup. Draw from simulation.view.
+  let simulation = null;
+  
+  // Camera parameters
+  let cameraParams = {
+    radius: 300, // Positive radius for horizontal flip
+    height: -200, // Higher position to look down
+    autoRotate: true,
+    rotationRate: 0.03, // Auto-rotation in radians per second
+    zRotation: Math.PI, // Rotation around Z axis (tilt front/back) - 180 degrees
+    xRotation: 0, // Rotation around X axis (lift right/left)
+    yRotation: Math.PI * 0.75, // Rotation around Y axis (rotate right/left) - adjusted for horizontal flip
+    mouseControl: false, // Flag to enable/disable mouse control
+    mouseX: 0,
+    mouseY: 0,
+    targetYRotation: Math.PI * 0.75, // Adjusted for horizontal flip
+    autoRotation: 0, // Angle the auto-rotation has turned so far
+    rotationStepTimer: 0, // Seconds a rotate gesture has been held toward its next free-running step
+    pitchBendOffset: 0 // Temporary Y rotation from the pitch bend wheel
+  };
+  
+  // Camera parameters that are stored in presets (mouse state is not part of a look)
+  const presetCameraKeys = [
+    'radius', 'height', 'autoRotate', 'rotationRate',
+    'zRotation', 'xRotation', 'yRotation', 'targetYRotation'
+  ];
+  
+  // Seconds between the 15° steps of a held rotate gesture when not synced (one per frame at 60 fps, as tuned)
+  const ROTATION_STEP_TIME = 1 / 60;
+  
+  // Named presets, recalled from the preset browser or by MIDI Program Change
+  let presets = loadPresets();
+  let activePresetName = null;
+  
+  // MIDI Learn: index of the parameter waiting for a control, or null
+  let midiLearnIndex = null;
+  
+  // Soft takeover: where each hardware control was last seen, and whether it has picked up the live value
+  const TAKEOVER_SETTINGS_KEY = 'midi-visuals-takeover';
+  const PICKUP_THRESHOLD = 0.02; // A control this close to the live value picks it up
+  const softTakeover = Object.assign({ pickup: false }, loadStored(TAKEOVER_SETTINGS_KEY, {}));
+  const hardwareValues = midiParams.paramNames.map(() => null);
+  const pickedUp = midiParams.paramNames.map(() => true);
+  
+  // Force parameters
+  let forceParams = {
+    vortexStrength: 0,
+    gravityStrength: 10
+  };
+  
+  // MIDI device state: connection status and per-input picker/channel settings
+  const INPUT_SETTINGS_KEY = 'midi-visuals-inputs';
+  const midiDevices = {
+    status: 'MIDI: connecting…',
+    statusIsError: false,
+    inputSettings: loadStored(INPUT_SETTINGS_KEY, {}) // Keyed by input name: { enabled, channel }
+  };
+  const attachedInputs = new WeakSet();
+  const highResDecoder = createHighResDecoder();
+  
+  // MIDI feedback: optional output that mirrors fader values on the controller
+  const OUTPUT_SETTINGS_KEY = 'midi-visuals-output';
+  const midiFeedback = Object.assign(
+    { outputName: null, channel: 1 },
+    loadStored(OUTPUT_SETTINGS_KEY, {})
+  );
+  const feedbackSender = createFeedbackSender((ccNumber, rawValue) => {
+    const output = getFeedbackOutput();
+    if (output) {
+      output.sendControlChange(ccNumber, rawValue, { channels: midiFeedback.channel });
+    }
+  });
+  
+  // Note, pitch bend and aftertouch triggers
+  const TRIGGER_SETTINGS_KEY = 'midi-visuals-triggers';
+  const midiTriggers = Object.assign({
+    burstEnabled: true, // Note on spawns a burst of particles
+    burstSize: 12, // Particles spawned at full velocity
+    releaseRemovesBurst: true, // Note off removes the particles its note spawned
+    maxParticles: 600, // Upper limit so held chords can't stall the simulation
+    terrainNote: 36, // Note that regenerates the terrain (-1 = off)
+    pitchBendToCamera: true, // Pitch bend nudges the camera rotation
+    pitchBendDegrees: 30, // Camera nudge at full bend
+    aftertouchParam: 3 // Parameter driven by channel aftertouch (-1 = off), Turbulence by default
+  }, loadStored(TRIGGER_SETTINGS_KEY, {}));
+  midiTriggers.lastNote = null;
+  
+  // Tempo: MIDI clock or tap tempo, and which motions lock to it
+  const TEMPO_SETTINGS_KEY = 'midi-visuals-tempo';
+  const BEATS_PER_BAR = 4;
+  const CAMERA_BARS_PER_REVOLUTION = 32; // Synced auto-rotation turns once every 32 bars
+  const tempoClock = createTempoClock(120);
+  const tempoSync = Object.assign({
+    bezier: 'free', // Bezier travel: 'free', 'beat' or 'bar'
+    cameraRotation: 'free', // Camera auto-rotation
+    rotationSteps: 'free', // 15° rotation steps from the rotate gestures
+    impulses: 'free' // Random impulses
+  }, loadStored(TEMPO_SETTINGS_KEY, {}));
+  let tempoFrame = { bpm: 120, source: 'internal', running: true, beat: 0, beatCrossed: false, barCrossed: false };
+  
+  // Audio-reactive input: features routed onto parameters with their own gain, attack and release
+  const AUDIO_ROUTES_KEY = 'midi-visuals-audio-routes';
+  const audioInput = createAudioInput();
+  const storedAudioRoutes = loadStored(AUDIO_ROUTES_KEY, []);
+  const audioRoutes = midiParams.paramNames.map((name, i) => Object.assign(
+    { feature: 'off', gain: 1, attack: 20, release: 300 }, // Attack and release in ms
+    storedAudioRoutes[i]
+  ));
+  const audioEnvelopes = midiParams.paramNames.map(() => 0);
+  const AUDIO_VALUE_STEP = 1 / 127; // Smaller changes are not passed on, so recording and MIDI out are not flooded
+  
+  // LFO and envelope modulators, summed with the fader values before the model maps them
+  const MODULATOR_SETTINGS_KEY = 'midi-visuals-modulators';
+  const MODULATOR_COUNT = 4;
+  const storedModulators = loadStored(MODULATOR_SETTINGS_KEY, []);
+  const modulatorSettings = Array.from({ length: MODULATOR_COUNT }, (_, i) =>
+    Object.assign({}, DEFAULT_MODULATOR, storedModulators[i])
+  );
+  // Sample & hold draws from its own seeded generator, since the world may be in a worker
+  let modulatorRandom = createRandom(simulationSettings.seed);
+  const modulatorBank = createModulatorBank(modulatorSettings, () => modulatorRandom());
+  const heldNotes = new Set(); // Notes holding the envelope gate open
+  
+  // Per-parameter slew: rise/fall times and smoothing law
+  const SLEW_SETTINGS_KEY = 'midi-visuals-slew';
+  const storedSlew = loadStored(SLEW_SETTINGS_KEY, []);
+  const slewSettings = midiParams.paramNames.map((name, i) =>
+    Object.assign(createDefaultSlew(i), storedSlew[i])
+  );
+  const slewStates = midiParams.paramNames.map(() => createSlewState());
+  
+  // Modulation matrix: routes from faders or raw CCs into parameters, each with its own range and curve
+  const MATRIX_SETTINGS_KEY = 'midi-visuals-matrix';
+  const storedRoutes = loadStored(MATRIX_SETTINGS_KEY, null);
+  let matrixRoutes = Array.isArray(storedRoutes) ? storedRoutes : createDefaultRoutes();
+  
+  // Rendering: batched shader particles (or the classic per-particle path, for comparison)
+  const RENDER_SETTINGS_KEY = 'midi-visuals-render';
+  const renderSettings = Object.assign({
+    particleRenderer: 'batched', // 'batched' or 'classic'
+    particleLod: true, // Coarser spheres when they are small on screen (batched renderer only)
+    terrainResolution: 30, // Grid points along each side of the terrain
+    terrainWireframe: true // Thin dark lines along the terrain triangles
+  }, loadStored(RENDER_SETTINGS_KEY, {}));
+  let particleRenderer = null; // Created in setup once the WebGL canvas exists
+  
+  // Retained terrain geometry, the grid it was built from and the terrain version it shows.
+  // Rebuilt when the world replaces the grid, updated when the grid moves.
+  let terrainMesh = null;
+  let terrainMeshSource = null;
+  let terrainMeshVersion = -1;
+  
+  // Terrain animation: morphing into new shapes, and the optional living terrain
+  const TERRAIN_SETTINGS_KEY = 'midi-visuals-terrain';
+  const terrainSettings = Object.assign({
+    morphTime: 1500, // ms to morph into a new shape (0 = snap)
+    living: false, // Drift a layer of noise waves across the terrain
+    generator: 'fbm', // Id of the terrain generator (see terrainGenerators.js)
+    seed: simulationSettings.seed,
+    generatorParams: createDefaultGeneratorParams() // Parameters of every generator, by id
+  }, loadStored(TERRAIN_SETTINGS_KEY, {}));
+  
+  // Grayscale heightmap for the heightmap generator: { width, height, data } with 0-255 values
+  const HEIGHTMAP_KEY = 'midi-visuals-heightmap';
+  const HEIGHTMAP_MAX_SIZE = 200; // Images are scaled down to at most this many pixels per side
+  let terrainHeightmap = loadStored(HEIGHTMAP_KEY, null);
+  
+  // Particle lifecycle: the emitters and when their particles die
+  const LIFECYCLE_SETTINGS_KEY = 'midi-visuals-lifecycle';
+  const storedLifecycle = loadStored(LIFECYCLE_SETTINGS_KEY, {});
+  const lifecycleSettings = Object.assign(createDefaultLifecycle(), storedLifecycle, {
+    emitters: createDefaultLifecycle().emitters.map((emitter, i) =>
+      Object.assign(emitter, (storedLifecycle.emitters || [])[i])
+    )
+  });
+  
+  // Placed force fields, the CC routes into their properties, and whether to draw their gizmos
+  const FORCE_FIELD_SETTINGS_KEY = 'midi-visuals-force-fields';
+  const storedForceFields = loadStored(FORCE_FIELD_SETTINGS_KEY, {});
+  const forceFieldSettings = {
+    fields: (storedForceFields.fields || []).map(field =>
+      Object.assign(createForceField(field.type, field.id), field)
+    ),
+    routes: storedForceFields.routes || [], // Matrix routes from a raw CC, with target the field id and key the property
+    showGizmos: storedForceFields.showGizmos || false
   };
+  let liveForceFields = []; // The fields with their CC routes applied, as last sent to the simulation
+  
+  // Parameter automation: recorded or imported takes that play back like a fader lane
+  const AUTOMATION_MIDI_CHANNEL = 1; // Channel used when exporting takes as MIDI files
+  const automation = createAutomation();
+  
+  // Controller profiles keyed by MIDI input name, and the one currently applied
+  let controllerProfiles = loadProfiles();
+  let activeProfile = null; // { inputName, name }
+  
+  // Initialize WebMidi
+  async function initMidi() {
+    try {
+      await WebMidi.enable();
+      console.log("WebMidi enabled!");
+    } catch (err) {
+      console.error("WebMidi could not be enabled:", err);
+      
+      // Tell the performer why the controller is silent
+      if (!navigator.requestMIDIAccess) {
+        setMidiStatus('MIDI not supported in this browser', true);
+      } else if (err.name === 'SecurityError' || err.name === 'NotAllowedError') {
+        setMidiStatus('MIDI permission denied', true);
+      } else {
+        setMidiStatus('MIDI unavailable', true);
+      }
+      
+      // Show slider controls if WebMidi fails
+      setSliderPanelVisible(true);
+      return;
+    }
+    
+    // Attach to the inputs that are already present and load their profiles
+    WebMidi.inputs.forEach(input => {
+      attachInput(input);
+      applyProfileForInput(input);
+    });
+    
+    // Follow devices that are plugged in or unplugged while running
+    WebMidi.addListener("connected", e => {
+      if (e.port.type === 'input') {
+        console.log(`Input connected: ${e.port.name}`);
+        attachInput(e.port);
+        applyProfileForInput(e.port);
+        onMidiInputsChanged();
+      } else if (e.port.type === 'output') {
+        renderFeedbackOutputPicker();
+        
+        // A reconnected feedback output has lost its state, so resend everything
+        if (e.port.name === midiFeedback.outputName) {
+          feedbackSender.reset();
+          sendAllParamFeedback();
+        }
+      }
+    });
+    
+    WebMidi.addListener("disconnected", e => {
+      if (e.port.type === 'input') {
+        console.log(`Input disconnected: ${e.port.name}`);
+        onMidiInputsChanged();
+      } else if (e.port.type === 'output') {
+        renderFeedbackOutputPicker();
+      }
+    });
+    
+    onMidiInputsChanged();
+    renderFeedbackOutputPicker();
+    sendAllParamFeedback();
+  }
+  
+  // Add our listeners to an input (reconnected inputs may be reused by WebMidi, so only once)
+  function attachInput(input) {
+    if (attachedInputs.has(input)) return;
+    attachedInputs.add(input);
+    
+    console.log(`Input: ${input.name}`);
+    
+    // Listen for control change messages on all channels (filtered per input below)
+    input.addListener("controlchange", e => {
+      if (!acceptsMidiEvent(e)) return;
+      
+      const ccNumber = e.controller.number;
+      const ccValue = e.value; // Normalized value between 0 and 1
+      midiParams.ccValues[ccNumber] = ccValue;
+      
+      // Decode 14-bit CC pairs and NRPN sequences for parameters that opt in
+      const highRes = highResDecoder.decode(`${e.port.id}:${e.message.channel}`, ccNumber, e.rawValue);
+      
+      // A pending MIDI Learn takes the first control that moves (NRPN waits for its data entry)
+      if (midiLearnIndex !== null) {
+        if (!highRes || highRes.type !== 'nrpn-select') {
+          completeMidiLearn(midiLearnIndex, e, highRes);
+        }
+        return;
+      }
+      
+      resolveMappedControls(highRes, ccNumber, ccValue).forEach(control => {
+        applyMidiValue(control.paramIndex, control.value, e);
+      });
+    });
+    
+    // Program Change recalls the preset with the matching PC number
+    input.addListener("programchange", e => {
+      if (!acceptsMidiEvent(e)) return;
+      recallPresetByProgram(e.value);
+    });
+    
+    // MIDI clock and transport drive the tempo (system messages, so no channel filter)
+    input.addListener("clock", e => {
+      if (getInputSettings(input.name).enabled) tempoClock.clockPulse(e.timestamp);
+    });
+    
+    input.addListener("start", e => {
+      if (getInputSettings(input.name).enabled) tempoClock.start(e.timestamp);
+    });
+    
+    input.addListener("stop", () => {
+      if (getInputSettings(input.name).enabled) tempoClock.stop();
+    });
+    
+    input.addListener("continue", e => {
+      if (getInputSettings(input.name).enabled) tempoClock.resume(e.timestamp);
+    });
+    
+    // Notes, pitch bend and aftertouch play the simulation
+    input.addListener("noteon", e => {
+      if (acceptsMidiEvent(e)) handleNoteOn(e);
+    });
+    
+    input.addListener("noteoff", e => {
+      if (acceptsMidiEvent(e)) handleNoteOff(e);
+    });
+    
+    input.addListener("pitchbend", e => {
+      if (acceptsMidiEvent(e)) handlePitchBend(e);
+    });
+    
+    input.addListener("channelaftertouch", e => {
+      if (acceptsMidiEvent(e)) handleChannelAftertouch(e);
+    });
+  }
+  
+  // The parameters a decoded control change drives: a list of { paramIndex, value }.
+  // Shared by live input and imported MIDI files.
+  function resolveMappedControls(highRes, ccNumber, ccValue) {
+    return resolveControls(highRes, ccNumber, ccValue, midiParams.faderMappings, midiParams.controlModes);
+  }
+  
+  // Resolution a parameter listens with: '7bit', '14bit' (CC pair) or 'nrpn'
+  function getControlMode(paramIndex) {
+    return midiParams.controlModes[paramIndex] || '7bit';
+  }
+  
+  // Control modes for every parameter, with defaults filled in
+  function getCurrentControlModes() {
+    return midiParams.faderMappings.map((mapped, i) => getControlMode(i));
+  }
+  
+  // Set a parameter from an incoming MIDI message
+  function applyMidiValue(paramIndex, value, e) {
+    // In pickup mode the control is ignored until it reaches the live value
+    if (!takeOverControl(paramIndex, value)) {
+      refreshSlider(paramIndex);
+      return;
+    }
+    
+    setFaderValue(paramIndex, value, e.port);
+    
+    // Show parameter change notification
+    showParamChangeNotification(paramIndex, value);
+  }
+  
+  // Set a parameter from any source, mirror it on the controller and sliders and capture it while recording
+  function setFaderValue(paramIndex, value, sourceInput = null) {
+    midiParams.faderValues[paramIndex] = value;
+    
+    // Another source moved the value away from the hardware control, which must pick it up again
+    const hardwareValue = hardwareValues[paramIndex];
+    if (hardwareValue !== null && Math.abs(hardwareValue - value) > PICKUP_THRESHOLD) {
+      pickedUp[paramIndex] = false;
+    }
+    
+    sendParamFeedback(paramIndex, sourceInput);
+    refreshSlider(paramIndex);
+    automation.record(paramIndex, value, performance.now());
+  }
+  
+  // Track a hardware control and decide whether it may set the live value
+  function takeOverControl(paramIndex, value) {
+    const previous = hardwareValues[paramIndex];
+    hardwareValues[paramIndex] = value;
+    
+    if (!softTakeover.pickup || pickedUp[paramIndex]) {
+      pickedUp[paramIndex] = true;
+      return true;
+    }
+    
+    // Pick up when the control crosses the live value or lands close to it
+    const live = midiParams.faderValues[paramIndex];
+    const crossed = previous !== null && (previous - live) * (value - live) <= 0;
+    if (crossed || Math.abs(value - live) <= PICKUP_THRESHOLD) {
+      pickedUp[paramIndex] = true;
+      return true;
+    }
+    
+    return false;
+  }
+  
+  // Place a marker at the hardware control's position, colored by whether it has picked up the value
+  function updateHardwareMarker(marker, paramIndex) {
+    const hardwareValue = hardwareValues[paramIndex];
+    if (hardwareValue === null) {
+      marker.style.display = 'none';
+      return;
+    }
+    
+    marker.style.display = 'block';
+    marker.style.left = `calc(${hardwareValue * 100}% - 1px)`;
+    marker.style.background = pickedUp[paramIndex] ? '#4ae24a' : '#e2b04a';
+    marker.title = pickedUp[paramIndex]
+      ? 'Hardware control'
+      : `Hardware control at ${Math.round(hardwareValue * 100)}%: move it past the live value to pick up`;
+  }
+  
+  // Settings for an input by name: whether it is used and which channel it listens on
+  function getInputSettings(inputName) {
+    return Object.assign({ enabled: true, channel: 'all' }, midiDevices.inputSettings[inputName]);
+  }
+  
+  // Store settings for an input so the choice survives reloads and reconnects
+  function setInputSettings(inputName, settings) {
+    midiDevices.inputSettings[inputName] = Object.assign(getInputSettings(inputName), settings);
+    saveStored(INPUT_SETTINGS_KEY, midiDevices.inputSettings);
+  }
+  
+  // Check an incoming message against the device picker and channel filter
+  function acceptsMidiEvent(e) {
+    const settings = getInputSettings(e.port.name);
+    if (!settings.enabled) return false;
+    return settings.channel === 'all' || e.message.channel === settings.channel;
+  }
+  
+  // Inputs that are connected and selected in the device picker
+  function getActiveInputs() {
+    return WebMidi.inputs.filter(input => getInputSettings(input.name).enabled);
+  }
+  
+  // Refresh status, device picker and slider panel after inputs change
+  function onMidiInputsChanged() {
+    const activeInputs = getActiveInputs();
+    
+    if (WebMidi.inputs.length === 0) {
+      setMidiStatus('No MIDI devices');
+    } else if (activeInputs.length === 0) {
+      setMidiStatus('No MIDI device selected');
+    } else {
+      setMidiStatus(`MIDI: ${activeInputs.map(input => input.name).join(', ')}`);
+    }
+    
+    renderMidiDeviceList();
+    renderProfileEditor();
+    
+    // Sliders stand in for the controller whenever no device is active
+    setSliderPanelVisible(activeInputs.length === 0);
+  }
+  
+  // Show the MIDI connection status in the status bar and settings panel
+  function setMidiStatus(message, isError = false) {
+    midiDevices.status = message;
+    midiDevices.statusIsError = isError;
+    
+    ['midi-status', 'midi-device-status'].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.textContent = message;
+        element.style.color = isError ? '#e24a4a' : 'white';
+      }
+    });
+  }
+  
+  // Render the device picker with a channel filter per input
+  function renderMidiDeviceList() {
+    const list = document.getElementById('midi-device-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    if (!WebMidi.enabled || WebMidi.inputs.length === 0) {
+      list.innerHTML = '<div style="padding: 10px; color: #888;">No MIDI inputs connected.</div>';
+      return;
+    }
+    
+    WebMidi.inputs.forEach(input => {
+      const settings = getInputSettings(input.name);
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.padding = '6px 10px';
+      row.style.borderBottom = '1px solid #333';
+      
+      let channelOptions = `<option value="all">All channels</option>`;
+      for (let channel = 1; channel <= 16; channel++) {
+        const selected = settings.channel === channel ? 'selected' : '';
+        channelOptions += `<option value="${channel}" ${selected}>Channel ${channel}</option>`;
+      }
+      
+      row.innerHTML = `
+        <label style="flex: 1; cursor: pointer;">
+          <input type="checkbox" class="midi-device-enabled" ${settings.enabled ? 'checked' : ''}>
+          <span class="midi-device-name" style="margin-left: 8px;"></span>
+        </label>
+        <select class="midi-device-channel" style="background: #333; color: white; border: 1px solid #555; padding: 4px;">
+          ${channelOptions}
+        </select>
+      `;
+      // Device names come from the system, so set them as text rather than HTML
+      row.querySelector('.midi-device-name').textContent = input.name;
+      
+      row.querySelector('.midi-device-enabled').addEventListener('change', e => {
+        setInputSettings(input.name, { enabled: e.target.checked });
+        onMidiInputsChanged();
+      });
+      
+      row.querySelector('.midi-device-channel').addEventListener('change', e => {
+        const value = e.target.value;
+        setInputSettings(input.name, { channel: value === 'all' ? 'all' : parseInt(value, 10) });
+      });
+      
+      list.appendChild(row);
+    });
+  }
+  
+  // The selected feedback output, if it is connected
+  function getFeedbackOutput() {
+    if (!WebMidi.enabled || !midiFeedback.outputName) return null;
+    return WebMidi.getOutputByName(midiFeedback.outputName) || null;
+  }
+  
+  // Send a parameter's value to the feedback output.
+  // sourceInput is the MIDI input that caused the change, which already shows the value.
+  function sendParamFeedback(paramIndex, sourceInput = null) {
+    // NRPN parameters have no single CC to echo on
+    if (!getFeedbackOutput() || getControlMode(paramIndex) === 'nrpn') return;
+    
+    const ccNumber = midiParams.faderMappings[paramIndex];
+    const value = midiParams.faderValues[paramIndex];
+    
+    if (sourceInput && sourceInput.name === midiFeedback.outputName) {
+      feedbackSender.markKnown(ccNumber, value);
+    } else {
+      feedbackSender.queue(ccNumber, value);
+    }
+  }
+  
+  // Send every parameter, e.g. after a preset recall or when the output changes
+  function sendAllParamFeedback() {
+    for (let i = 0; i < midiParams.faderValues.length; i++) {
+      sendParamFeedback(i);
+    }
+  }
+  
+  // Store the feedback output choice and resync the hardware with the current values
+  function setFeedbackOutput(settings) {
+    Object.assign(midiFeedback, settings);
+    saveStored(OUTPUT_SETTINGS_KEY, { outputName: midiFeedback.outputName, channel: midiFeedback.channel });
+    
+    feedbackSender.reset();
+    sendAllParamFeedback();
+  }
+  
+  // Render the feedback output and channel pickers in the settings panel
+  function renderFeedbackOutputPicker() {
+    const outputSelect = document.getElementById('feedback-output');
+    const channelSelect = document.getElementById('feedback-channel');
+    if (!outputSelect || !channelSelect) return;
+    
+    const outputNames = WebMidi.enabled ? WebMidi.outputs.map(output => output.name) : [];
+    
+    // Keep a stored output in the list while it is unplugged so the choice is visible
+    if (midiFeedback.outputName && !outputNames.includes(midiFeedback.outputName)) {
+      outputNames.push(midiFeedback.outputName);
+    }
+    
+    outputSelect.innerHTML = '<option value="">None (feedback off)</option>';
+    outputNames.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = getFeedbackOutputLabel(name);
+      option.selected = name === midiFeedback.outputName;
+      outputSelect.appendChild(option);
+    });
+    
+    channelSelect.value = String(midiFeedback.channel);
+  }
+  
+  // Label an output, marking the stored one when it is disconnected
+  function getFeedbackOutputLabel(name) {
+    const connected = WebMidi.enabled && WebMidi.getOutputByName(name);
+    return connected ? name : `${name} (disconnected)`;
+  }
+  
+  // Wire up the feedback output pickers in the settings panel
+  function setupFeedbackOutputPicker() {
+    const channelSelect = document.getElementById('feedback-channel');
+    for (let channel = 1; channel <= 16; channel++) {
+      const option = document.createElement('option');
+      option.value = String(channel);
+      option.textContent = `Channel ${channel}`;
+      channelSelect.appendChild(option);
+    }
+    
+    document.getElementById('feedback-output').addEventListener('change', e => {
+      setFeedbackOutput({ outputName: e.target.value || null });
+    });
+    
+    channelSelect.addEventListener('change', e => {
+      setFeedbackOutput({ channel: parseInt(e.target.value, 10) });
+    });
+    
+    renderFeedbackOutputPicker();
+    
+    const pickupInput = document.getElementById('soft-takeover-pickup');
+    pickupInput.checked = softTakeover.pickup;
+    pickupInput.addEventListener('change', () => {
+      softTakeover.pickup = pickupInput.checked;
+      saveStored(TAKEOVER_SETTINGS_KEY, softTakeover);
+    });
+  }
+  
+  // Store the trigger settings so they survive reloads
+  function setTriggerSettings(settings) {
+    Object.assign(midiTriggers, settings);
+    saveStored(TRIGGER_SETTINGS_KEY, midiTriggers);
+  }
+  
+  // Spawn a burst of particles for a note, sized by velocity and placed by pitch
+  function spawnNoteBurst(noteNumber, velocity) {
+    const totalParticles = simulation.countParticles();
+    const room = midiTriggers.maxParticles - totalParticles;
+    const count = Math.min(room, Math.max(1, Math.round(velocity * midiTriggers.burstSize)));
+    if (count <= 0) return;
+    
+    // Low notes spawn on the left of the terrain, high notes on the right
+    const halfSize = simulation.view.terrainSize / 2;
+    const x = p.map(noteNumber, 24, 96, -halfSize * 0.8, halfSize * 0.8, true);
+    const y = simulation.view.terrainHeight;
+    
+    // Harder hits throw the particles outward faster
+    simulation.spawnBurst(x, y, count, 1 + velocity * 4, noteNumber);
+  }
+  
+  // Queue removal of the particles spawned by a released note
+  function releaseNoteBurst(noteNumber) {
+    simulation.releaseBurst(noteNumber);
+  }
+  
+  // Give the terrain a new shape by picking a new seed for its generator
+  async function newTerrainSeed() {
+    terrainSettings.seed = await simulation.regenerateTerrain();
+    saveStored(TERRAIN_SETTINGS_KEY, terrainSettings);
+    
+    const seedInput = document.getElementById('terrain-seed');
+    if (seedInput) {
+      seedInput.value = terrainSettings.seed;
+    }
+  }
+  
+  // Handle note on: terrain note regenerates, any other note spawns a burst
+  function handleNoteOn(e) {
+    const noteNumber = e.note.number;
+    midiTriggers.lastNote = noteNumber;
+    updateLastNoteText();
+    
+    heldNotes.add(noteNumber);
+    modulatorBank.gateOn('note');
+    
+    if (noteNumber === midiTriggers.terrainNote) {
+      newTerrainSeed();
+    } else if (midiTriggers.burstEnabled) {
+      spawnNoteBurst(noteNumber, e.note.attack);
+    }
+  }
+  
+  // Handle note off: optionally take back the note's burst
+  function handleNoteOff(e) {
+    // Envelopes release once the last held note is let go
+    heldNotes.delete(e.note.number);
+    if (heldNotes.size === 0) {
+      modulatorBank.gateOff('note');
+    }
+    
+    if (midiTriggers.burstEnabled && midiTriggers.releaseRemovesBurst) {
+      releaseNoteBurst(e.note.number);
+    }
+  }
+  
+  // Pitch bend nudges the camera around the vertical axis and springs back with the wheel
+  function handlePitchBend(e) {
+    cameraParams.pitchBendOffset = midiTriggers.pitchBendToCamera
+      ? e.value * p.radians(midiTriggers.pitchBendDegrees)
+      : 0;
+  }
+  
+  // Channel aftertouch drives the selected parameter like a CC
+  function handleChannelAftertouch(e) {
+    const paramIndex = midiTriggers.aftertouchParam;
+    if (paramIndex < 0 || paramIndex >= midiParams.faderValues.length) return;
+    
+    setFaderValue(paramIndex, e.value, e.port);
+    showParamChangeNotification(paramIndex, e.value);
+  }
+  
+  // Show the last received note so a terrain note can be picked by playing it
+  function updateLastNoteText() {
+    const lastNote = document.getElementById('trigger-last-note');
+    if (lastNote && midiTriggers.lastNote !== null) {
+      lastNote.textContent = `Last note received: ${midiTriggers.lastNote}`;
+    }
+  }
+  
+  // Wire up the trigger controls in the settings panel
+  function setupTriggerSettings() {
+    const aftertouchSelect = document.getElementById('trigger-aftertouch-param');
+    midiParams.paramNames.forEach((name, i) => {
+      const option = document.createElement('option');
+      option.value = String(i);
+      option.textContent = name;
+      aftertouchSelect.appendChild(option);
+    });
+    aftertouchSelect.value = String(midiTriggers.aftertouchParam);
+    
+    const bindCheckbox = (id, key) => {
+      const checkbox = document.getElementById(id);
+      checkbox.checked = midiTriggers[key];
+      checkbox.addEventListener('change', () => setTriggerSettings({ [key]: checkbox.checked }));
+    };
+    
+    const bindNumber = (id, key, min, max) => {
+      const input = document.getElementById(id);
+      input.value = midiTriggers[key];
+      input.addEventListener('change', () => {
+        const value = parseInt(input.value, 10);
+        if (isNaN(value)) {
+          input.value = midiTriggers[key];
+          return;
+        }
+        setTriggerSettings({ [key]: Math.min(max, Math.max(min, value)) });
+        input.value = midiTriggers[key];
+      });
+    };
+    
+    bindCheckbox('trigger-burst-enabled', 'burstEnabled');
+    bindCheckbox('trigger-release-removes', 'releaseRemovesBurst');
+    bindCheckbox('trigger-pitchbend-camera', 'pitchBendToCamera');
+    bindNumber('trigger-burst-size', 'burstSize', 1, 100);
+    bindNumber('trigger-terrain-note', 'terrainNote', -1, 127);
+    bindNumber('trigger-pitchbend-degrees', 'pitchBendDegrees', 0, 180);
+    
+    aftertouchSelect.addEventListener('change', () => {
+      setTriggerSettings({ aftertouchParam: parseInt(aftertouchSelect.value, 10) });
+    });
+  }
+  
+  // Advance the tempo clock for this frame and note beat/bar boundaries crossed since the last one
+  function updateTempo() {
+    const state = tempoClock.getState(performance.now());
+    const previousBeat = tempoFrame.beat;
+    
+    tempoFrame.bpm = state.bpm;
+    tempoFrame.source = state.source;
+    tempoFrame.running = state.running;
+    tempoFrame.beat = state.beat;
+    tempoFrame.beatCrossed = Math.floor(state.beat) !== Math.floor(previousBeat);
+    tempoFrame.barCrossed = Math.floor(state.beat / BEATS_PER_BAR) !== Math.floor(previousBeat / BEATS_PER_BAR);
+    
+    updateTempoStatus();
+  }
+  
+  // Whether a sync mode ('beat' or 'bar') hit its boundary this frame
+  function syncBoundaryCrossed(mode) {
+    return mode === 'bar' ? tempoFrame.barCrossed : tempoFrame.beatCrossed;
+  }
+  
+  // Length of a sync mode's period in beats
+  function syncPeriodBeats(mode) {
+    return mode === 'bar' ? BEATS_PER_BAR : 1;
+  }
+  
+  // Camera auto-rotation angle locked to the tempo
+  function getSyncedRotationAngle() {
+    const anglePerBar = (Math.PI * 2) / CAMERA_BARS_PER_REVOLUTION;
+    const bars = tempoFrame.beat / BEATS_PER_BAR;
+    
+    if (tempoSync.cameraRotation === 'bar') {
+      // Step once per bar, easing through the first beat of the bar
+      const stepProgress = Math.min(1, (bars % 1) * BEATS_PER_BAR);
+      const eased = stepProgress * stepProgress * (3 - 2 * stepProgress);
+      return (Math.floor(bars) + eased) * anglePerBar;
+    }
+    
+    return bars * anglePerBar;
+  }
+  
+  // Show tempo, clock source and beat phase in the status bar
+  function updateTempoStatus() {
+    const tempoStatus = document.getElementById('tempo-status');
+    if (!tempoStatus) return;
+    
+    const sourceLabels = { midi: 'MIDI clock', tap: 'tap', internal: 'internal' };
+    const beatInBar = Math.floor(tempoFrame.beat) % BEATS_PER_BAR;
+    let beatIndicator = '';
+    for (let i = 0; i < BEATS_PER_BAR; i++) {
+      beatIndicator += i === beatInBar ? '●' : '○';
+    }
+    
+    const runningText = tempoFrame.running ? '' : ' STOPPED';
+    const text = `${tempoFrame.bpm.toFixed(1)} BPM (${sourceLabels[tempoFrame.source]})${runningText} ${beatIndicator}`;
+    
+    // Only touch the DOM when the text changes
+    if (tempoStatus.textContent !== text) {
+      tempoStatus.textContent = text;
+    }
+  }
+  
+  // Wire up the tempo sync selectors in the settings panel
+  function setupTempoSettings() {
+    Object.keys(tempoSync).forEach(key => {
+      const select = document.getElementById(`tempo-sync-${key}`);
+      if (!select) return;
+      
+      select.value = tempoSync[key];
+      select.addEventListener('change', () => {
+        tempoSync[key] = select.value;
+        saveStored(TEMPO_SETTINGS_KEY, tempoSync);
+      });
+    });
+  }
+  
+  // Drive routed parameters from the audio features for this frame
+  function updateAudioRoutes(dtMs) {
+    const features = audioInput.analyze(performance.now());
+    if (!features) return;
+    
+    audioRoutes.forEach((route, i) => {
+      if (route.feature === 'off') return;
+      
+      const target = Math.min(1, features[route.feature] * route.gain);
+      audioEnvelopes[i] = followEnvelope(audioEnvelopes[i], target, route.attack, route.release, dtMs);
+      if (Math.abs(audioEnvelopes[i] - midiParams.faderValues[i]) >= AUDIO_VALUE_STEP) {
+        setFaderValue(i, audioEnvelopes[i]);
+      }
+    });
+  }
+  
+  // Show the audio source state in the settings panel
+  function setAudioStatus(message, isError = false) {
+    const status = document.getElementById('audio-status');
+    if (status) {
+      status.textContent = message;
+      status.style.color = isError ? '#e24a4a' : '#aaa';
+    }
+  }
+  
+  // Build the audio routing table rows
+  function createAudioRouteRowsHtml() {
+    const featureOptions = AUDIO_FEATURES
+      .map(feature => `<option value="${feature.id}">${feature.name}</option>`)
+      .join('');
+    const inputStyle = 'width: 60px; text-align: center; background: #333; color: white; border: 1px solid #555;';
+    
+    return midiParams.paramNames.map((name, i) => `
+        <tr>
+          <td style="padding: 6px 10px;">${name}</td>
+          <td style="padding: 6px 10px;">
+            <select id="audio-feature-${i}" data-param-index="${i}" data-key="feature" class="audio-route-input"
+              style="padding: 4px; background: #333; color: white; border: 1px solid #555;">
+              <option value="off">Off</option>
+              ${featureOptions}
+            </select>
+          </td>
+          <td style="padding: 6px 10px;">
+            <input type="number" id="audio-gain-${i}" data-param-index="${i}" data-key="gain" class="audio-route-input"
+              min="0" max="20" step="0.1" style="${inputStyle}">
+          </td>
+          <td style="padding: 6px 10px;">
+            <input type="number" id="audio-attack-${i}" data-param-index="${i}" data-key="attack" class="audio-route-input"
+              min="0" max="5000" step="5" style="${inputStyle}">
+          </td>
+          <td style="padding: 6px 10px;">
+            <input type="number" id="audio-release-${i}" data-param-index="${i}" data-key="release" class="audio-route-input"
+              min="0" max="5000" step="5" style="${inputStyle}">
+          </td>
+        </tr>
+      `).join('');
+  }
+  
+  // Wire up the audio source buttons and routing table in the settings panel
+  function setupAudioSettings() {
+    document.getElementById('audio-use-mic').addEventListener('click', async () => {
+      try {
+        await audioInput.useMicrophone();
+        setAudioStatus('Listening to the microphone');
+      } catch (err) {
+        console.error("Could not open the microphone:", err);
+        setAudioStatus(`Microphone unavailable: ${err.message}`, true);
+      }
+    });
+    
+    const fileInput = document.getElementById('audio-file');
+    document.getElementById('audio-load-file').addEventListener('click', () => {
+      fileInput.click();
+    });
+    
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      
+      try {
+        await audioInput.useFile(file);
+        setAudioStatus(`Playing ${file.name} (looped)`);
+      } catch (err) {
+        console.error("Could not play the audio file:", err);
+        setAudioStatus(`Could not play ${file.name}: ${err.message}`, true);
+      }
+      fileInput.value = '';
+    });
+    
+    document.getElementById('audio-toggle-playback').addEventListener('click', () => {
+      audioInput.togglePlayback();
+    });
+    
+    document.getElementById('audio-stop').addEventListener('click', () => {
+      audioInput.stop();
+      setAudioStatus('Audio input off');
+    });
+    
+    document.querySelectorAll('.audio-route-input').forEach(input => {
+      const paramIndex = parseInt(input.dataset.paramIndex, 10);
+      const key = input.dataset.key;
+      input.value = audioRoutes[paramIndex][key];
+      
+      input.addEventListener('change', () => {
+        if (key === 'feature') {
+          audioRoutes[paramIndex].feature = input.value;
+        } else {
+          const value = parseFloat(input.value);
+          if (isNaN(value) || value < 0) {
+            input.value = audioRoutes[paramIndex][key];
+            return;
+          }
+          audioRoutes[paramIndex][key] = value;
+        }
+        saveStored(AUDIO_ROUTES_KEY, audioRoutes);
+      });
+    });
+  }
+  
+  // Evaluate the modulation matrix from the smoothed faders and raw CC values
+  function updateParamValues() {
+    midiParams.paramValues = evaluateMatrix(
+      matrixRoutes,
+      route => (route.source === 'cc' ? midiParams.ccValues[route.index] : midiParams.smoothedValues[route.index]),
+      midiParams.paramNames.length
+    );
+  }
+  
+  // Store the routes and show them in the matrix editor
+  function setMatrixRoutes(routes) {
+    matrixRoutes = routes;
+    saveStored(MATRIX_SETTINGS_KEY, matrixRoutes);
+    renderMatrixEditor();
+  }
+  
+  // Build the route rows of the matrix editor
+  function renderMatrixEditor() {
+    const list = document.getElementById('matrix-routes');
+    if (!list) return;
+    
+    const inputStyle = 'width: 60px; background: #333; color: white; border: 1px solid #555;';
+    const selectStyle = 'padding: 2px; background: #333; color: white; border: 1px solid #555;';
+    const faderOptions = midiParams.paramNames
+      .map((name, i) => `<option value="fader:${i}">Fader: ${name}</option>`)
+      .join('');
+    const targetOptions = midiParams.paramNames
+      .map((name, i) => `<option value="${i}">${name}</option>`)
+      .join('');
+    const curveOptions = CURVES
+      .map(curve => `<option value="${curve.id}">${curve.name}</option>`)
+      .join('');
+    
+    list.innerHTML = '';
+    
+    if (matrixRoutes.length === 0) {
+      list.innerHTML = '<tr><td colspan="8" style="padding: 10px; color: #888;">No routes: every parameter sits at its minimum.</td></tr>';
+      return;
+    }
+    
+    matrixRoutes.forEach((route, index) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td style="padding: 6px;">
+          <select class="matrix-source" style="${selectStyle}">
+            ${faderOptions}
+            <option value="cc">Raw CC</option>
+          </select>
+          <input type="number" class="matrix-cc" min="0" max="127" style="${inputStyle}">
+        </td>
+        <td style="padding: 6px;"><select class="matrix-target" style="${selectStyle}">${targetOptions}</select></td>
+        <td style="padding: 6px;"><input type="number" class="matrix-min" step="any" style="${inputStyle}"></td>
+        <td style="padding: 6px;"><input type="number" class="matrix-max" step="any" style="${inputStyle}"></td>
+        <td style="padding: 6px;"><select class="matrix-curve" style="${selectStyle}">${curveOptions}</select></td>
+        <td style="padding: 6px; text-align: center;"><input type="checkbox" class="matrix-invert"></td>
+        <td style="padding: 6px;"><input type="number" class="matrix-deadzone" min="0" max="90" step="1" style="${inputStyle}"></td>
+        <td style="padding: 6px;">
+          <button class="matrix-delete" style="padding: 3px 8px; background: #555; color: white; border: none; border-radius: 3px; cursor: pointer;">Delete</button>
+        </td>
+      `;
+      
+      const sourceSelect = row.querySelector('.matrix-source');
+      const ccInput = row.querySelector('.matrix-cc');
+      sourceSelect.value = route.source === 'cc' ? 'cc' : `fader:${route.index}`;
+      ccInput.value = route.source === 'cc' ? route.index : '';
+      ccInput.disabled = route.source !== 'cc';
+      row.querySelector('.matrix-target').value = route.target;
+      row.querySelector('.matrix-min').value = route.min;
+      row.querySelector('.matrix-max').value = route.max;
+      row.querySelector('.matrix-curve').value = route.curve;
+      row.querySelector('.matrix-invert').checked = route.invert;
+      row.querySelector('.matrix-deadzone').value = Math.round(route.deadzone * 100);
+      
+      const save = () => saveStored(MATRIX_SETTINGS_KEY, matrixRoutes);
+      
+      sourceSelect.addEventListener('change', () => {
+        if (sourceSelect.value === 'cc') {
+          route.source = 'cc';
+          route.index = 0;
+          ccInput.value = 0;
+        } else {
+          route.source = 'fader';
+          route.index = parseInt(sourceSelect.value.split(':')[1], 10);
+          ccInput.value = '';
+        }
+        ccInput.disabled = route.source !== 'cc';
+        save();
+      });
+      
+      ccInput.addEventListener('change', () => {
+        const ccNumber = parseInt(ccInput.value, 10);
+        if (isNaN(ccNumber) || ccNumber < 0 || ccNumber > 127) {
+          ccInput.value = route.index;
+          return;
+        }
+        route.index = ccNumber;
+        save();
+      });
+      
+      row.querySelector('.matrix-target').addEventListener('change', (e) => {
+        route.target = parseInt(e.target.value, 10);
+        save();
+      });
+      
+      ['min', 'max'].forEach(key => {
+        const input = row.querySelector(`.matrix-${key}`);
+        input.addEventListener('change', () => {
+          const value = parseFloat(input.value);
+          if (isNaN(value)) {
+            input.value = route[key];
+            return;
+          }
+          route[key] = value;
+          save();
+        });
+      });
+      
+      row.querySelector('.matrix-curve').addEventListener('change', (e) => {
+        route.curve = e.target.value;
+        save();
+      });
+      
+      row.querySelector('.matrix-invert').addEventListener('change', (e) => {
+        route.invert = e.target.checked;
+        save();
+      });
+      
+      row.querySelector('.matrix-deadzone').addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (isNaN(value) || value < 0 || value > 90) {
+          e.target.value = Math.round(route.deadzone * 100);
+          return;
+        }
+        route.deadzone = value / 100;
+        save();
+      });
+      
+      row.querySelector('.matrix-delete').addEventListener('click', () => {
+        matrixRoutes.splice(index, 1);
+        setMatrixRoutes(matrixRoutes);
+      });
+      
+      list.appendChild(row);
+    });
+  }
+  
+  // Wire up the add and reset buttons of the matrix editor
+  function setupMatrixEditor() {
+    document.getElementById('matrix-add-route').addEventListener('click', () => {
+      matrixRoutes.push(createRoute('fader', 0, 0));
+      setMatrixRoutes(matrixRoutes);
+    });
+    
+    document.getElementById('matrix-reset').addEventListener('click', () => {
+      setMatrixRoutes(createDefaultRoutes());
+    });
+    
+    renderMatrixEditor();
+  }
+  
+  // Build the slew table rows
+  function createSlewRowsHtml() {
+    const lawOptions = SLEW_LAWS
+      .map(law => `<option value="${law.id}">${law.name}</option>`)
+      .join('');
+    const inputStyle = 'width: 60px; text-align: center; background: #333; color: white; border: 1px solid #555;';
+    
+    return midiParams.paramNames.map((name, i) => `
+        <tr>
+          <td style="padding: 6px 10px;">${name}</td>
+          <td style="padding: 6px 10px; text-align: center;">
+            <input type="checkbox" data-param-index="${i}" data-key="bypass" class="slew-input">
+          </td>
+          <td style="padding: 6px 10px;">
+            <select data-param-index="${i}" data-key="law" class="slew-input"
+              style="padding: 4px; background: #333; color: white; border: 1px solid #555;">
+              ${lawOptions}
+            </select>
+          </td>
+          <td style="padding: 6px 10px;">
+            <input type="number" data-param-index="${i}" data-key="rise" class="slew-input"
+              min="0" max="10000" step="5" style="${inputStyle}">
+          </td>
+          <td style="padding: 6px 10px;">
+            <input type="number" data-param-index="${i}" data-key="fall" class="slew-input"
+              min="0" max="10000" step="5" style="${inputStyle}">
+          </td>
+        </tr>
+      `).join('');
+  }
+  
+  // Wire up the slew table in the settings panel
+  function setupSlewSettings() {
+    document.querySelectorAll('.slew-input').forEach(input => {
+      const slew = slewSettings[parseInt(input.dataset.paramIndex, 10)];
+      const key = input.dataset.key;
+      
+      if (input.type === 'checkbox') {
+        input.checked = slew[key];
+      } else {
+        input.value = slew[key];
+      }
+      
+      input.addEventListener('change', () => {
+        if (input.type === 'checkbox') {
+          slew[key] = input.checked;
+        } else if (key === 'law') {
+          slew.law = input.value;
+        } else {
+          const value = parseFloat(input.value);
+          if (isNaN(value) || value < 0) {
+            input.value = slew[key];
+            return;
+          }
+          slew[key] = value;
+        }
+        saveStored(SLEW_SETTINGS_KEY, slewSettings);
+      });
+    });
+  }
+  
+  // Advance the modulators and add their output to the fader values
+  function updateModulators(dtMs) {
+    const offsets = modulatorBank.update(dtMs, midiParams.faderValues.length);
+    midiParams.faderValues.forEach((value, i) => {
+      midiParams.modulatedValues[i] = p.constrain(value + offsets[i], 0, 1);
+    });
+  }
+  
+  // Build the modulator table rows
+  function createModulatorRowsHtml() {
+    const inputStyle = 'width: 55px; background: #333; color: white; border: 1px solid #555;';
+    const selectStyle = 'padding: 2px; background: #333; color: white; border: 1px solid #555;';
+    const paramOptions = midiParams.paramNames
+      .map((name, i) => `<option value="${i}">${name}</option>`)
+      .join('');
+    const shapeOptions = LFO_SHAPES
+      .map(shape => `<option value="${shape.id}">${shape.name}</option>`)
+      .join('');
+    const numberInput = (i, key, min, max, step) => `
+      <input type="number" class="modulator-input" data-modulator-index="${i}" data-key="${key}"
+        min="${min}" max="${max}" step="${step}" style="${inputStyle}">`;
+    
+    return modulatorSettings.map((modulator, i) => `
+        <tr>
+          <td style="padding: 6px;">${i + 1}</td>
+          <td style="padding: 6px;">
+            <select class="modulator-input" data-modulator-index="${i}" data-key="type" style="${selectStyle}">
+              <option value="off">Off</option>
+              <option value="lfo">LFO</option>
+              <option value="envelope">Envelope</option>
+            </select>
+          </td>
+          <td style="padding: 6px;">
+            <select class="modulator-input" data-modulator-index="${i}" data-key="target" style="${selectStyle}">${paramOptions}</select>
+          </td>
+          <td style="padding: 6px;">${numberInput(i, 'depth', -100, 100, 5)}</td>
+          <td style="padding: 6px;">
+            <select class="modulator-input" data-modulator-index="${i}" data-key="shape" style="${selectStyle}">${shapeOptions}</select>
+            ${numberInput(i, 'rate', 0.01, 20, 0.05)}
+          </td>
+          <td style="padding: 6px;">
+            <select class="modulator-input" data-modulator-index="${i}" data-key="envelopeMode" style="${selectStyle}">
+              <option value="ad">AD</option>
+              <option value="adsr">ADSR</option>
+            </select>
+            <select class="modulator-input" data-modulator-index="${i}" data-key="trigger" style="${selectStyle}">
+              <option value="both">Notes + E key</option>
+              <option value="note">MIDI notes</option>
+              <option value="key">E key</option>
+            </select>
+          </td>
+          <td style="padding: 6px;">
+            ${numberInput(i, 'attack', 0, 10000, 10)}
+            ${numberInput(i, 'decay', 0, 10000, 10)}
+            ${numberInput(i, 'sustain', 0, 100, 5)}
+            ${numberInput(i, 'release', 0, 10000, 10)}
+          </td>
+        </tr>
+      `).join('');
+  }
+  
+  // Depth and sustain are edited as percentages
+  const MODULATOR_PERCENT_KEYS = ['depth', 'sustain'];
+  
+  // Enable only the fields that apply to each modulator's type
+  function updateModulatorFieldStates() {
+    document.querySelectorAll('.modulator-input').forEach(input => {
+      const type = modulatorSettings[parseInt(input.dataset.modulatorIndex, 10)].type;
+      const key = input.dataset.key;
+      const lfoOnly = ['shape', 'rate'].includes(key);
+      const envelopeOnly = ['envelopeMode', 'trigger', 'attack', 'decay', 'sustain', 'release'].includes(key);
+      input.disabled = (type !== 'lfo' && lfoOnly) || (type !== 'envelope' && envelopeOnly) ||
+        (type === 'off' && !['type', 'target'].includes(key));
+    });
+  }
+  
+  // Wire up the modulator table in the settings panel
+  function setupModulatorSettings() {
+    document.querySelectorAll('.modulator-input').forEach(input => {
+      const modulator = modulatorSettings[parseInt(input.dataset.modulatorIndex, 10)];
+      const key = input.dataset.key;
+      const isPercent = MODULATOR_PERCENT_KEYS.includes(key);
+      input.value = isPercent ? Math.round(modulator[key] * 100) : modulator[key];
+      
+      input.addEventListener('change', () => {
+        if (input.tagName === 'SELECT') {
+          modulator[key] = key === 'target' ? parseInt(input.value, 10) : input.value;
+        } else {
+          const value = parseFloat(input.value);
+          if (isNaN(value) || (key !== 'depth' && value < 0)) {
+            input.value = isPercent ? Math.round(modulator[key] * 100) : modulator[key];
+            return;
+          }
+          modulator[key] = isPercent ? value / 100 : value;
+        }
+        saveStored(MODULATOR_SETTINGS_KEY, modulatorSettings);
+        updateModulatorFieldStates();
+      });
+    });
+    
+    updateModulatorFieldStates();
+  }
+  
+  // Show and set the simulation seed in the settings panel
+  function setupSimulationSeed() {
+    const seedInput = document.getElementById('simulation-seed');
+    seedInput.value = simulationSettings.seed;
+    
+    const restart = (seed) => {
+      seedSimulation(seed);
+      seedInput.value = seed;
+      updateStatusBar();
+    };
+    
+    document.getElementById('simulation-restart').addEventListener('click', () => {
+      const seed = parseInt(seedInput.value, 10);
+      if (isNaN(seed) || seed < 0) {
+        seedInput.value = simulationSettings.seed;
+        return;
+      }
+      restart(seed);
+    });
+    
+    document.getElementById('simulation-new-seed').addEventListener('click', () => {
+      restart(randomSeed());
+    });
+  }
+  
+  // Wire up the renderer choice in the settings panel
+  function setupRenderSettings() {
+    const rendererSelect = document.getElementById('render-particle-renderer');
+    const lodInput = document.getElementById('render-particle-lod');
+    const resolutionInput = document.getElementById('render-terrain-resolution');
+    const wireframeInput = document.getElementById('render-terrain-wireframe');
+    rendererSelect.value = renderSettings.particleRenderer;
+    lodInput.checked = renderSettings.particleLod;
+    resolutionInput.value = renderSettings.terrainResolution;
+    wireframeInput.checked = renderSettings.terrainWireframe;
+    
+    const notes = [];
+    if (!particleRenderer) {
+      notes.push('The batched renderer is unavailable on this device, using the classic path.');
+    }
+    if (!simulation.usesWorker) {
+      notes.push('Web Workers are unavailable, so the physics runs on the main thread.');
+    }
+    document.getElementById('render-status').textContent = notes.join(' ');
+    
+    rendererSelect.addEventListener('change', () => {
+      renderSettings.particleRenderer = rendererSelect.value;
+      saveStored(RENDER_SETTINGS_KEY, renderSettings);
+    });
+    
+    lodInput.addEventListener('change', () => {
+      renderSettings.particleLod = lodInput.checked;
+      saveStored(RENDER_SETTINGS_KEY, renderSettings);
+    });
+    
+    // Same landscape, sampled more or less finely
+    resolutionInput.addEventListener('change', () => {
+      const resolution = parseInt(resolutionInput.value, 10);
+      if (isNaN(resolution)) {
+        resolutionInput.value = renderSettings.terrainResolution;
+        return;
+      }
+      renderSettings.terrainResolution = Math.max(10, Math.min(200, resolution));
+      resolutionInput.value = renderSettings.terrainResolution;
+      saveStored(RENDER_SETTINGS_KEY, renderSettings);
+      
+      simulation.updateTerrain({ terrainResolution: renderSettings.terrainResolution });
+    });
+    
+    wireframeInput.addEventListener('change', () => {
+      renderSettings.terrainWireframe = wireframeInput.checked;
+      saveStored(RENDER_SETTINGS_KEY, renderSettings);
+    });
+  }
+  
+  // Show the current generator, seed and parameters in the settings panel
+  function refreshTerrainInputs() {
+    const generatorSelect = document.getElementById('terrain-generator');
+    const seedInput = document.getElementById('terrain-seed');
+    if (generatorSelect) {
+      generatorSelect.value = getTerrainGenerator(terrainSettings.generator).id;
+    }
+    if (seedInput) {
+      seedInput.value = terrainSettings.seed;
+    }
+    renderTerrainGeneratorParams();
+  }
+  
+  // Save the terrain settings and morph into the shape they now give.
+  // changes can add a new heightmap (see updateTerrain in simulationClient.js).
+  function applyTerrainSettings(changes = {}) {
+    saveStored(TERRAIN_SETTINGS_KEY, terrainSettings);
+    simulation.updateTerrain(Object.assign({ terrain: terrainSettings }, changes));
+  }
+  
+  // Inputs for the active generator's parameters
+  function renderTerrainGeneratorParams() {
+    const container = document.getElementById('terrain-generator-params');
+    if (!container) return;
+    
+    const generator = getTerrainGenerator(terrainSettings.generator);
+    const values = Object.assign(
+      {},
+      createDefaultGeneratorParams()[generator.id],
+      terrainSettings.generatorParams[generator.id]
+    );
+    const inputStyle = 'width: 70px; padding: 2px; background: #333; color: white; border: 1px solid #555;';
+    
+    container.innerHTML = generator.params.map(param => {
+      const input = typeof param.value === 'boolean'
+        ? `<input type="checkbox" class="terrain-param-input" data-key="${param.key}" ${values[param.key] ? 'checked' : ''}>`
+        : `<input type="number" class="terrain-param-input" data-key="${param.key}" min="${param.min}" max="${param.max}"
+            step="${param.step}" value="${values[param.key]}" style="${inputStyle}">`;
+      return `<label style="display: inline-block; margin: 0 15px 6px 0;">${param.name} ${input}</label>`;
+    }).join('');
+    
+    container.querySelectorAll('.terrain-param-input').forEach(input => {
+      const param = generator.params.find(candidate => candidate.key === input.dataset.key);
+      
+      input.addEventListener('change', () => {
+        let value;
+        if (input.type === 'checkbox') {
+          value = input.checked;
+        } else {
+          value = parseFloat(input.value);
+          if (isNaN(value)) {
+            input.value = values[param.key];
+            return;
+          }
+          value = Math.max(param.min, Math.min(param.max, value));
+          input.value = value;
+        }
+        
+        values[param.key] = value;
+        terrainSettings.generatorParams[generator.id] = Object.assign({}, values);
+        applyTerrainSettings();
+      });
+    });
+  }
+  
+  // Describe the loaded heightmap next to the import button
+  function setHeightmapStatus(message, isError = false) {
+    const status = document.getElementById('terrain-heightmap-status');
+    if (status) {
+      status.textContent = message;
+      status.style.color = isError ? '#e24a4a' : '#aaa';
+    }
+  }
+  
+  // Read a grayscale image into a heightmap, scaled down to at most HEIGHTMAP_MAX_SIZE per side
+  function loadHeightmapImage(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const image = new Image();
+      
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        const scale = Math.min(1, HEIGHTMAP_MAX_SIZE / Math.max(image.width, image.height));
+        const width = Math.max(2, Math.round(image.width * scale));
+        const height = Math.max(2, Math.round(image.height * scale));
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, width, height);
+        const pixels = context.getImageData(0, 0, width, height).data;
+        
+        // Luminance of each pixel (color images are converted to gray)
+        const data = [];
+        for (let i = 0; i < pixels.length; i += 4) {
+          data.push(Math.round(pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114));
+        }
+        resolve({ width, height, data });
+      };
+      
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error("The file is not an image the browser can read"));
+      };
+      
+      image.src = url;
+    });
+  }
+  
+  // Wire up the terrain generator, morphing and the living terrain in the settings panel
+  function setupTerrainSettings() {
+    const generatorSelect = document.getElementById('terrain-generator');
+    const seedInput = document.getElementById('terrain-seed');
+    const morphInput = document.getElementById('terrain-morph-time');
+    const livingInput = document.getElementById('terrain-living');
+    morphInput.value = terrainSettings.morphTime;
+    livingInput.checked = terrainSettings.living;
+    
+    refreshTerrainInputs();
+    if (terrainHeightmap) {
+      setHeightmapStatus(`${terrainHeightmap.width}×${terrainHeightmap.height} heightmap loaded.`);
+    }
+    
+    generatorSelect.addEventListener('change', () => {
+      terrainSettings.generator = generatorSelect.value;
+      renderTerrainGeneratorParams();
+      applyTerrainSettings();
+      
+      if (terrainSettings.generator === 'heightmap' && !terrainHeightmap) {
+        setHeightmapStatus('Import a PNG to use as the heightmap.');
+      }
+    });
+    
+    seedInput.addEventListener('change', () => {
+      const seed = parseInt(seedInput.value, 10);
+      if (isNaN(seed) || seed < 0) {
+        seedInput.value = terrainSettings.seed;
+        return;
+      }
+      terrainSettings.seed = seed;
+      applyTerrainSettings();
+    });
+    
+    document.getElementById('terrain-new-seed').addEventListener('click', () => {
+      newTerrainSeed();
+    });
+    
+    const fileInput = document.getElementById('terrain-heightmap-file');
+    document.getElementById('terrain-heightmap-import').addEventListener('click', () => {
+      fileInput.click();
+    });
+    
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      
+      try {
+        terrainHeightmap = await loadHeightmapImage(file);
+        saveStored(HEIGHTMAP_KEY, terrainHeightmap);
+        
+        terrainSettings.generator = 'heightmap';
+        generatorSelect.value = 'heightmap';
+        renderTerrainGeneratorParams();
+        applyTerrainSettings({ heightmap: terrainHeightmap });
+        setHeightmapStatus(`${file.name} loaded as a ${terrainHeightmap.width}×${terrainHeightmap.height} heightmap.`);
+      } catch (err) {
+        console.error("Could not import the heightmap:", err);
+        setHeightmapStatus(`Import failed: ${err.message}`, true);
+      }
+      
+      // Allow importing the same file again
+      fileInput.value = '';
+    });
+    
+    morphInput.addEventListener('change', () => {
+      const morphTime = parseInt(morphInput.value, 10);
+      if (!isNaN(morphTime)) {
+        terrainSettings.morphTime = Math.max(0, Math.min(10000, morphTime));
+        saveStored(TERRAIN_SETTINGS_KEY, terrainSettings);
+        simulation.setTerrainSettings(terrainSettings);
+      }
+      morphInput.value = terrainSettings.morphTime;
+    });
+    
+    livingInput.addEventListener('change', () => {
+      terrainSettings.living = livingInput.checked;
+      saveStored(TERRAIN_SETTINGS_KEY, terrainSettings);
+      simulation.setTerrainSettings(terrainSettings);
+    });
+  }
+  
+  // Build the emitter table rows
+  function createEmitterRowsHtml() {
+    const inputStyle = 'width: 55px; background: #333; color: white; border: 1px solid #555;';
+    const selectStyle = 'padding: 2px; background: #333; color: white; border: 1px solid #555;';
+    const typeOptions = EMITTER_TYPES
+      .map(type => `<option value="${type.id}">${type.name}</option>`)
+      .join('');
+    const numberInput = (i, key, min, max, step) => `
+      <input type="number" class="emitter-input" data-emitter-index="${i}" data-key="${key}"
+        min="${min}" max="${max}" step="${step}" style="${inputStyle}">`;
+    
+    return lifecycleSettings.emitters.map((emitter, i) => `
+        <tr>
+          <td style="padding: 6px;">
+            <select class="emitter-input" data-emitter-index="${i}" data-key="type" style="${selectStyle}">${typeOptions}</select>
+          </td>
+          <td style="padding: 6px;">
+            <input type="checkbox" class="emitter-input" data-emitter-index="${i}" data-key="enabled">
+          </td>
+          <td style="padding: 6px;">
+            ${numberInput(i, 'x', -1000, 1000, 10)}
+            ${numberInput(i, 'y', -1000, 1000, 10)}
+            ${numberInput(i, 'z', -1000, 1000, 10)}
+          </td>
+          <td style="padding: 6px;">${numberInput(i, 'radius', 0, 1000, 10)}</td>
+          <td style="padding: 6px;">${numberInput(i, 'speed', 0, 20, 0.5)}</td>
+        </tr>
+      `).join('');
+  }
+  
+  // Save the lifecycle settings and hand them to the simulation
+  function applyLifecycleSettings() {
+    saveStored(LIFECYCLE_SETTINGS_KEY, lifecycleSettings);
+    simulation.setLifecycle(lifecycleSettings);
+  }
+  
+  // Wire up the emitter table and death settings in the settings panel
+  function setupLifecycleSettings() {
+    document.querySelectorAll('.emitter-input').forEach(input => {
+      const emitter = lifecycleSettings.emitters[parseInt(input.dataset.emitterIndex, 10)];
+      const key = input.dataset.key;
+      if (input.type === 'checkbox') {
+        input.checked = emitter[key];
+      } else {
+        input.value = emitter[key];
+      }
+      
+      input.addEventListener('change', () => {
+        if (input.type === 'checkbox') {
+          emitter[key] = input.checked;
+        } else if (input.tagName === 'SELECT') {
+          emitter[key] = input.value;
+        } else {
+          const value = parseFloat(input.value);
+          if (isNaN(value) || (['radius', 'speed'].includes(key) && value < 0)) {
+            input.value = emitter[key];
+            return;
+          }
+          emitter[key] = value;
+        }
+        applyLifecycleSettings();
+      });
+    });
+    
+    document.querySelectorAll('.lifecycle-input').forEach(input => {
+      const key = input.dataset.key;
+      input.value = lifecycleSettings[key];
+      
+      input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (isNaN(value) || value < 0) {
+          input.value = lifecycleSettings[key];
+          return;
+        }
+        lifecycleSettings[key] = value;
+        applyLifecycleSettings();
+      });
+    });
+  }
   
-  // Organic model parameters
-  let organicModel = {
-    particles: [],
-    numParticles: 150, // Increased number of particles for more detail
-    connections: [],
-    centerX: 0,
-    centerY: 0,
-    centerZ: 0,
-    terrain: [], // Add terrain data for landscape
-    terrainResolution: 30, // Resolution of the terrain grid
-    terrainSize: 500, // Size of the terrain
-    terrainHeight: 100, // Maximum height of terrain features
-    particleDensity: 0.5, // Control particle density
-    connectionDensity: 0.5, // Control connection density
-    particlesToAdd: [], // Queue of particles to add
-    particlesToRemove: [], // Queue of particles to remove
-    minParticles: 10 // Minimum number of particles before spawning more
-  };
+  // The force fields with their CC routes applied, and strengths kept within
+  // their type's range. A routed property takes the route's value instead of
+  // its own, and routes into the same property are summed.
+  function getLiveForceFields() {
+    const fields = forceFieldSettings.fields.map(field => Object.assign({}, field));
+    const routed = new Set();
+    
+    forceFieldSettings.routes.forEach(route => {
+      const field = fields.find(candidate => candidate.id === route.target);
+      if (!field) return;
+      const value = applyRoute(route, midiParams.ccValues[route.index]);
+      const routeKey = `${route.target}:${route.key}`;
+      field[route.key] = routed.has(routeKey) ? field[route.key] + value : value;
+      routed.add(routeKey);
+    });
+    
+    fields.forEach(field => {
+      field.strength = clampStrength(field.type, field.strength);
+    });
+    return fields;
+  }
   
-  // Physics parameters
-  const turbulence = 0.05; // Controls random movement
-  const elasticity = 0.01; // Controls how particles return to original positions
+  function saveForceFieldSettings() {
+    saveStored(FORCE_FIELD_SETTINGS_KEY, forceFieldSettings);
+  }
   
-  // Camera parameters
-  let cameraParams = {
-    radius: 300, // Positive radius for horizontal flip
-    height: -200, // Higher position to look down
-    autoRotate: true,
-    rotationSpeed: 0.0005, // Slower rotation
-    zRotation: Math.PI, // Rotation around Z axis (tilt front/back) - 180 degrees
-    xRotation: 0, // Rotation around X axis (lift right/left)
-    yRotation: Math.PI * 0.75, // Rotation around Y axis (rotate right/left) - adjusted for horizontal flip
-    mouseControl: false, // Flag to enable/disable mouse control
-    mouseX: 0,
-    mouseY: 0,
-    targetYRotation: Math.PI * 0.75 // Adjusted for horizontal flip
-  };
+  // Label of a field in the CC route table
+  function describeForceField(field) {
+    return `${forceFieldSettings.fields.indexOf(field) + 1}: ${getFieldType(field.type).name}`;
+  }
   
-  // Force parameters
-  let forceParams = {
-    vortexStrength: 0,
-    gravityStrength: 10
-  };
+  // Build the rows of the force field list
+  function renderForceFields() {
+    const list = document.getElementById('force-field-list');
+    if (!list) return;
+    
+    const inputStyle = 'width: 55px; background: #333; color: white; border: 1px solid #555;';
+    const selectStyle = 'padding: 2px; background: #333; color: white; border: 1px solid #555;';
+    const typeOptions = FIELD_TYPES
+      .map(type => `<option value="${type.id}">${type.name}</option>`)
+      .join('');
+    const numberInput = (key, min, max, step) => `
+      <input type="number" class="force-field-input" data-key="${key}"
+        min="${min}" max="${max}" step="${step}" style="${inputStyle}">`;
+    
+    list.innerHTML = '';
+    
+    if (forceFieldSettings.fields.length === 0) {
+      list.innerHTML = '<tr><td colspan="8" style="padding: 10px; color: #888;">No force fields: add one below.</td></tr>';
+      return;
+    }
+    
+    forceFieldSettings.fields.forEach((field, index) => {
+      const strengthRange = getFieldType(field.type).strength;
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td style="padding: 6px;">${index + 1}</td>
+        <td style="padding: 6px;"><select class="force-field-input" data-key="type" style="${selectStyle}">${typeOptions}</select></td>
+        <td style="padding: 6px;"><input type="checkbox" class="force-field-input" data-key="enabled"></td>
+        <td style="padding: 6px;">
+          ${numberInput('x', -1000, 1000, 10)}
+          ${numberInput('y', -1000, 1000, 10)}
+          ${numberInput('z', -1000, 1000, 10)}
+        </td>
+        <td style="padding: 6px;">${numberInput('strength', strengthRange.min, strengthRange.max, strengthRange.step)}</td>
+        <td style="padding: 6px;">${numberInput('falloff', 0, 2000, 10)}</td>
+        <td style="padding: 6px;">
+          ${numberInput('dx', -1, 1, 0.1)}
+          ${numberInput('dy', -1, 1, 0.1)}
+          ${numberInput('dz', -1, 1, 0.1)}
+        </td>
+        <td style="padding: 6px;">
+          <button class="force-field-delete" style="padding: 3px 8px; background: #555; color: white; border: none; border-radius: 3px; cursor: pointer;">Delete</button>
+        </td>
+      `;
+      
+      row.querySelectorAll('.force-field-input').forEach(input => {
+        const key = input.dataset.key;
+        if (input.type === 'checkbox') {
+          input.checked = field[key];
+        } else {
+          input.value = field[key];
+        }
+        
+        input.addEventListener('change', () => {
+          if (input.type === 'checkbox') {
+            field[key] = input.checked;
+          } else if (key === 'type') {
+            // The strength input and the route labels follow the new type
+            field.type = input.value;
+            field.strength = clampStrength(field.type, field.strength);
+            saveForceFieldSettings();
+            renderForceFields();
+            renderForceFieldRoutes();
+            return;
+          } else {
+            const value = parseFloat(input.value);
+            if (isNaN(value) || (key === 'falloff' && value < 0)) {
+              input.value = field[key];
+              return;
+            }
+            field[key] = key === 'strength' ? clampStrength(field.type, value) : value;
+            input.value = field[key];
+          }
+          saveForceFieldSettings();
+        });
+      });
+      
+      // Deleting a field deletes its CC routes
+      row.querySelector('.force-field-delete').addEventListener('click', () => {
+        forceFieldSettings.fields.splice(index, 1);
+        forceFieldSettings.routes = forceFieldSettings.routes.filter(route => route.target !== field.id);
+        saveForceFieldSettings();
+        renderForceFields();
+        renderForceFieldRoutes();
+      });
+      
+      list.appendChild(row);
+    });
+  }
   
-  // Initialize WebMidi
-  async function initMidi() {
-    try {
-      await WebMidi.enable();
-      console.log("WebMidi enabled!");
+  // Build the rows of the force field CC routes
+  function renderForceFieldRoutes() {
+    const list = document.getElementById('force-field-routes');
+    if (!list) return;
+    
+    const inputStyle = 'width: 60px; background: #333; color: white; border: 1px solid #555;';
+    const selectStyle = 'padding: 2px; background: #333; color: white; border: 1px solid #555;';
+    const fieldOptions = forceFieldSettings.fields
+      .map(field => `<option value="${field.id}">${describeForceField(field)}</option>`)
+      .join('');
+    const keyOptions = FIELD_CONTROLS
+      .map(control => `<option value="${control.key}">${control.name}</option>`)
+      .join('');
+    const curveOptions = CURVES
+      .map(curve => `<option value="${curve.id}">${curve.name}</option>`)
+      .join('');
+    
+    list.innerHTML = '';
+    
+    if (forceFieldSettings.routes.length === 0) {
+      list.innerHTML = '<tr><td colspan="7" style="padding: 10px; color: #888;">No CC routes: the fields keep the values set above.</td></tr>';
+      return;
+    }
+    
+    forceFieldSettings.routes.forEach((route, index) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td style="padding: 6px;"><input type="number" class="field-route-cc" min="0" max="127" style="${inputStyle}"></td>
+        <td style="padding: 6px;"><select class="field-route-target" style="${selectStyle}">${fieldOptions}</select></td>
+        <td style="padding: 6px;"><select class="field-route-key" style="${selectStyle}">${keyOptions}</select></td>
+        <td style="padding: 6px;"><input type="number" class="field-route-min" step="any" style="${inputStyle}"></td>
+        <td style="padding: 6px;"><input type="number" class="field-route-max" step="any" style="${inputStyle}"></td>
+        <td style="padding: 6px;"><select class="field-route-curve" style="${selectStyle}">${curveOptions}</select></td>
+        <td style="padding: 6px;">
+          <button class="field-route-delete" style="padding: 3px 8px; background: #555; color: white; border: none; border-radius: 3px; cursor: pointer;">Delete</button>
+        </td>
+      `;
       
-      // Check if there are any MIDI inputs
-      const hasMidiInputs = WebMidi.inputs.length > 0;
+      const ccInput = row.querySelector('.field-route-cc');
+      const targetSelect = row.querySelector('.field-route-target');
+      const keySelect = row.querySelector('.field-route-key');
+      const minInput = row.querySelector('.field-route-min');
+      const maxInput = row.querySelector('.field-route-max');
+      ccInput.value = route.index;
+      targetSelect.value = route.target;
+      keySelect.value = route.key;
+      minInput.value = route.min;
+      maxInput.value = route.max;
+      row.querySelector('.field-route-curve').value = route.curve;
       
-      // List available inputs
-      WebMidi.inputs.forEach(input => {
-        console.log(`Input: ${input.name}`);
-        
-        // Listen for control change messages on all channels
-        input.addListener("controlchange", e => {
-          const ccNumber = e.controller.number;
-          const ccValue = e.value; // Normalized value between 0 and 1
-          
-          // Check if this CC number is mapped to one of our parameters
-          const paramIndex = midiParams.faderMappings.indexOf(ccNumber);
-          if (paramIndex !== -1) {
-            midiParams.faderValues[paramIndex] = ccValue;
-            
-            // Show parameter change notification
-            showParamChangeNotification(paramIndex, ccValue);
+      // A new field or property starts with the property's default range
+      const resetRange = () => {
+        const field = forceFieldSettings.fields.find(candidate => candidate.id === route.target);
+        Object.assign(route, getControlRange(field, route.key));
+        minInput.value = route.min;
+        maxInput.value = route.max;
+      };
+      
+      ccInput.addEventListener('change', () => {
+        const ccNumber = parseInt(ccInput.value, 10);
+        if (isNaN(ccNumber) || ccNumber < 0 || ccNumber > 127) {
+          ccInput.value = route.index;
+          return;
+        }
+        route.index = ccNumber;
+        saveForceFieldSettings();
+      });
+      
+      targetSelect.addEventListener('change', () => {
+        route.target = parseInt(targetSelect.value, 10);
+        resetRange();
+        saveForceFieldSettings();
+      });
+      
+      keySelect.addEventListener('change', () => {
+        route.key = keySelect.value;
+        resetRange();
+        saveForceFieldSettings();
+      });
+      
+      [['min', minInput], ['max', maxInput]].forEach(([key, input]) => {
+        input.addEventListener('change', () => {
+          const value = parseFloat(input.value);
+          if (isNaN(value)) {
+            input.value = route[key];
+            return;
           }
+          route[key] = value;
+          saveForceFieldSettings();
         });
       });
       
-      // If no MIDI inputs are detected, show the slider controls
-      if (!hasMidiInputs) {
-        console.log("No MIDI inputs detected. Showing slider controls.");
-        createSliderControls();
+      row.querySelector('.field-route-curve').addEventListener('change', (e) => {
+        route.curve = e.target.value;
+        saveForceFieldSettings();
+      });
+      
+      row.querySelector('.field-route-delete').addEventListener('click', () => {
+        forceFieldSettings.routes.splice(index, 1);
+        saveForceFieldSettings();
+        renderForceFieldRoutes();
+      });
+      
+      list.appendChild(row);
+    });
+  }
+  
+  // Wire up the add buttons and gizmo toggle of the force field panel
+  function setupForceFieldSettings() {
+    const typeSelect = document.getElementById('force-field-new-type');
+    document.getElementById('force-field-add').addEventListener('click', () => {
+      const id = forceFieldSettings.fields.reduce((highest, field) => Math.max(highest, field.id), 0) + 1;
+      forceFieldSettings.fields.push(createForceField(typeSelect.value, id));
+      saveForceFieldSettings();
+      renderForceFields();
+      renderForceFieldRoutes();
+    });
+    
+    const gizmoInput = document.getElementById('force-field-gizmos');
+    gizmoInput.checked = forceFieldSettings.showGizmos;
+    gizmoInput.addEventListener('change', () => {
+      forceFieldSettings.showGizmos = gizmoInput.checked;
+      saveForceFieldSettings();
+    });
+    
+    const addRouteButton = document.getElementById('force-field-add-route');
+    addRouteButton.addEventListener('click', () => {
+      const field = forceFieldSettings.fields[0];
+      if (!field) return;
+      forceFieldSettings.routes.push(Object.assign(
+        createRoute('cc', 0, field.id),
+        { key: 'strength' },
+        getControlRange(field, 'strength')
+      ));
+      saveForceFieldSettings();
+      renderForceFieldRoutes();
+    });
+    
+    renderForceFields();
+    renderForceFieldRoutes();
+  }
+  
+  // Play back the automation take for this frame
+  function updateAutomation() {
+    const wasPlaying = automation.getMode() === 'playing';
+    
+    automation.update(performance.now(), (paramIndex, value) => {
+      setFaderValue(paramIndex, value);
+      showParamChangeNotification(paramIndex, value);
+    });
+    
+    // A take without loop has reached its end
+    if (wasPlaying && automation.getMode() !== 'playing') {
+      setAutomationStatus(`Playback finished. ${describeTake()}`);
+      updateStatusBar();
+    }
+  }
+  
+  // Length and number of changes in the current take
+  function describeTake() {
+    const take = automation.getTake();
+    if (!take) return 'No take recorded.';
+    return `Take: ${(take.duration / 1000).toFixed(1)} s, ${take.events.length} changes`;
+  }
+  
+  // Show the automation state in the settings panel
+  function setAutomationStatus(message, isError = false) {
+    const status = document.getElementById('automation-status');
+    if (status) {
+      status.textContent = message;
+      status.style.color = isError ? '#e24a4a' : '#aaa';
+    }
+  }
+  
+  // Convert the take to control changes on each parameter's mapped controls
+  function takeToControlChanges(take) {
+    const controlChanges = [];
+    const push = (time, controller, value) => {
+      controlChanges.push({ time, channel: AUTOMATION_MIDI_CHANNEL, controller, value });
+    };
+    
+    take.events.forEach(event => {
+      const mapped = midiParams.faderMappings[event.param];
+      const mode = getControlMode(event.param);
+      
+      if (mode === '7bit') {
+        push(event.time, mapped, Math.round(event.value * 127));
+        return;
       }
-    } catch (err) {
-      console.error("WebMidi could not be enabled:", err);
-      // Show slider controls if WebMidi fails
-      createSliderControls();
+      
+      const value14 = Math.round(event.value * 16383);
+      if (mode === '14bit') {
+        push(event.time, mapped, value14 >> 7);
+        push(event.time, mapped + 32, value14 & 0x7F);
+      } else {
+        push(event.time, 99, mapped >> 7);
+        push(event.time, 98, mapped & 0x7F);
+        push(event.time, 6, value14 >> 7);
+        push(event.time, 38, value14 & 0x7F);
+      }
+    });
+    
+    return controlChanges;
+  }
+  
+  // Turn the control changes of a MIDI file into a take using the current mappings
+  function controlChangesToTake(parsed) {
+    const decoder = createHighResDecoder();
+    const events = [];
+    
+    parsed.controlChanges.forEach(cc => {
+      const highRes = decoder.decode(`file:${cc.channel}`, cc.controller, cc.value);
+      resolveMappedControls(highRes, cc.controller, cc.value / 127).forEach(control => {
+        events.push({ time: cc.time, param: control.paramIndex, value: control.value });
+      });
+    });
+    
+    return { events, duration: parsed.duration };
+  }
+  
+  // Wire up the automation transport and MIDI file buttons in the settings panel
+  function setupAutomationSettings() {
+    const loopInput = document.getElementById('automation-loop');
+    loopInput.checked = automation.getLoop();
+    loopInput.addEventListener('change', () => {
+      automation.setLoop(loopInput.checked);
+    });
+    
+    document.getElementById('automation-record').addEventListener('click', () => {
+      automation.startRecording(performance.now(), midiParams.faderValues);
+      setAutomationStatus('Recording: move faders, sliders or keys, then press Stop.');
+      updateStatusBar();
+    });
+    
+    document.getElementById('automation-stop').addEventListener('click', () => {
+      automation.stop(performance.now());
+      setAutomationStatus(describeTake());
+      updateStatusBar();
+    });
+    
+    document.getElementById('automation-play').addEventListener('click', () => {
+      if (automation.getMode() === 'recording') {
+        automation.stop(performance.now());
+      }
+      if (automation.startPlayback(performance.now())) {
+        setAutomationStatus(`Playing. ${describeTake()}`);
+      } else {
+        setAutomationStatus('Nothing to play yet: record a take or import a MIDI file.', true);
+      }
+      updateStatusBar();
+    });
+    
+    document.getElementById('automation-export').addEventListener('click', () => {
+      const take = automation.getTake();
+      if (!take || take.events.length === 0 || automation.getMode() === 'recording') {
+        setAutomationStatus('Record a take (and stop recording) before exporting.', true);
+        return;
+      }
+      
+      const blob = new Blob([writeMidiFile(takeToControlChanges(take), take.duration)], { type: 'audio/midi' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'midi-visuals-automation.mid';
+      link.click();
+      URL.revokeObjectURL(url);
+    });
+    
+    const fileInput = document.getElementById('automation-import-file');
+    document.getElementById('automation-import').addEventListener('click', () => {
+      fileInput.click();
+    });
+    
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      
+      try {
+        const take = controlChangesToTake(parseMidiFile(await file.arrayBuffer()));
+        if (take.events.length === 0) {
+          setAutomationStatus(`${file.name} has no control changes on the mapped CCs.`, true);
+        } else {
+          automation.setTake(take);
+          automation.startPlayback(performance.now());
+          setAutomationStatus(`Playing ${file.name}. ${describeTake()}`);
+        }
+      } catch (err) {
+        console.error("Could not import the MIDI file:", err);
+        setAutomationStatus(`Import failed: ${err.message}`, true);
+      }
+      updateStatusBar();
+      
+      // Allow importing the same file again
+      fileInput.value = '';
+    });
+  }
+  
+  // Apply the stored profile or matching template for a newly detected input
+  function applyProfileForInput(input) {
+    if (!getInputSettings(input.name).enabled) return;
+    
+    const profile = findProfileForInput(controllerProfiles, input.name);
+    if (profile) {
+      applyControllerProfile(input.name, profile);
+    }
+  }
+  
+  // Load a profile's mappings into the active CC mappings
+  function applyControllerProfile(inputName, profile) {
+    profile.mappings.forEach((ccNumber, i) => {
+      if (i < midiParams.faderMappings.length) {
+        midiParams.faderMappings[i] = ccNumber;
+        midiParams.mappingSources[i] = null;
+      }
+    });
+    midiParams.controlModes = Array.isArray(profile.modes) ? profile.modes.slice() : [];
+    
+    activeProfile = { inputName: inputName, name: profile.name };
+    console.log(`Applied controller profile "${profile.name}" for ${inputName}`);
+    
+    refreshMappingInputs();
+    renderProfileEditor();
+    sendAllParamFeedback();
+  }
+  
+  // Show a message below the profile controls
+  function setProfileStatus(message) {
+    const status = document.getElementById('profile-status');
+    if (status) {
+      status.textContent = message;
+    }
+  }
+  
+  // Device names offered in the profile editor: connected inputs plus stored profiles
+  function getProfileDeviceNames() {
+    const names = WebMidi.enabled ? WebMidi.inputs.map(input => input.name) : [];
+    Object.keys(controllerProfiles).forEach(name => {
+      if (!names.includes(name)) {
+        names.push(name);
+      }
+    });
+    return names;
+  }
+  
+  // Render the device selector and the list of stored profiles
+  function renderProfileEditor() {
+    const deviceSelect = document.getElementById('profile-device');
+    const list = document.getElementById('profile-list');
+    if (!deviceSelect || !list) return;
+    
+    // Keep the current device selection across re-renders
+    const selectedDevice = deviceSelect.value || (activeProfile && activeProfile.inputName);
+    deviceSelect.innerHTML = '';
+    getProfileDeviceNames().forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      option.selected = name === selectedDevice;
+      deviceSelect.appendChild(option);
+    });
+    
+    list.innerHTML = '';
+    const deviceNames = Object.keys(controllerProfiles);
+    if (deviceNames.length === 0) {
+      list.innerHTML = '<div style="padding: 10px; color: #888;">No device profiles yet. Templates are applied to matching devices automatically.</div>';
+    }
+    
+    deviceNames.forEach(deviceName => {
+      const profile = controllerProfiles[deviceName];
+      const isActive = activeProfile && activeProfile.inputName === deviceName;
+      const row = document.createElement('div');
+      row.style.padding = '6px 10px';
+      row.style.borderBottom = '1px solid #333';
+      row.style.background = isActive ? 'rgba(74, 144, 226, 0.25)' : 'transparent';
+      row.innerHTML = `
+        <div><span class="profile-device" style="font-weight: bold;"></span> — <span class="profile-name"></span></div>
+        <div style="font-size: 11px; color: #aaa;">CC ${profile.mappings.join(', ')}</div>
+      `;
+      // Device and profile names are not trusted HTML
+      row.querySelector('.profile-device').textContent = deviceName;
+      row.querySelector('.profile-name').textContent = profile.name;
+      list.appendChild(row);
+    });
+    
+    const activeText = document.getElementById('profile-active');
+    if (activeText) {
+      activeText.textContent = activeProfile
+        ? `Active profile: ${activeProfile.name} (${activeProfile.inputName})`
+        : 'Active profile: none (default mappings)';
     }
   }
   
+  // Wire up the controller profile controls in the settings panel
+  function setupProfileEditor() {
+    const templateSelect = document.getElementById('profile-template');
+    PROFILE_TEMPLATES.forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.id;
+      option.textContent = template.name;
+      templateSelect.appendChild(option);
+    });
+    
+    // Clone a template (or the current table) into a profile for the selected device
+    document.getElementById('clone-profile').addEventListener('click', () => {
+      const deviceName = document.getElementById('profile-device').value;
+      if (!deviceName) {
+        setProfileStatus('Connect a MIDI device to create a profile for it.');
+        return;
+      }
+      
+      const templateId = templateSelect.value;
+      const source = templateId === 'current'
+        ? { name: 'Current mappings', mappings: midiParams.faderMappings, modes: getCurrentControlModes() }
+        : PROFILE_TEMPLATES.find(template => template.id === templateId);
+      
+      const profile = cloneProfile(source, `${deviceName} (from ${source.name})`);
+      controllerProfiles[deviceName] = profile;
+      saveProfiles(controllerProfiles);
+      applyControllerProfile(deviceName, profile);
+      setProfileStatus(`Created profile for ${deviceName}. Edit the CC numbers above, then save.`);
+    });
+    
+    // Store the edited mapping table into the selected device's profile
+    document.getElementById('save-profile').addEventListener('click', () => {
+      const deviceName = document.getElementById('profile-device').value;
+      if (!deviceName) {
+        setProfileStatus('Select a device first.');
+        return;
+      }
+      
+      const existing = controllerProfiles[deviceName];
+      const current = {
+        name: 'Current mappings',
+        mappings: midiParams.faderMappings.slice(),
+        modes: getCurrentControlModes()
+      };
+      const profile = existing
+        ? Object.assign({}, existing, { mappings: current.mappings, modes: current.modes })
+        : cloneProfile(current, deviceName);
+      
+      controllerProfiles[deviceName] = profile;
+      saveProfiles(controllerProfiles);
+      activeProfile = { inputName: deviceName, name: profile.name };
+      renderProfileEditor();
+      setProfileStatus(`Saved mappings to the ${deviceName} profile.`);
+    });
+    
+    document.getElementById('delete-profile').addEventListener('click', () => {
+      const deviceName = document.getElementById('profile-device').value;
+      if (!controllerProfiles[deviceName]) {
+        setProfileStatus(`No stored profile for ${deviceName}.`);
+        return;
+      }
+      
+      delete controllerProfiles[deviceName];
+      saveProfiles(controllerProfiles);
+      if (activeProfile && activeProfile.inputName === deviceName) {
+        activeProfile = null;
+      }
+      renderProfileEditor();
+      setProfileStatus(`Deleted the profile for ${deviceName}.`);
+    });
+    
+    renderProfileEditor();
+  }
+  
   // Show parameter change notification
   function showParamChangeNotification(paramIndex, value) {
-    const isGesture = paramIndex >= 8; // Parameters 8-13 are gestures
+    const isGesture = GESTURE_PARAMS.includes(paramIndex);
     
     // Update the appropriate notification panel
     if (isGesture) {
@@ -136,7 +2304,7 @@ new p5((p) => {
     };
     
     // Reset the timer
-    paramChangeTimer = 120; // Show for about 2 seconds (60 frames per second)
+    paramChangeTimer = PARAM_PANEL_TIME;
   }
   
   // Update the parameter panel on the left
@@ -175,7 +2343,7 @@ new p5((p) => {
       }
       
       paramDisplay.innerHTML = `
-        <div class="param-name">${paramName} (CC ${ccValue})</div>
+        <div class="param-name">${paramName} (${describeControl(paramIndex)})</div>
         <div class="param-value-bar">
           <div class="param-value-fill" style="width: ${valuePercent}%"></div>
         </div>
@@ -223,7 +2391,7 @@ new p5((p) => {
       }
       
       gestureDisplay.innerHTML = `
-        <div class="gesture-name">${paramName} (CC ${ccValue})</div>
+        <div class="gesture-name">${paramName} (${describeControl(paramIndex)})</div>
         <div class="gesture-value-bar">
           <div class="gesture-value-fill" style="width: ${valuePercent}%"></div>
         </div>
@@ -235,315 +2403,51 @@ new p5((p) => {
     }
   }
   
-  // Create a particle for the organic model
-  function createParticle(x, y, z) {
-    // If position is not provided, create random position
-    if (x === undefined || y === undefined || z === undefined) {
-      x = p.random(-organicModel.terrainSize/2, organicModel.terrainSize/2);
-      z = p.random(-organicModel.terrainSize/2, organicModel.terrainSize/2);
-      
-      // Use Perlin noise to create natural-looking height variations
-      const noiseScale = 0.01;
-      y = p.map(
-        p.noise(x * noiseScale, z * noiseScale), 
-        0, 1, 
-        -organicModel.terrainHeight/2, 
-        organicModel.terrainHeight/2
-      );
-    }
-    
-    // Generate a fixed size based on position for stability
-    const sizeNoise = p.noise(x * 0.05, z * 0.05);
-    const fixedSize = p.map(sizeNoise, 0, 1, 4, 12);
-    
-    // Generate a stable, accessible color based on position
-    // Use a more limited color palette with good contrast
-    const colorSeed = p.noise(x * 0.02, z * 0.02);
-    let hue, sat, bri;
-    
-    // Create a palette of 5 distinct, accessible colors
-    if (colorSeed < 0.2) {
-      // Teal
-      hue = 180;
-      sat = 60;
-      bri = 80;
-    } else if (colorSeed < 0.4) {
-      // Gold
-      hue = 45;
-      sat = 70;
-      bri = 85;
-    } else if (colorSeed < 0.6) {
-      // Purple
-      hue = 270;
-      sat = 50;
-      bri = 75;
-    } else if (colorSeed < 0.8) {
-      // Green
-      hue = 120;
-      sat = 40;
-      bri = 70;
-    } else {
-      // Coral
-      hue = 15;
-      sat = 65;
-      bri = 90;
-    }
-    
-    p.colorMode(p.HSB, 360, 100, 100, 255);
-    const stableColor = p.color(hue, sat, bri, 220);
-    p.colorMode(p.RGB, 255, 255, 255, 255);
-    
-    // Create control points for Bezier motion
-    const controlPoints = [];
-    for (let i = 0; i < 4; i++) {
-      controlPoints.push({
-        x: x + p.random(-50, 50),
-        y: y + p.random(-30, 30),
-        z: z + p.random(-50, 50)
-      });
-    }
-    
-    return {
-      position: p.createVector(x, y, z),
-      velocity: p.createVector(p.random(-0.5, 0.5), p.random(-0.2, 0.2), p.random(-0.5, 0.5)),
-      size: fixedSize,
-      fixedSize: fixedSize, // Store the fixed size to prevent animation
-      color: stableColor,
-      originalPosition: p.createVector(x, y, z),
-      controlPoints: controlPoints,
-      bezierT: 0, // Parameter for Bezier curve (0-1)
-      bezierDirection: 1, // Direction of movement along curve
-      noiseOffset: p.random(1000), // Unique offset for Perlin noise
-      terrainHits: 0, // Count how many times this particle has hit the terrain
-      lastCollisionTime: 0 // Track when the last collision happened
-    };
-  }
-  
-  // Create connections between particles
-  function createConnections() {
-    const connections = [];
-    const particles = organicModel.particles;
-    
-    // If connection density is 0, return empty connections array
-    if (organicModel.connectionDensity <= 0) {
-      return connections;
-    }
-    
-    // Connect each particle to a few nearby particles
-    for (let i = 0; i < particles.length; i++) {
-      const distances = [];
-      
-      for (let j = 0; j < particles.length; j++) {
-        if (i !== j) {
-          const dist = p5.Vector.dist(particles[i].position, particles[j].position);
-          distances.push({ index: j, distance: dist });
-        }
-      }
-      
-      // Sort by distance
-      distances.sort((a, b) => a.distance - b.distance);
-      
-      // Connect to the closest particles based on connection density
-      const maxPossibleConnections = Math.min(5, distances.length);
-      const numConnections = Math.floor(maxPossibleConnections * organicModel.connectionDensity);
-      
-      for (let k = 0; k < numConnections; k++) {
-        connections.push({
-          from: i,
-          to: distances[k].index,
-          strength: p.random(0.01, 0.03),
-          maxLength: distances[k].distance * 1.5
-        });
-      }
-    }
-    
-    return connections;
-  }
-  
-  // Generate terrain mesh
-  function generateTerrain() {
-    const terrain = [];
-    const resolution = organicModel.terrainResolution;
-    const size = organicModel.terrainSize;
-    const noiseScale = 0.02;
-    
-    for (let x = 0; x < resolution; x++) {
-      terrain[x] = [];
-      for (let z = 0; z < resolution; z++) {
-        const xPos = p.map(x, 0, resolution-1, -size/2, size/2);
-        const zPos = p.map(z, 0, resolution-1, -size/2, size/2);
-        
-        // Use multiple layers of noise for more interesting terrain with more elevation points
-        const baseNoise = p.noise(xPos * noiseScale, zPos * noiseScale);
-        const detailNoise = p.noise(xPos * noiseScale * 3, zPos * noiseScale * 3) * 0.3;
-        const microNoise = p.noise(xPos * noiseScale * 8, zPos * noiseScale * 8) * 0.15;
-        const ridgeNoise = Math.abs(p.noise(xPos * noiseScale * 2, zPos * noiseScale * 2) - 0.5) * 0.5;
-        
-        const height = p.map(
-          baseNoise + detailNoise + microNoise + ridgeNoise, 
-          0, 1.8, 
-          -organicModel.terrainHeight/2, 
-          organicModel.terrainHeight/2
-        );
-        
-        terrain[x][z] = {
-          position: p.createVector(xPos, height, zPos),
-          color: getTerrainColor(height, organicModel.terrainHeight)
-        };
-      }
-    }
-    
-    return terrain;
-  }
-  
-  // Get color based on terrain height with lighter, neutral, accessible colors
-  function getTerrainColor(height, maxHeight) {
-    p.colorMode(p.HSB, 360, 100, 100, 255);
-    
-    // Deep water (lighter muted blue-gray)
-    if (height < -maxHeight * 0.3) {
-      return p.color(210, 20, 70, 180);
-    }
-    // Shallow water (very light gray-blue)
-    else if (height < -maxHeight * 0.1) {
-      return p.color(200, 15, 85, 180);
-    }
-    // Low ground (very light beige)
-    else if (height < maxHeight * 0.2) {
-      return p.color(40, 15, 95, 180);
-    }
-    // Medium height (light taupe)
-    else if (height < maxHeight * 0.4) {
-      return p.color(35, 15, 85, 180);
-    }
-    // High ground (light gray-brown)
-    else {
-      return p.color(30, 20, 75, 180);
-    }
-  }
-  
-  // Check if a particle collides with the terrain
-  function checkTerrainCollision(particle) {
-    const terrain = organicModel.terrain;
-    const resolution = organicModel.terrainResolution;
-    const size = organicModel.terrainSize;
-    
-    // Convert particle position to terrain grid coordinates
-    const gridX = Math.floor(p.map(particle.position.x, -size/2, size/2, 0, resolution-1));
-    const gridZ = Math.floor(p.map(particle.position.z, -size/2, size/2, 0, resolution-1));
-    
-    // Check if particle is within terrain bounds
-    if (gridX >= 0 && gridX < resolution-1 && gridZ >= 0 && gridZ < resolution-1) {
-      // Get the four terrain points around the particle
-      const p00 = terrain[gridX][gridZ].position;
-      const p10 = terrain[gridX+1][gridZ].position;
-      const p01 = terrain[gridX][gridZ+1].position;
-      const p11 = terrain[gridX+1][gridZ+1].position;
-      
-      // Interpolate to find the exact terrain height at particle's xz position
-      const xRatio = p.map(particle.position.x, p00.x, p10.x, 0, 1);
-      const zRatio = p.map(particle.position.z, p00.z, p01.z, 0, 1);
-      
-      const h1 = p.lerp(p00.y, p10.y, xRatio);
-      const h2 = p.lerp(p01.y, p11.y, xRatio);
-      const terrainHeight = p.lerp(h1, h2, zRatio);
-      
-      // Calculate surface normal for bounce reflection
-      const v1 = p5.Vector.sub(p10, p00);
-      const v2 = p5.Vector.sub(p01, p00);
-      const normal = v1.cross(v2).normalize();
-      
-      // Make sure normal points upward (for consistent bouncing)
-      if (normal.y < 0) {
-        normal.mult(-1);
-      }
-      
-      // Calculate penetration depth
-      const penetrationDepth = (terrainHeight + particle.size * 0.5) - particle.position.y;
-      
-      // Check if particle is below terrain surface (with a small buffer for particle size)
-      if (penetrationDepth > 0) {
-        // Calculate velocity relative to surface
-        const velMagnitude = particle.velocity.mag();
-        
-        return {
-          collision: true,
-          normal: normal,
-          terrainHeight: terrainHeight,
-          penetrationDepth: penetrationDepth,
-          velocityMagnitude: velMagnitude
-        };
-      }
-    }
-    
-    // No collision
-    return {
-      collision: false,
-      normal: p.createVector(0, 1, 0),
-      terrainHeight: -Infinity,
-      penetrationDepth: 0,
-      velocityMagnitude: 0
-    };
-  }
-  
-  // Initialize the organic model
-  function initOrganicModel() {
-    // Generate terrain first
-    organicModel.terrain = generateTerrain();
-    
-    // Create particles
-    organicModel.particles = [];
-    const actualParticles = Math.floor(organicModel.numParticles * organicModel.particleDensity);
-    for (let i = 0; i < actualParticles; i++) {
-      organicModel.particles.push(createParticle());
-    }
-    
-    // Create connections between particles
-    organicModel.connections = createConnections();
+  // Restart the world from a seed
+  function seedSimulation(seed) {
+    simulationSettings.seed = seed;
+    saveStored(SIMULATION_SETTINGS_KEY, simulationSettings);
+    modulatorRandom = createRandom(seed);
+    simulation.reset(seed);
   }
-  
-  // Smooth gesture values
-  function smoothGestureValues() {
-    // Only smooth gesture values (indices 8-13)
-    for (let i = 8; i < midiParams.faderValues.length; i++) {
-      // Make smoothing more responsive when value is higher
-      // This creates faster acceleration when the value increases
-      const adaptiveSmoothingFactor = midiParams.smoothingFactor * 
-        (1 + midiParams.faderValues[i] * 2); // Increase smoothing factor based on value
-      
-      midiParams.smoothedValues[i] = midiParams.smoothedValues[i] + 
-        (midiParams.faderValues[i] - midiParams.smoothedValues[i]) * adaptiveSmoothingFactor;
-    }
-    
-    // Copy non-gesture values directly
-    for (let i = 0; i < 8; i++) {
-      midiParams.smoothedValues[i] = midiParams.faderValues[i];
+  
+  // Slew every parameter toward its modulated value over the elapsed time
+  function slewParamValues(dtMs) {
+    for (let i = 0; i < midiParams.modulatedValues.length; i++) {
+      midiParams.smoothedValues[i] = stepSlew(slewSettings[i], slewStates[i], midiParams.modulatedValues[i], dtMs);
     }
   }
   
-  // Update the organic model based on physics and MIDI parameters
-  function updateOrganicModel() {
-    if (simulationState !== 'running') return;
+  // Turn the MIDI parameters into camera moves and simulation parameters, and step the world
+  function updateSimulation(frameTime) {
+    if (simulationState !== 'running') {
+      // Still show resets and terrain changes made while paused
+      simulation.sync();
+      return;
+    }
     
-    // Smooth gesture values
-    smoothGestureValues();
+    // Smooth all parameters with their slew settings
+    slewParamValues(p.deltaTime);
     
-    const size = p.map(midiParams.smoothedValues[0], 0, 1, 0.5, 2);
-    const speed = p.map(midiParams.smoothedValues[1], 0, 1, 0.1, 2);
-    const gravity = p.map(midiParams.smoothedValues[2], 0, 1, 0.01, 0.2); // Changed from complexity to gravity
-    const turbulenceValue = p.map(midiParams.smoothedValues[3], 0, 1, 0.01, 0.3); // Changed from colorHue to turbulence
-    const randomness = p.map(midiParams.smoothedValues[4], 0, 1, 0.01, 0.2); // Controls random impulses and movement
-    const particleDensity = p.map(midiParams.smoothedValues[5], 0, 1, 0.2, 1);
-    const connectionDensity = p.map(midiParams.smoothedValues[6], 0, 1, 0, 1); // Start from 0 instead of 0.2
-    const terrainHeight = p.map(midiParams.smoothedValues[7], 0, 1, 20, 200);
+    // Map the controls into parameter ranges through the modulation matrix
+    updateParamValues();
+    
+    const size = midiParams.paramValues[0];
+    const speed = midiParams.paramValues[1];
+    const gravity = midiParams.paramValues[2]; // Changed from complexity to gravity
+    const turbulenceValue = midiParams.paramValues[3]; // Changed from colorHue to turbulence
+    const randomness = midiParams.paramValues[4]; // Controls random impulses and movement
+    const particleDensity = midiParams.paramValues[5];
+    const connectionDensity = midiParams.paramValues[6];
+    const terrainHeight = midiParams.paramValues[7];
     
     // Update camera parameters based on MIDI controls (using smoothed values)
-    const tiltFront = midiParams.smoothedValues[8];
-    const tiltBack = midiParams.smoothedValues[9];
-    const liftRight = midiParams.smoothedValues[10];
-    const liftLeft = midiParams.smoothedValues[11];
-    const rotateRight = midiParams.smoothedValues[12];
-    const rotateLeft = midiParams.smoothedValues[13];
+    const tiltFront = midiParams.paramValues[8];
+    const tiltBack = midiParams.paramValues[9];
+    const liftRight = midiParams.paramValues[10];
+    const liftLeft = midiParams.paramValues[11];
+    const rotateRight = midiParams.paramValues[12];
+    const rotateLeft = midiParams.paramValues[13];
     
     // Calculate Z rotation (tilt front-back) - rotate around Z axis
     const zRotationValue = p.map(tiltFront - tiltBack, -1, 1, -Math.PI/4, Math.PI/4);
@@ -555,14 +2459,29 @@ new p5((p) => {
     
     // Calculate Y rotation (rotate right-left) - rotate around Y axis in 15-degree increments
     // Detect significant changes in rotation input
+    // A held rotation gesture steps every ROTATION_STEP_TIME, or once per beat or bar when synced
     const rotationInput = rotateRight - rotateLeft;
+    let rotationSteps = 0;
     if (Math.abs(rotationInput) > 0.5) { // Threshold for triggering rotation
-      // Determine direction and apply 15-degree increment
+      if (tempoSync.rotationSteps === 'free') {
+        cameraParams.rotationStepTimer += frameTime;
+        rotationSteps = Math.floor(cameraParams.rotationStepTimer / ROTATION_STEP_TIME);
+        cameraParams.rotationStepTimer -= rotationSteps * ROTATION_STEP_TIME;
+      } else if (syncBoundaryCrossed(tempoSync.rotationSteps)) {
+        rotationSteps = 1;
+      }
+    } else {
+      // The first step comes as soon as the gesture crosses the threshold
+      cameraParams.rotationStepTimer = ROTATION_STEP_TIME;
+    }
+    
+    if (rotationSteps > 0) {
+      // Determine direction and apply 15-degree increments
       const rotationIncrement = Math.PI / 12; // 15 degrees
       if (rotationInput > 0) {
-        cameraParams.yRotation += rotationIncrement;
+        cameraParams.yRotation += rotationIncrement * rotationSteps;
       } else {
-        cameraParams.yRotation -= rotationIncrement;
+        cameraParams.yRotation -= rotationIncrement * rotationSteps;
       }
       
       // Normalize rotation to keep it within 0-2π range
@@ -573,300 +2492,39 @@ new p5((p) => {
     forceParams.vortexStrength = p.map(tiltFront + tiltBack, 0, 2, 0, 0.05);
     forceParams.gravityStrength = p.map(liftRight + liftLeft, 0, 2, 0, 0.1);
     
-    // Update terrain height based on MIDI control
-    if (Math.abs(organicModel.terrainHeight - terrainHeight) > 5) {
-      organicModel.terrainHeight = terrainHeight;
-      organicModel.terrain = generateTerrain();
-    }
-    
-    // Update particle and connection density if changed significantly
-    if (Math.abs(organicModel.particleDensity - particleDensity) > 0.1 ||
-        Math.abs(organicModel.connectionDensity - connectionDensity) > 0.1) {
-      organicModel.particleDensity = particleDensity;
-      organicModel.connectionDensity = connectionDensity;
-      
-      // Reinitialize with new densities
-      const oldParticles = organicModel.particles.slice();
-      
-      // If we're only changing connection density, don't reinitialize particles
-      if (Math.abs(organicModel.connectionDensity - connectionDensity) > 0.1) {
-        // Just update connections
-        organicModel.connections = createConnections();
-      } else {
-        // Full reinitialization needed
-        initOrganicModel();
-        
-        // Transfer positions from old particles to maintain continuity
-        const minLength = Math.min(oldParticles.length, organicModel.particles.length);
-        for (let i = 0; i < minLength; i++) {
-          organicModel.particles[i].position = oldParticles[i].position.copy();
-          organicModel.particles[i].velocity = oldParticles[i].velocity.copy();
-        }
-      }
-    }
-    
-    // Check for particle-particle collisions but don't remove them
-    for (let i = 0; i < organicModel.particles.length; i++) {
-      for (let j = i + 1; j < organicModel.particles.length; j++) {
-        const particleA = organicModel.particles[i];
-        const particleB = organicModel.particles[j];
-        
-        // Calculate distance between particles
-        const distance = p5.Vector.dist(particleA.position, particleB.position);
-        
-        // If particles are colliding, bounce them off each other
-        if (distance < (particleA.size + particleB.size) * 0.8) {
-          // Calculate direction vector between particles
-          const direction = p5.Vector.sub(particleB.position, particleA.position).normalize();
-          
-          // Apply opposing forces to separate them
-          const force = 0.5;
-          particleA.velocity.sub(p5.Vector.mult(direction, force));
-          particleB.velocity.add(p5.Vector.mult(direction, force));
-        }
-      }
-    }
-    
-    // Update particles
-    for (let i = 0; i < organicModel.particles.length; i++) {
-      const particle = organicModel.particles[i];
-      
-      // Apply turbulence with turbulence parameter - more movement on Y axis
-      particle.velocity.add(
-        p.createVector(
-          p.random(-turbulenceValue - randomness, turbulenceValue + randomness),
-          p.random(-turbulenceValue - randomness * 1.5, turbulenceValue + randomness * 1.5), // Increased Y movement
-          p.random(-turbulenceValue - randomness, turbulenceValue + randomness)
-        )
-      );
-      
-      // Apply gravity towards center - now controlled by gravity parameter
-      const gravityForce = p5.Vector.sub(
-        p.createVector(0, 0, 0),
-        particle.position
-      ).normalize().mult(gravity + forceParams.gravityStrength);
-      
-      particle.velocity.add(gravityForce);
-      
-      // Apply vortex force (circular motion around y-axis)
-      if (forceParams.vortexStrength > 0) {
-        const vortexForce = p.createVector(
-          -particle.position.z,
-          0,
-          particle.position.x
-        ).normalize().mult(forceParams.vortexStrength);
-        
-        particle.velocity.add(vortexForce);
-      }
-      
-      // Apply elasticity (return to original position)
-      const elasticForce = p5.Vector.sub(
-        particle.originalPosition,
-        particle.position
-      ).mult(elasticity);
-      
-      particle.velocity.add(elasticForce);
-      
-      // Apply random impulse based on randomness parameter
-      // This creates more dramatic and unpredictable movement
-      if (p.random() < randomness * 0.3) { // Probability of impulse increases with randomness
-        // Calculate impulse strength based on randomness
-        const impulseStrength = p.map(randomness, 0, 0.2, 0.5, 3.0);
-        
-        // Create random direction vector
-        const randomDirection = p.createVector(
-          p.random(-1, 1),
-          p.random(-1, 1),
-          p.random(-1, 1)
-        ).normalize();
-        
-        // Apply impulse as a sudden force
-        const randomImpulse = p5.Vector.mult(randomDirection, impulseStrength);
-        particle.velocity.add(randomImpulse);
-      }
-      
-      // Update position
-      particle.velocity.mult(0.98); // Damping
-      particle.position.add(p5.Vector.mult(particle.velocity, speed));
-      
-      // Create a box-like environment with transparent walls
-      const terrainSize = organicModel.terrainSize;
-      const halfSize = terrainSize / 2;
-      const maxHeight = organicModel.terrainHeight * 6; // Much higher ceiling for the box
-      
-      // Bounce off X walls
-      if (particle.position.x > halfSize) {
-        particle.position.x = halfSize;
-        particle.velocity.x *= -0.8; // Bounce with energy loss
-      } else if (particle.position.x < -halfSize) {
-        particle.position.x = -halfSize;
-        particle.velocity.x *= -0.8;
-      }
-      
-      // Bounce off Z walls
-      if (particle.position.z > halfSize) {
-        particle.position.z = halfSize;
-        particle.velocity.z *= -0.8;
-      } else if (particle.position.z < -halfSize) {
-        particle.position.z = -halfSize;
-        particle.velocity.z *= -0.8;
-      }
-      
-      // Bounce off ceiling (Y max)
-      if (particle.position.y > maxHeight) {
-        particle.position.y = maxHeight;
-        particle.velocity.y *= -0.8;
-      }
-      
-      // Check for collision with terrain and bounce
-      const terrainCollision = checkTerrainCollision(particle);
-      // Prevent particles from going below the terrain
-      if (terrainCollision.collision || particle.position.y < -organicModel.terrainHeight) {
-        // Only count as a hit if enough time has passed since last hit (to avoid multiple hits in a row)
-        const currentTime = p.frameCount;
-        if (currentTime - particle.lastCollisionTime > 10) {
-          particle.terrainHits++;
-          particle.lastCollisionTime = currentTime;
-          
-          // No particle creation or removal based on terrain hits
-        }
-        
-        // Calculate bounce with proper physics
-        // First, move the particle to just above the terrain surface with a bit more clearance
-        particle.position.y = terrainCollision.terrainHeight + particle.size * 0.8;
-        
-        // Calculate reflection vector with some energy loss
-        const bounciness = 0.7; // Higher values = more bouncy
-        
-        // Reflect velocity vector around the terrain normal
-        const dot = particle.velocity.dot(terrainCollision.normal);
-        const reflectionForce = p5.Vector.mult(terrainCollision.normal, 2 * dot);
-        particle.velocity.sub(reflectionForce);
-        
-        // Apply bounciness factor (energy loss)
-        particle.velocity.mult(bounciness);
-        
-        // Add a small upward impulse for more visible bouncing
-        const bounceImpulse = p5.Vector.mult(terrainCollision.normal, 0.5 * speed);
-        particle.velocity.add(bounceImpulse);
-      }
-      
-      // Use fixed size with global size parameter
-      particle.size = particle.fixedSize * size;
-      
-      // Apply Bezier curve motion
-      particle.bezierT += 0.002 * speed * particle.bezierDirection;
-      
-      // Reverse direction at endpoints
-      if (particle.bezierT > 1 || particle.bezierT < 0) {
-        particle.bezierDirection *= -1;
-      }
-      
-      // Constrain bezierT between 0 and 1
-      particle.bezierT = p.constrain(particle.bezierT, 0, 1);
-      
-      // Calculate position along Bezier curve
-      if (Math.random() < 0.05) { // Only occasionally use Bezier to allow other forces to work
-        const cp = particle.controlPoints;
-        const t = particle.bezierT;
-        
-        // Cubic Bezier formula
-        const bx = p.bezierPoint(cp[0].x, cp[1].x, cp[2].x, cp[3].x, t);
-        const by = p.bezierPoint(cp[0].y, cp[1].y, cp[2].y, cp[3].y, t);
-        const bz = p.bezierPoint(cp[0].z, cp[1].z, cp[2].z, cp[3].z, t);
-        
-        // Gradually move toward the Bezier point
-        particle.position.x = p.lerp(particle.position.x, bx, 0.03);
-        particle.position.y = p.lerp(particle.position.y, by, 0.03);
-        particle.position.z = p.lerp(particle.position.z, bz, 0.03);
-      }
-      
-      // Apply 3D Perlin noise for more natural continuous movement
-      // This is separate from the random impulses
-      const noiseTime = p.frameCount * 0.01;
-      const noiseX = p.noise(particle.noiseOffset, noiseTime) - 0.5;
-      const noiseY = p.noise(particle.noiseOffset + 100, noiseTime) - 0.5;
-      const noiseZ = p.noise(particle.noiseOffset + 200, noiseTime) - 0.5;
-      
-      // Scale noise effect based on randomness, but keep it subtle
-      const noiseStrength = p.map(randomness, 0, 0.2, 0.1, 0.5);
-      particle.position.x += noiseX * noiseStrength;
-      particle.position.y += noiseY * noiseStrength;
-      particle.position.z += noiseZ * noiseStrength;
-    }
-    
-    // Apply connection constraints
-    for (const connection of organicModel.connections) {
-      const particleA = organicModel.particles[connection.from];
-      const particleB = organicModel.particles[connection.to];
-      
-      if (particleA && particleB) {
-        const direction = p5.Vector.sub(particleB.position, particleA.position);
-        const distance = direction.mag();
-        
-        if (distance > connection.maxLength) {
-          direction.normalize();
-          const correction = p5.Vector.mult(direction, (distance - connection.maxLength) * connection.strength);
-          
-          particleA.position.add(correction);
-          particleB.position.sub(correction);
-        }
-      }
-    }
+    liveForceFields = getLiveForceFields();
     
-    // Add new particles from the queue
-    if (organicModel.particlesToAdd.length > 0) {
-      organicModel.particles.push(...organicModel.particlesToAdd);
-      organicModel.particlesToAdd = [];
-      
-      // Recreate connections when particles are added (only if connection density > 0)
-      if (organicModel.connectionDensity > 0) {
-        organicModel.connections = createConnections();
-      } else {
-        organicModel.connections = [];
-      }
-    }
+    // A high-resolution control can afford a finer terrain height threshold than the 7-bit steps
+    const terrainHeightThreshold = getControlMode(7) === '7bit' ? 5 : 0.5;
     
-    // Remove particles marked for deletion (in reverse order to avoid index issues)
-    if (organicModel.particlesToRemove.length > 0) {
-      // Sort indices in descending order
-      organicModel.particlesToRemove.sort((a, b) => b - a);
-      
-      // Remove duplicates
-      organicModel.particlesToRemove = [...new Set(organicModel.particlesToRemove)];
-      
-      // Remove particles
-      for (const index of organicModel.particlesToRemove) {
-        if (index >= 0 && index < organicModel.particles.length) {
-          organicModel.particles.splice(index, 1);
-        }
-      }
-      
-      // Clear the removal queue
-      organicModel.particlesToRemove = [];
-      
-      // Recreate connections when particles are removed (only if connection density > 0)
-      if (organicModel.connectionDensity > 0) {
-        organicModel.connections = createConnections();
-      } else {
-        organicModel.connections = [];
-      }
+    // When synced, impulses only fire on the beat or bar, and the Bezier
+    // curves are travelled there and back once per beat or bar pair
+    let bezierT = null;
+    if (tempoSync.bezier !== 'free') {
+      const cycle = (tempoFrame.beat / syncPeriodBeats(tempoSync.bezier)) % 2;
+      bezierT = cycle < 1 ? cycle : 2 - cycle;
     }
     
-    // Check if we need to spawn more particles
-    if (organicModel.particles.length < organicModel.minParticles) {
-      const particlesToSpawn = organicModel.minParticles - organicModel.particles.length;
-      for (let i = 0; i < particlesToSpawn; i++) {
-        organicModel.particles.push(createParticle());
-      }
-      
-      // Recreate connections for new particles (only if connection density > 0)
-      if (organicModel.connectionDensity > 0) {
-        organicModel.connections = createConnections();
-      } else {
-        organicModel.connections = [];
-      }
-    }
+    simulation.advance({
+      size,
+      speed,
+      gravity,
+      turbulence: turbulenceValue,
+      randomness,
+      particleDensity,
+      connectionDensity,
+      terrainHeight,
+      terrainHeightThreshold,
+      terrainSpeed: midiParams.paramValues[14],
+      waveAmplitude: midiParams.paramValues[15],
+      emissionRate: midiParams.paramValues[16],
+      lifespan: midiParams.paramValues[17],
+      forceFields: liveForceFields.filter(field => field.enabled),
+      vortexStrength: forceParams.vortexStrength,
+      centerPull: forceParams.gravityStrength,
+      impulseSync: tempoSync.impulses === 'free' ? null : syncBoundaryCrossed(tempoSync.impulses),
+      bezierT
+    }, frameTime);
   }
   
   // Draw XYZ axes for orientation
@@ -890,35 +2548,118 @@ new p5((p) => {
     p.strokeWeight(1);
   }
   
-  // Draw the organic model
-  function drawOrganicModel() {
+  // Draw each enabled force field: a marker at its position, its direction
+  // or axis, and the reach of its falloff, in the field type's color
+  function drawForceFieldGizmos() {
+    p.push();
+    p.noFill();
+    p.strokeWeight(1.5);
+    
+    liveForceFields.forEach(field => {
+      if (!field.enabled) return;
+      const type = getFieldType(field.type);
+      const [r, g, b] = type.color;
+      const direction = p.createVector(field.dx, field.dy, field.dz);
+      if (direction.mag() === 0) direction.set(0, 1, 0);
+      direction.normalize();
+      
+      p.push();
+      p.translate(field.x, field.y, field.z);
+      p.stroke(r, g, b);
+      p.sphere(6, 6, 4);
+      
+      if (['wind', 'vortex', 'drag'].includes(field.type)) {
+        p.line(0, 0, 0, direction.x * 80, direction.y * 80, direction.z * 80);
+        
+        // Turn the XY plane to face the direction, for the vortex ring and the drag plane
+        const zAxis = p.createVector(0, 0, 1);
+        const turnAxis = zAxis.cross(direction);
+        const angle = Math.acos(Math.min(1, Math.max(-1, direction.z)));
+        if (turnAxis.mag() > 1e-6) {
+          p.rotate(angle, [turnAxis.x, turnAxis.y, turnAxis.z]);
+        } else if (direction.z < 0) {
+          p.rotateX(Math.PI);
+        }
+        
+        if (field.type === 'vortex') {
+          p.circle(0, 0, 80);
+        } else if (field.type === 'drag') {
+          p.rectMode(p.CENTER);
+          p.square(0, 0, 200);
+          if (field.falloff > 0) {
+            p.stroke(r, g, b, 60);
+            p.translate(0, 0, field.falloff);
+            p.square(0, 0, 200);
+            p.translate(0, 0, -2 * field.falloff);
+            p.square(0, 0, 200);
+          }
+        }
+      }
+      
+      if (field.type !== 'drag' && field.falloff > 0) {
+        p.stroke(r, g, b, 40);
+        p.sphere(field.falloff, 12, 8);
+      }
+      p.pop();
+    });
+    
+    p.pop();
+  }
+  
+  // Draw the world
+  function drawWorld(cameraPosition) {
+    const view = simulation.view;
+    
     // Draw terrain
     drawTerrain();
     
     // Draw axes for orientation
     drawAxes();
     
+    if (forceFieldSettings.showGizmos) {
+      drawForceFieldGizmos();
+    }
+    
+    const batched = renderSettings.particleRenderer === 'batched' && particleRenderer !== null;
+    
     // Draw connections only if connection density is greater than 0
-    if (organicModel.connectionDensity > 0 && organicModel.connections.length > 0) {
+    if (view.connectionDensity > 0 && view.connections.length > 0 && batched) {
+      // All connections as one shape: a single draw call
+      p.stroke(0, 100);
+      p.strokeWeight(0.5);
+      p.beginShape(p.LINES);
+      for (const connection of view.connections) {
+        const particleA = view.particles[connection.from];
+        const particleB = view.particles[connection.to];
+        p.vertex(particleA.renderPosition.x, particleA.renderPosition.y, particleA.renderPosition.z);
+        p.vertex(particleB.renderPosition.x, particleB.renderPosition.y, particleB.renderPosition.z);
+      }
+      p.endShape();
+    } else if (view.connectionDensity > 0 && view.connections.length > 0) {
       p.stroke(0, 100);
       p.strokeWeight(0.5);
       
-      for (const connection of organicModel.connections) {
-        const particleA = organicModel.particles[connection.from];
-        const particleB = organicModel.particles[connection.to];
+      for (const connection of view.connections) {
+        const particleA = view.particles[connection.from];
+        const particleB = view.particles[connection.to];
         
         p.line(
-          particleA.position.x, particleA.position.y, particleA.position.z,
-          particleB.position.x, particleB.position.y, particleB.position.z
+          particleA.renderPosition.x, particleA.renderPosition.y, particleA.renderPosition.z,
+          particleB.renderPosition.x, particleB.renderPosition.y, particleB.renderPosition.z
         );
       }
     }
     
+    if (batched) {
+      particleRenderer.draw(view.particles, cameraPosition, renderSettings.particleLod);
+      return;
+    }
+    
     // Draw particles as enhanced spheres
     p.noStroke();
-    for (const particle of organicModel.particles) {
+    for (const particle of view.particles) {
       p.push();
-      p.translate(particle.position.x, particle.position.y, particle.position.z);
+      p.translate(particle.renderPosition.x, particle.renderPosition.y, particle.renderPosition.z);
       
       // Use the stable color
       p.fill(particle.color);
@@ -935,72 +2676,38 @@ new p5((p) => {
   
   // Draw the terrain mesh and transparent box walls
   function drawTerrain() {
-    const terrain = organicModel.terrain;
-    const resolution = organicModel.terrainResolution;
-    const terrainSize = organicModel.terrainSize;
+    const view = simulation.view;
+    const terrain = view.terrain;
+    if (terrain.length === 0) return; // The worker hasn't sent the world yet
+    const terrainSize = view.terrainSize;
     const halfSize = terrainSize / 2;
-    const maxHeight = organicModel.terrainHeight * 2;
-    
-    // Draw terrain as triangles with thin black stroke
-    p.strokeWeight(0.2);
-    p.stroke(0, 50);
+    const maxHeight = view.terrainHeight * 2;
     
-    for (let x = 0; x < resolution-1; x++) {
-      for (let z = 0; z < resolution-1; z++) {
-        // Each grid cell is made of two triangles
-        p.beginShape(p.TRIANGLES);
-        
-        // First triangle
-        p.fill(terrain[x][z].color);
-        p.vertex(
-          terrain[x][z].position.x,
-          terrain[x][z].position.y,
-          terrain[x][z].position.z
-        );
-        
-        p.fill(terrain[x+1][z].color);
-        p.vertex(
-          terrain[x+1][z].position.x,
-          terrain[x+1][z].position.y,
-          terrain[x+1][z].position.z
-        );
-        
-        p.fill(terrain[x][z+1].color);
-        p.vertex(
-          terrain[x][z+1].position.x,
-          terrain[x][z+1].position.y,
-          terrain[x][z+1].position.z
-        );
-        
-        p.endShape();
-        
-        // Second triangle
-        p.beginShape(p.TRIANGLES);
-        
-        p.fill(terrain[x+1][z].color);
-        p.vertex(
-          terrain[x+1][z].position.x,
-          terrain[x+1][z].position.y,
-          terrain[x+1][z].position.z
-        );
-        
-        p.fill(terrain[x+1][z+1].color);
-        p.vertex(
-          terrain[x+1][z+1].position.x,
-          terrain[x+1][z+1].position.y,
-          terrain[x+1][z+1].position.z
-        );
-        
-        p.fill(terrain[x][z+1].color);
-        p.vertex(
-          terrain[x][z+1].position.x,
-          terrain[x][z+1].position.y,
-          terrain[x][z+1].position.z
-        );
-        
-        p.endShape();
+    // Upload the grid again only when it has been replaced or has moved
+    if (terrain !== terrainMeshSource) {
+      if (terrainMesh) {
+        p.freeGeometry(terrainMesh);
       }
+      terrainMesh = buildTerrainGeometry(terrain);
+      terrainMeshSource = terrain;
+      terrainMeshVersion = view.terrainVersion;
+    } else if (terrainMeshVersion !== view.terrainVersion) {
+      // Morphing or living terrain: same grid, new heights and colors
+      updateTerrainGeometry(terrainMesh, terrain);
+      p.freeGeometry(terrainMesh); // p.model uploads it again
+      terrainMeshVersion = view.terrainVersion;
+    }
+    
+    // Draw the terrain mesh, with a thin black wireframe if enabled
+    p.push();
+    if (renderSettings.terrainWireframe) {
+      p.strokeWeight(0.2);
+      p.stroke(0, 50);
+    } else {
+      p.noStroke();
     }
+    p.model(terrainMesh);
+    p.pop();
     
     // Draw transparent box walls
     p.push();
@@ -1054,6 +2761,420 @@ new p5((p) => {
     p.pop();
   }
   
+  // Capture the current look as a named preset
+  function capturePreset(name) {
+    const camera = {};
+    presetCameraKeys.forEach(key => {
+      camera[key] = cameraParams[key];
+    });
+    
+    return {
+      name: name,
+      faderValues: midiParams.faderValues.slice(),
+      faderMappings: midiParams.faderMappings.slice(),
+      controlModes: getCurrentControlModes(),
+      routes: matrixRoutes.map(route => Object.assign({}, route)),
+      cameraParams: camera,
+      organicModel: {
+        particleDensity: simulation.view.particleDensity,
+        connectionDensity: simulation.view.connectionDensity,
+        terrainHeight: simulation.view.terrainHeight
+      },
+      terrain: {
+        generator: terrainSettings.generator,
+        seed: terrainSettings.seed,
+        params: Object.assign({}, terrainSettings.generatorParams[terrainSettings.generator])
+      },
+      savedAt: new Date().toISOString()
+    };
+  }
+  
+  // Restore a preset and rebuild the model with its densities and terrain height
+  // The preset has been through sanitizePreset (presets.js): unusable values are
+  // missing or null, and leave the current setting in place
+  function applyPreset(preset) {
+    preset.faderValues.forEach((value, i) => {
+      if (value !== null && i < midiParams.faderValues.length) {
+        setFaderValue(i, value);
+      }
+    });
+    
+    if (Array.isArray(preset.faderMappings)) {
+      preset.faderMappings.forEach((ccNumber, i) => {
+        if (ccNumber !== null && i < midiParams.faderMappings.length) {
+          if (midiParams.faderMappings[i] !== ccNumber) {
+            midiParams.mappingSources[i] = null;
+          }
+          midiParams.faderMappings[i] = ccNumber;
+        }
+      });
+    }
+    
+    if (Array.isArray(preset.controlModes)) {
+      midiParams.controlModes = preset.controlModes.slice(0, midiParams.faderMappings.length);
+    }
+    
+    if (Array.isArray(preset.routes)) {
+      setMatrixRoutes(preset.routes.map(route => Object.assign({}, route)));
+    }
+    
+    if (preset.cameraParams) {
+      presetCameraKeys.forEach(key => {
+        if (key in preset.cameraParams) {
+          cameraParams[key] = preset.cameraParams[key];
+        }
+      });
+    }
+    
+    const rebuildSettings = Object.assign({}, preset.organicModel);
+    
+    // The landscape of the preset (a heightmap preset uses the currently loaded image)
+    if (preset.terrain) {
+      terrainSettings.generator = preset.terrain.generator;
+      if (preset.terrain.seed !== undefined) {
+        terrainSettings.seed = preset.terrain.seed;
+      }
+      terrainSettings.generatorParams[preset.terrain.generator] = Object.assign(
+        createDefaultGeneratorParams()[preset.terrain.generator],
+        preset.terrain.params
+      );
+      saveStored(TERRAIN_SETTINGS_KEY, terrainSettings);
+      refreshTerrainInputs();
+      simulation.setTerrainSettings(terrainSettings); // The rebuild regenerates the terrain
+    }
+    
+    simulation.rebuild(rebuildSettings);
+    
+    activePresetName = preset.name;
+    refreshMappingInputs();
+    refreshSliders();
+    sendAllParamFeedback();
+    renderPresetList();
+    updateStatusBar();
+  }
+  
+  // Recall a preset by its Program Change number (its position in the list)
+  function recallPresetByProgram(program) {
+    const preset = presets[program];
+    if (preset) {
+      applyPreset(preset);
+    } else {
+      console.log(`No preset stored for Program Change ${program}`);
+    }
+  }
+  
+  // Show a message below the preset controls
+  function setPresetStatus(message) {
+    const status = document.getElementById('preset-status');
+    if (status) {
+      status.textContent = message;
+    }
+  }
+  
+  // Render the preset browser list in the settings panel
+  function renderPresetList() {
+    const list = document.getElementById('preset-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    if (presets.length === 0) {
+      list.innerHTML = '<div style="padding: 10px; color: #888;">No presets saved yet.</div>';
+      return;
+    }
+    
+    presets.forEach((preset, index) => {
+      const isActive = preset.name === activePresetName;
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.padding = '6px 10px';
+      row.style.borderBottom = '1px solid #333';
+      row.style.background = isActive ? 'rgba(74, 144, 226, 0.25)' : 'transparent';
+      
+      row.innerHTML = `
+        <span style="width: 60px; color: #888; font-size: 12px;">PC ${index}</span>
+        <span class="preset-name" style="flex: 1;"></span>
+        <button class="preset-recall" style="margin-left: 10px; padding: 4px 10px; background: #4a90e2; color: white; border: none; border-radius: 3px; cursor: pointer;">Recall</button>
+        <button class="preset-delete" style="margin-left: 10px; padding: 4px 10px; background: #555; color: white; border: none; border-radius: 3px; cursor: pointer;">Delete</button>
+      `;
+      // Preset names are user input, so set them as text rather than HTML
+      row.querySelector('.preset-name').textContent = preset.name;
+      
+      row.querySelector('.preset-recall').addEventListener('click', () => {
+        applyPreset(preset);
+        setPresetStatus(`Recalled "${preset.name}"`);
+      });
+      
+      row.querySelector('.preset-delete').addEventListener('click', () => {
+        presets.splice(index, 1);
+        savePresets(presets);
+        if (activePresetName === preset.name) {
+          activePresetName = null;
+          updateStatusBar();
+        }
+        renderPresetList();
+        setPresetStatus(`Deleted "${preset.name}"`);
+      });
+      
+      list.appendChild(row);
+    });
+  }
+  
+  // Wire up the preset browser controls in the settings panel
+  function setupPresetBrowser() {
+    document.getElementById('save-preset').addEventListener('click', () => {
+      const nameInput = document.getElementById('preset-name');
+      const name = nameInput.value.trim();
+      if (!name) {
+        setPresetStatus('Enter a name for the preset first.');
+        return;
+      }
+      
+      upsertPreset(presets, capturePreset(name));
+      savePresets(presets);
+      activePresetName = name;
+      nameInput.value = '';
+      renderPresetList();
+      updateStatusBar();
+      setPresetStatus(`Saved "${name}"`);
+    });
+    
+    document.getElementById('export-presets').addEventListener('click', () => {
+      const blob = new Blob([exportPresets(presets)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'midi-visuals-presets.json';
+      link.click();
+      URL.revokeObjectURL(url);
+    });
+    
+    const fileInput = document.getElementById('import-presets-file');
+    document.getElementById('import-presets').addEventListener('click', () => {
+      fileInput.click();
+    });
+    
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      
+      try {
+        const imported = parsePresetFile(await file.text());
+        imported.forEach(preset => upsertPreset(presets, preset));
+        savePresets(presets);
+        renderPresetList();
+        setPresetStatus(`Imported ${imported.length} preset(s) from ${file.name}`);
+      } catch (err) {
+        console.error("Could not import presets:", err);
+        setPresetStatus(`Import failed: ${err.message}`);
+      }
+      
+      // Allow importing the same file again
+      fileInput.value = '';
+    });
+    
+    renderPresetList();
+  }
+  
+  // Update the MIDI CC inputs in the settings panel from the current mappings
+  function refreshMappingInputs() {
+    for (let i = 0; i < midiParams.faderMappings.length; i++) {
+      const input = document.getElementById(`midi-cc-${i}`);
+      if (input) {
+        input.value = midiParams.faderMappings[i];
+      }
+      
+      // High-resolution parameters are highlighted so they stand out in the table
+      const modeSelect = document.getElementById(`midi-mode-${i}`);
+      if (modeSelect) {
+        modeSelect.value = getControlMode(i);
+        modeSelect.style.background = getControlMode(i) === '7bit' ? '#333' : '#2a6a4a';
+      }
+      
+      // Refresh every row so conflict warnings follow the new mappings
+      if (i !== midiLearnIndex) {
+        showMappingStatus(i);
+      }
+    }
+  }
+  
+  // Update the on-screen sliders (if shown) from the current fader values
+  function refreshSliders() {
+    for (let i = 0; i < midiParams.faderValues.length; i++) {
+      refreshSlider(i);
+    }
+  }
+  
+  // Update one on-screen slider and its hardware marker
+  function refreshSlider(paramIndex) {
+    const slider = document.getElementById(`slider-${paramIndex}`);
+    const sliderValue = document.getElementById(`slider-value-${paramIndex}`);
+    if (slider && sliderValue) {
+      slider.value = midiParams.faderValues[paramIndex];
+      sliderValue.textContent = `${Math.round(midiParams.faderValues[paramIndex] * 100)}%`;
+    }
+    
+    const marker = document.getElementById(`slider-hardware-${paramIndex}`);
+    if (marker) {
+      updateHardwareMarker(marker, paramIndex);
+    }
+  }
+  
+  // Find another parameter already bound to a CC number (-1 if none)
+  function findMappingConflict(paramIndex) {
+    const keys = getControlKeys(paramIndex);
+    return midiParams.faderMappings.findIndex((mapped, i) =>
+      i !== paramIndex && getControlKeys(i).some(key => keys.includes(key))
+    );
+  }
+  
+  // The raw controls a parameter listens to (a 14-bit CC also occupies its LSB controller)
+  function getControlKeys(paramIndex) {
+    const number = midiParams.faderMappings[paramIndex];
+    const mode = getControlMode(paramIndex);
+    
+    if (mode === 'nrpn') return [`nrpn:${number}`];
+    if (mode === '14bit') return [`cc:${number}`, `cc:${number + 32}`];
+    return [`cc:${number}`];
+  }
+  
+  // Describe a parameter's control for messages, e.g. "CC 34" or "NRPN 1025"
+  function describeControl(paramIndex) {
+    const number = midiParams.faderMappings[paramIndex];
+    const mode = getControlMode(paramIndex);
+    
+    if (mode === 'nrpn') return `NRPN ${number}`;
+    if (mode === '14bit') return `CC ${number}/${number + 32}`;
+    return `CC ${number}`;
+  }
+  
+  // Show the learn/mapping status below a parameter's CC input
+  function setMidiLearnStatus(paramIndex, message, color = '#aaa') {
+    const status = document.getElementById(`midi-learn-status-${paramIndex}`);
+    if (status) {
+      status.textContent = message;
+      status.style.color = color;
+    }
+  }
+  
+  // Show where a mapping came from and warn if its CC drives another parameter too
+  function showMappingStatus(paramIndex) {
+    const conflictIndex = findMappingConflict(paramIndex);
+    
+    if (getControlMode(paramIndex) === '14bit' && midiParams.faderMappings[paramIndex] > 31) {
+      setMidiLearnStatus(paramIndex, '⚠ 14-bit mode needs an MSB controller between CC 0 and 31', '#e2904a');
+      return;
+    }
+    
+    if (conflictIndex !== -1) {
+      setMidiLearnStatus(
+        paramIndex,
+        `⚠ ${describeControl(paramIndex)} is also bound to ${midiParams.paramNames[conflictIndex]}`,
+        '#e2904a'
+      );
+      return;
+    }
+    
+    const source = midiParams.mappingSources[paramIndex];
+    setMidiLearnStatus(paramIndex, source ? `${source.device} · ch ${source.channel}` : '');
+  }
+  
+  // Start listening for the next control change to bind to a parameter
+  function startMidiLearn(paramIndex) {
+    cancelMidiLearn();
+    midiLearnIndex = paramIndex;
+    
+    const button = document.getElementById(`midi-learn-${paramIndex}`);
+    if (button) {
+      button.textContent = 'Cancel';
+      button.style.background = '#e2b04a';
+    }
+    setMidiLearnStatus(paramIndex, 'Move a control on your MIDI device…', '#e2b04a');
+  }
+  
+  // Stop a pending MIDI Learn without changing the mapping
+  function cancelMidiLearn() {
+    if (midiLearnIndex === null) return;
+    
+    const paramIndex = midiLearnIndex;
+    midiLearnIndex = null;
+    resetMidiLearnButton(paramIndex);
+    showMappingStatus(paramIndex);
+  }
+  
+  // Restore a Learn button to its idle state
+  function resetMidiLearnButton(paramIndex) {
+    const button = document.getElementById(`midi-learn-${paramIndex}`);
+    if (button) {
+      button.textContent = 'Learn';
+      button.style.background = '#555';
+    }
+  }
+  
+  // Bind the control from an incoming control change event to the learning parameter
+  // highRes is the decoded 14-bit/NRPN event for the message, if any
+  function completeMidiLearn(paramIndex, e, highRes) {
+    midiLearnIndex = null;
+    
+    const ccNumber = e.controller.number;
+    const mode = getControlMode(paramIndex);
+    
+    if (highRes && highRes.type === 'nrpn') {
+      // Data entry after an NRPN selection binds the NRPN parameter
+      midiParams.faderMappings[paramIndex] = highRes.number;
+      midiParams.controlModes[paramIndex] = 'nrpn';
+    } else if (mode === '14bit' && ccNumber < 64) {
+      // Stay in 14-bit mode, binding the MSB even if the LSB arrived first
+      midiParams.faderMappings[paramIndex] = ccNumber % 32;
+    } else {
+      midiParams.faderMappings[paramIndex] = ccNumber;
+      midiParams.controlModes[paramIndex] = '7bit';
+    }
+    
+    midiParams.mappingSources[paramIndex] = {
+      device: e.port.name,
+      channel: e.message.channel
+    };
+    console.log(`MIDI Learn: ${midiParams.paramNames[paramIndex]} -> ${describeControl(paramIndex)} (${e.port.name}, ch ${e.message.channel})`);
+    
+    resetMidiLearnButton(paramIndex);
+    refreshMappingInputs();
+  }
+  
+  // Build one row of the MIDI mapping table in the settings panel
+  function createMappingRowHtml(i, barColor) {
+    return `
+        <tr>
+          <td style="padding: 10px;">${midiParams.paramNames[i]}</td>
+          <td style="padding: 10px; text-align: center;">
+            <input type="number" id="midi-cc-${i}" value="${midiParams.faderMappings[i]}" 
+              style="width: 60px; text-align: center; background: #333; color: white; border: 1px solid #555;"
+              onchange="updateMidiMapping(${i}, this.value)">
+            <button id="midi-learn-${i}" class="midi-learn-button" data-param-index="${i}"
+              style="margin-left: 6px; padding: 3px 8px; background: #555; color: white; border: none; border-radius: 3px; cursor: pointer;">
+              Learn
+            </button>
+            <select id="midi-mode-${i}" class="midi-mode-select" data-param-index="${i}"
+              style="margin-left: 6px; padding: 2px; background: #333; color: white; border: 1px solid #555;">
+              <option value="7bit">7-bit</option>
+              <option value="14bit">14-bit CC</option>
+              <option value="nrpn">NRPN</option>
+            </select>
+            <div id="midi-learn-status-${i}" style="font-size: 11px; color: #aaa; margin-top: 4px;"></div>
+          </td>
+          <td style="padding: 10px;">
+            <div style="width: 200px; height: 20px; background: #333; position: relative;">
+              <div id="midi-value-bar-${i}" style="height: 100%; background: ${barColor}; width: ${midiParams.faderValues[i] * 100}%;"></div>
+              <div id="midi-hardware-${i}" style="position: absolute; top: 0; width: 2px; height: 100%; display: none;"></div>
+            </div>
+            <span id="midi-value-text-${i}" style="margin-left: 10px;">${Math.round(midiParams.faderValues[i] * 100)}%</span>
+            <span id="midi-modulated-text-${i}" style="margin-left: 6px; color: #b04ae2;"></span>
+          </td>
+        </tr>
+      `;
+  }
+  
   // Create settings UI as HTML
   function createSettingsUI() {
     const settingsDiv = document.createElement('div');
@@ -1082,35 +3203,54 @@ new p5((p) => {
         </div>
       </div>
       
+      <!-- MIDI Devices Section -->
+      <h2 style="text-align: center; margin: 20px 0; color: #4ae2b0;">MIDI Devices</h2>
+      <div style="width: 80%; margin: 0 auto;">
+        <div id="midi-device-status" style="margin-bottom: 10px; color: ${midiDevices.statusIsError ? '#e24a4a' : 'white'};">
+          ${midiDevices.status}
+        </div>
+        <div id="midi-device-list"></div>
+        <div style="display: flex; align-items: center; margin-top: 10px;">
+          <label style="margin-right: 8px;">Feedback output</label>
+          <select id="feedback-output" style="flex: 1; padding: 6px; background: #333; color: white; border: 1px solid #555;"></select>
+          <select id="feedback-channel" style="margin-left: 10px; padding: 6px; background: #333; color: white; border: 1px solid #555;"></select>
+        </div>
+        <div style="font-size: 12px; color: #aaa; margin-top: 4px;">
+          Sends the current values as CC messages so LED rings and motorized faders follow slider, key and preset changes.
+        </div>
+        <div style="margin-top: 10px;">
+          <label><input type="checkbox" id="soft-takeover-pickup"> Soft takeover (pickup)</label>
+        </div>
+        <div style="font-size: 12px; color: #aaa; margin-top: 4px;">
+          A control moved elsewhere (by a slider, key or preset) has no effect until it crosses the live value.
+          The marker on each value bar shows where the hardware control sits: orange while waiting, green once picked up.
+        </div>
+      </div>
+      
       <!-- Simulation Controls Section -->
       <h2 style="text-align: center; margin: 20px 0; color: #4a90e2;">Simulation Controls</h2>
+      <div style="width: 80%; margin: 0 auto 10px auto;">
+        <label style="margin-right: 8px;">Simulation seed</label>
+        <input type="number" id="simulation-seed" min="0" step="1" style="width: 90px; padding: 4px; background: #333; color: white; border: 1px solid #555;">
+        <button id="simulation-restart" style="margin-left: 10px; padding: 4px 10px; background: #4a90e2; color: white; border: none; border-radius: 3px; cursor: pointer;">Restart with Seed</button>
+        <button id="simulation-new-seed" style="margin-left: 10px; padding: 4px 10px; background: #555; color: white; border: none; border-radius: 3px; cursor: pointer;">New Seed</button>
+        <div style="font-size: 12px; color: #aaa; margin-top: 4px;">
+          Drives every random choice in the particles, connections, physics and terrain waves.
+          The same seed with the same input (e.g. an automation take) replays the same run; R restarts it.
+        </div>
+      </div>
       <table style="width: 80%; margin: 0 auto; border-collapse: collapse;">
         <tr>
           <th style="text-align: left; padding: 10px;">Parameter</th>
-          <th style="text-align: center; padding: 10px;">MIDI CC</th>
+          <th style="text-align: center; padding: 10px;">MIDI CC / NRPN</th>
           <th style="text-align: left; padding: 10px;">Value</th>
         </tr>
     `;
     
-    // First add simulation controls (parameters 0-7)
-    for (let i = 0; i < 8; i++) {
-      html += `
-        <tr>
-          <td style="padding: 10px;">${midiParams.paramNames[i]}</td>
-          <td style="padding: 10px; text-align: center;">
-            <input type="number" id="midi-cc-${i}" value="${midiParams.faderMappings[i]}" 
-              style="width: 60px; text-align: center; background: #333; color: white; border: 1px solid #555;"
-              onchange="updateMidiMapping(${i}, this.value)">
-          </td>
-          <td style="padding: 10px;">
-            <div style="width: 200px; height: 20px; background: #333; position: relative;">
-              <div id="midi-value-bar-${i}" style="height: 100%; background: #4a90e2; width: ${midiParams.faderValues[i] * 100}%;"></div>
-            </div>
-            <span id="midi-value-text-${i}" style="margin-left: 10px;">${Math.round(midiParams.faderValues[i] * 100)}%</span>
-          </td>
-        </tr>
-      `;
-    }
+    // First add simulation controls
+    SIMULATION_PARAMS.forEach(i => {
+      html += createMappingRowHtml(i, '#4a90e2');
+    });
     
     html += `
       </table>
@@ -1120,33 +3260,461 @@ new p5((p) => {
       <table style="width: 80%; margin: 0 auto; border-collapse: collapse;">
         <tr>
           <th style="text-align: left; padding: 10px;">Parameter</th>
-          <th style="text-align: center; padding: 10px;">MIDI CC</th>
+          <th style="text-align: center; padding: 10px;">MIDI CC / NRPN</th>
           <th style="text-align: left; padding: 10px;">Value</th>
         </tr>
     `;
     
-    // Then add gesture controls (parameters 8-13)
-    for (let i = 8; i < midiParams.paramNames.length; i++) {
-      html += `
+    // Then add gesture controls
+    GESTURE_PARAMS.forEach(i => {
+      html += createMappingRowHtml(i, '#e24a4a');
+    });
+    
+    html += `
+      </table>
+      
+      <!-- Modulation Matrix Section -->
+      <h2 style="text-align: center; margin: 20px 0; color: #e2e24a;">Modulation Matrix</h2>
+      <div style="width: 80%; margin: 0 auto; font-size: 12px; color: #aaa;">
+        Each route maps a fader or raw CC into a parameter's range. Routes into the same parameter are summed,
+        so one fader can act as a macro for several parameters.
+      </div>
+      <table style="width: 80%; margin: 0 auto; border-collapse: collapse;">
+        <thead>
+          <tr>
+            <th style="text-align: left; padding: 6px;">Source</th>
+            <th style="text-align: left; padding: 6px;">Target</th>
+            <th style="text-align: left; padding: 6px;">Min</th>
+            <th style="text-align: left; padding: 6px;">Max</th>
+            <th style="text-align: left; padding: 6px;">Curve</th>
+            <th style="text-align: center; padding: 6px;">Invert</th>
+            <th style="text-align: left; padding: 6px;">Deadzone (%)</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody id="matrix-routes"></tbody>
+      </table>
+      <div style="width: 80%; margin: 10px auto;">
+        <button id="matrix-add-route" style="padding: 8px 15px; background: #4a90e2; color: white; border: none; border-radius: 5px; cursor: pointer;">
+          Add Route
+        </button>
+        <button id="matrix-reset" style="margin-left: 10px; padding: 8px 15px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">
+          Reset to Defaults
+        </button>
+      </div>
+      
+      <!-- Smoothing Section -->
+      <h2 style="text-align: center; margin: 20px 0; color: #4ae2e2;">Smoothing</h2>
+      <div style="width: 80%; margin: 0 auto; font-size: 12px; color: #aaa;">
+        Rise and fall times in ms for each parameter. Linear slew times are for the full range.
+      </div>
+      <table style="width: 80%; margin: 0 auto; border-collapse: collapse;">
         <tr>
-          <td style="padding: 10px;">${midiParams.paramNames[i]}</td>
-          <td style="padding: 10px; text-align: center;">
-            <input type="number" id="midi-cc-${i}" value="${midiParams.faderMappings[i]}" 
-              style="width: 60px; text-align: center; background: #333; color: white; border: 1px solid #555;"
-              onchange="updateMidiMapping(${i}, this.value)">
+          <th style="text-align: left; padding: 10px;">Parameter</th>
+          <th style="text-align: center; padding: 10px;">Bypass</th>
+          <th style="text-align: left; padding: 10px;">Law</th>
+          <th style="text-align: left; padding: 10px;">Rise (ms)</th>
+          <th style="text-align: left; padding: 10px;">Fall (ms)</th>
+        </tr>
+        ${createSlewRowsHtml()}
+      </table>
+      
+      <!-- Controller Profiles Section -->
+      <h2 style="text-align: center; margin: 20px 0; color: #4ae2b0;">Controller Profiles</h2>
+      <div style="width: 80%; margin: 0 auto;">
+        <div id="profile-active" style="margin-bottom: 10px;"></div>
+        <div style="display: flex; align-items: center; margin-bottom: 10px;">
+          <label style="margin-right: 8px;">Device</label>
+          <select id="profile-device" style="flex: 1; padding: 6px; background: #333; color: white; border: 1px solid #555;"></select>
+          <label style="margin: 0 8px 0 15px;">Template</label>
+          <select id="profile-template" style="flex: 1; padding: 6px; background: #333; color: white; border: 1px solid #555;">
+            <option value="current">Current mappings</option>
+          </select>
+        </div>
+        <div style="margin-bottom: 10px;">
+          <button id="clone-profile" style="padding: 8px 15px; background: #4a90e2; color: white; border: none; border-radius: 5px; cursor: pointer;">
+            Clone to Device
+          </button>
+          <button id="save-profile" style="margin-left: 10px; padding: 8px 15px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">
+            Save Mappings to Profile
+          </button>
+          <button id="delete-profile" style="margin-left: 10px; padding: 8px 15px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">
+            Delete Profile
+          </button>
+        </div>
+        <div id="profile-status" style="font-size: 12px; color: #aaa; margin-bottom: 10px;"></div>
+        <div id="profile-list"></div>
+      </div>
+      
+      <!-- Note & Performance Triggers Section -->
+      <h2 style="text-align: center; margin: 20px 0; color: #b04ae2;">Note &amp; Performance Triggers</h2>
+      <table style="width: 80%; margin: 0 auto; border-collapse: collapse;">
+        <tr>
+          <td style="padding: 10px;">Notes spawn particle bursts</td>
+          <td style="padding: 10px;">
+            <input type="checkbox" id="trigger-burst-enabled">
+            <label style="margin-left: 15px;">Particles at full velocity</label>
+            <input type="number" id="trigger-burst-size" min="1" max="100"
+              style="width: 60px; text-align: center; background: #333; color: white; border: 1px solid #555;">
           </td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">Note off removes its burst</td>
+          <td style="padding: 10px;"><input type="checkbox" id="trigger-release-removes"></td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">Terrain regenerate note (-1 = off)</td>
           <td style="padding: 10px;">
-            <div style="width: 200px; height: 20px; background: #333; position: relative;">
-              <div id="midi-value-bar-${i}" style="height: 100%; background: #e24a4a; width: ${midiParams.faderValues[i] * 100}%;"></div>
-            </div>
-            <span id="midi-value-text-${i}" style="margin-left: 10px;">${Math.round(midiParams.faderValues[i] * 100)}%</span>
+            <input type="number" id="trigger-terrain-note" min="-1" max="127"
+              style="width: 60px; text-align: center; background: #333; color: white; border: 1px solid #555;">
+            <span id="trigger-last-note" style="margin-left: 15px; font-size: 12px; color: #aaa;">Play a note to see its number</span>
           </td>
         </tr>
-      `;
-    }
-    
-    html += `
+        <tr>
+          <td style="padding: 10px;">Pitch bend nudges camera</td>
+          <td style="padding: 10px;">
+            <input type="checkbox" id="trigger-pitchbend-camera">
+            <label style="margin-left: 15px;">Degrees at full bend</label>
+            <input type="number" id="trigger-pitchbend-degrees" min="0" max="180"
+              style="width: 60px; text-align: center; background: #333; color: white; border: 1px solid #555;">
+          </td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">Channel aftertouch drives</td>
+          <td style="padding: 10px;">
+            <select id="trigger-aftertouch-param" style="padding: 4px; background: #333; color: white; border: 1px solid #555;">
+              <option value="-1">Off</option>
+            </select>
+          </td>
+        </tr>
+      </table>
+      
+      <!-- Tempo Sync Section -->
+      <h2 style="text-align: center; margin: 20px 0; color: #e24ab0;">Tempo Sync</h2>
+      <div style="width: 80%; margin: 0 auto; font-size: 12px; color: #aaa;">
+        Follows incoming MIDI clock (start, stop and continue). Without a clock, tap T to set the tempo.
+      </div>
+      <table style="width: 80%; margin: 0 auto; border-collapse: collapse;">
+        <tr>
+          <td style="padding: 10px;">Bezier travel</td>
+          <td style="padding: 10px;">
+            <select id="tempo-sync-bezier" style="padding: 4px; background: #333; color: white; border: 1px solid #555;">
+              <option value="free">Free</option>
+              <option value="beat">Sync to beat</option>
+              <option value="bar">Sync to bar</option>
+            </select>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">Camera auto-rotation</td>
+          <td style="padding: 10px;">
+            <select id="tempo-sync-cameraRotation" style="padding: 4px; background: #333; color: white; border: 1px solid #555;">
+              <option value="free">Free</option>
+              <option value="beat">Sync to beat</option>
+              <option value="bar">Sync to bar</option>
+            </select>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">15° rotation steps</td>
+          <td style="padding: 10px;">
+            <select id="tempo-sync-rotationSteps" style="padding: 4px; background: #333; color: white; border: 1px solid #555;">
+              <option value="free">Free</option>
+              <option value="beat">Sync to beat</option>
+              <option value="bar">Sync to bar</option>
+            </select>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">Random impulses</td>
+          <td style="padding: 10px;">
+            <select id="tempo-sync-impulses" style="padding: 4px; background: #333; color: white; border: 1px solid #555;">
+              <option value="free">Free</option>
+              <option value="beat">Sync to beat</option>
+              <option value="bar">Sync to bar</option>
+            </select>
+          </td>
+        </tr>
+      </table>
+      
+      <!-- Audio Input Section -->
+      <h2 style="text-align: center; margin: 20px 0; color: #4ae24a;">Audio Input</h2>
+      <div style="width: 80%; margin: 0 auto;">
+        <div style="margin-bottom: 10px;">
+          <button id="audio-use-mic" style="padding: 8px 15px; background: #4a90e2; color: white; border: none; border-radius: 5px; cursor: pointer;">
+            Use Microphone
+          </button>
+          <button id="audio-load-file" style="margin-left: 10px; padding: 8px 15px; background: #4a90e2; color: white; border: none; border-radius: 5px; cursor: pointer;">
+            Load Audio File
+          </button>
+          <button id="audio-toggle-playback" style="margin-left: 10px; padding: 8px 15px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">
+            Play/Pause File
+          </button>
+          <button id="audio-stop" style="margin-left: 10px; padding: 8px 15px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">
+            Stop Audio
+          </button>
+          <input type="file" id="audio-file" accept="audio/*" style="display: none;">
+        </div>
+        <div id="audio-status" style="font-size: 12px; color: #aaa; margin-bottom: 10px;">Audio input off</div>
+      </div>
+      <table style="width: 80%; margin: 0 auto; border-collapse: collapse;">
+        <tr>
+          <th style="text-align: left; padding: 10px;">Parameter</th>
+          <th style="text-align: left; padding: 10px;">Audio feature</th>
+          <th style="text-align: left; padding: 10px;">Gain</th>
+          <th style="text-align: left; padding: 10px;">Attack (ms)</th>
+          <th style="text-align: left; padding: 10px;">Release (ms)</th>
+        </tr>
+        ${createAudioRouteRowsHtml()}
+      </table>
+      
+      <!-- Modulators Section -->
+      <h2 style="text-align: center; margin: 20px 0; color: #b04ae2;">Modulators</h2>
+      <div style="width: 80%; margin: 0 auto; font-size: 12px; color: #aaa;">
+        LFOs and envelopes add to the fader value of their target. Envelopes are triggered by MIDI notes or by holding E.
+      </div>
+      <table style="width: 80%; margin: 0 auto; border-collapse: collapse;">
+        <tr>
+          <th style="text-align: left; padding: 6px;">#</th>
+          <th style="text-align: left; padding: 6px;">Type</th>
+          <th style="text-align: left; padding: 6px;">Target</th>
+          <th style="text-align: left; padding: 6px;">Depth (%)</th>
+          <th style="text-align: left; padding: 6px;">LFO shape / rate (Hz)</th>
+          <th style="text-align: left; padding: 6px;">Envelope / trigger</th>
+          <th style="text-align: left; padding: 6px;">A / D (ms), S (%), R (ms)</th>
+        </tr>
+        ${createModulatorRowsHtml()}
+      </table>
+      
+      <!-- Automation Section -->
+      <h2 style="text-align: center; margin: 20px 0; color: #e24a4a;">Automation</h2>
+      <div style="width: 80%; margin: 0 auto;">
+        <div style="margin-bottom: 10px;">
+          <button id="automation-record" style="padding: 8px 15px; background: #e24a4a; color: white; border: none; border-radius: 5px; cursor: pointer;">
+            Record
+          </button>
+          <button id="automation-stop" style="margin-left: 10px; padding: 8px 15px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">
+            Stop
+          </button>
+          <button id="automation-play" style="margin-left: 10px; padding: 8px 15px; background: #4a90e2; color: white; border: none; border-radius: 5px; cursor: pointer;">
+            Play
+          </button>
+          <label style="margin-left: 15px;"><input type="checkbox" id="automation-loop"> Loop</label>
+          <button id="automation-export" style="margin-left: 10px; padding: 8px 15px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">
+            Export .mid
+          </button>
+          <button id="automation-import" style="margin-left: 10px; padding: 8px 15px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">
+            Import .mid
+          </button>
+          <input type="file" id="automation-import-file" accept=".mid,.midi,audio/midi" style="display: none;">
+        </div>
+        <div id="automation-status" style="font-size: 12px; color: #aaa; margin-bottom: 10px;">
+          Records parameter changes from MIDI, sliders, keys and audio. Exported files use the mapped CC numbers.
+        </div>
+      </div>
+      
+      <!-- Rendering Section -->
+      <h2 style="text-align: center; margin: 20px 0; color: #aaaaaa;">Rendering</h2>
+      <table style="width: 80%; margin: 0 auto; border-collapse: collapse;">
+        <tr>
+          <td style="padding: 10px;">Particle renderer</td>
+          <td style="padding: 10px;">
+            <select id="render-particle-renderer" style="padding: 4px; background: #333; color: white; border: 1px solid #555;">
+              <option value="batched">Batched shader (fast)</option>
+              <option value="classic">Classic (one draw call per particle)</option>
+            </select>
+            <span id="render-status" style="margin-left: 15px; font-size: 12px; color: #aaa;"></span>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">Level of detail for distant spheres</td>
+          <td style="padding: 10px;"><input type="checkbox" id="render-particle-lod"></td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">Terrain resolution</td>
+          <td style="padding: 10px;">
+            <input type="number" id="render-terrain-resolution" min="10" max="200" style="width: 60px; padding: 4px; background: #333; color: white; border: 1px solid #555;">
+            <span style="margin-left: 10px; font-size: 12px; color: #aaa;">grid points per side (10-200)</span>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">Terrain wireframe overlay</td>
+          <td style="padding: 10px;"><input type="checkbox" id="render-terrain-wireframe"></td>
+        </tr>
+      </table>
+      
+      <!-- Terrain Section -->
+      <h2 style="text-align: center; margin: 20px 0; color: #aaaaaa;">Terrain</h2>
+      <table style="width: 80%; margin: 0 auto; border-collapse: collapse;">
+        <tr>
+          <td style="padding: 10px;">Generator</td>
+          <td style="padding: 10px;">
+            <select id="terrain-generator" style="padding: 4px; background: #333; color: white; border: 1px solid #555;">
+              ${TERRAIN_GENERATORS.map(generator => `<option value="${generator.id}">${generator.name}</option>`).join('')}
+            </select>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">Seed</td>
+          <td style="padding: 10px;">
+            <input type="number" id="terrain-seed" min="0" step="1" style="width: 90px; padding: 4px; background: #333; color: white; border: 1px solid #555;">
+            <button id="terrain-new-seed" style="margin-left: 10px; padding: 4px 10px; background: #555; color: white; border: none; border-radius: 3px; cursor: pointer;">New Seed</button>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding: 10px; vertical-align: top;">Generator parameters</td>
+          <td style="padding: 10px;" id="terrain-generator-params"></td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">Heightmap image</td>
+          <td style="padding: 10px;">
+            <button id="terrain-heightmap-import" style="padding: 4px 10px; background: #555; color: white; border: none; border-radius: 3px; cursor: pointer;">Import PNG</button>
+            <input type="file" id="terrain-heightmap-file" accept="image/png,image/*" style="display: none;">
+            <span id="terrain-heightmap-status" style="margin-left: 10px; font-size: 12px; color: #aaa;"></span>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">Morph time</td>
+          <td style="padding: 10px;">
+            <input type="number" id="terrain-morph-time" min="0" max="10000" step="100" style="width: 70px; padding: 4px; background: #333; color: white; border: 1px solid #555;">
+            <span style="margin-left: 10px; font-size: 12px; color: #aaa;">ms to morph into a new shape (0 = snap)</span>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">Living terrain</td>
+          <td style="padding: 10px;">
+            <input type="checkbox" id="terrain-living">
+            <span style="margin-left: 10px; font-size: 12px; color: #aaa;">Waves drift across the terrain, driven by Terrain Speed and Wave Amplitude</span>
+          </td>
+        </tr>
+      </table>
+      
+      <!-- Particle Lifecycle Section -->
+      <h2 style="text-align: center; margin: 20px 0; color: #4ae2b0;">Particle Lifecycle</h2>
+      <div style="width: 80%; margin: 0 auto; font-size: 12px; color: #aaa;">
+        Enabled emitters take turns releasing Emission Rate particles per second, which live for Lifespan seconds.
+      </div>
+      <table style="width: 80%; margin: 0 auto; border-collapse: collapse;">
+        <tr>
+          <th style="text-align: left; padding: 6px;">Emitter</th>
+          <th style="text-align: left; padding: 6px;">On</th>
+          <th style="text-align: left; padding: 6px;">X / Y / Z</th>
+          <th style="text-align: left; padding: 6px;">Radius</th>
+          <th style="text-align: left; padding: 6px;">Speed</th>
+        </tr>
+        ${createEmitterRowsHtml()}
+      </table>
+      <table style="width: 80%; margin: 0 auto; border-collapse: collapse;">
+        <tr>
+          <td style="padding: 10px;">Die after terrain hits</td>
+          <td style="padding: 10px;">
+            <input type="number" class="lifecycle-input" data-key="maxTerrainHits" min="0" max="100" step="1" style="width: 70px; padding: 4px; background: #333; color: white; border: 1px solid #555;">
+            <span style="margin-left: 10px; font-size: 12px; color: #aaa;">0 = never</span>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">Die outside radius</td>
+          <td style="padding: 10px;">
+            <input type="number" class="lifecycle-input" data-key="regionRadius" min="0" max="5000" step="50" style="width: 70px; padding: 4px; background: #333; color: white; border: 1px solid #555;">
+            <span style="margin-left: 10px; font-size: 12px; color: #aaa;">Distance from the centre (0 = never)</span>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">Fade time</td>
+          <td style="padding: 10px;">
+            <input type="number" class="lifecycle-input" data-key="fadeTime" min="0" max="10" step="0.1" style="width: 70px; padding: 4px; background: #333; color: white; border: 1px solid #555;">
+            <span style="margin-left: 10px; font-size: 12px; color: #aaa;">Seconds of fading in and out</span>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding: 10px;">Max emitted particles</td>
+          <td style="padding: 10px;">
+            <input type="number" class="lifecycle-input" data-key="maxEmitted" min="0" max="2000" step="10" style="width: 70px; padding: 4px; background: #333; color: white; border: 1px solid #555;">
+          </td>
+        </tr>
+      </table>
+      
+      <!-- Force Fields Section -->
+      <h2 style="text-align: center; margin: 20px 0; color: #b0e24a;">Force Fields</h2>
+      <div style="width: 80%; margin: 0 auto; font-size: 12px; color: #aaa;">
+        Each field acts within its falloff radius (0 = everywhere). Direction is the wind direction, vortex axis or drag plane normal;
+        a drag zone's strength (0-1) is the share of speed lost per step and its falloff the half thickness of the zone.
+        A negative vortex strength swirls the other way.
+      </div>
+      <table style="width: 80%; margin: 0 auto; border-collapse: collapse;">
+        <thead>
+          <tr>
+            <th style="text-align: left; padding: 6px;">#</th>
+            <th style="text-align: left; padding: 6px;">Type</th>
+            <th style="text-align: left; padding: 6px;">On</th>
+            <th style="text-align: left; padding: 6px;">X / Y / Z</th>
+            <th style="text-align: left; padding: 6px;">Strength</th>
+            <th style="text-align: left; padding: 6px;">Falloff</th>
+            <th style="text-align: left; padding: 6px;">Direction</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody id="force-field-list"></tbody>
+      </table>
+      <div style="width: 80%; margin: 10px auto;">
+        <select id="force-field-new-type" style="padding: 8px; background: #333; color: white; border: 1px solid #555;">
+          ${FIELD_TYPES.map(type => `<option value="${type.id}">${type.name}</option>`).join('')}
+        </select>
+        <button id="force-field-add" style="margin-left: 10px; padding: 8px 15px; background: #4a90e2; color: white; border: none; border-radius: 5px; cursor: pointer;">
+          Add Field
+        </button>
+      </div>
+      <table style="width: 80%; margin: 0 auto; border-collapse: collapse;">
+        <tr>
+          <td style="padding: 10px;">Show field gizmos</td>
+          <td style="padding: 10px;"><input type="checkbox" id="force-field-gizmos"></td>
+        </tr>
+      </table>
+      <div style="width: 80%; margin: 0 auto; font-size: 12px; color: #aaa;">
+        CC routes drive a field's position, strength or falloff from a raw CC, in place of the value set above.
+      </div>
+      <table style="width: 80%; margin: 0 auto; border-collapse: collapse;">
+        <thead>
+          <tr>
+            <th style="text-align: left; padding: 6px;">CC</th>
+            <th style="text-align: left; padding: 6px;">Field</th>
+            <th style="text-align: left; padding: 6px;">Property</th>
+            <th style="text-align: left; padding: 6px;">Min</th>
+            <th style="text-align: left; padding: 6px;">Max</th>
+            <th style="text-align: left; padding: 6px;">Curve</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody id="force-field-routes"></tbody>
       </table>
+      <div style="width: 80%; margin: 10px auto;">
+        <button id="force-field-add-route" style="padding: 8px 15px; background: #4a90e2; color: white; border: none; border-radius: 5px; cursor: pointer;">
+          Add CC Route
+        </button>
+      </div>
+      
+      <!-- Presets Section -->
+      <h2 style="text-align: center; margin: 20px 0; color: #e2b04a;">Presets</h2>
+      <div style="width: 80%; margin: 0 auto;">
+        <div style="display: flex; margin-bottom: 10px;">
+          <input type="text" id="preset-name" placeholder="Preset name"
+            style="flex: 1; padding: 8px; background: #333; color: white; border: 1px solid #555;">
+          <button id="save-preset" style="margin-left: 10px; padding: 8px 15px; background: #4a90e2; color: white; border: none; border-radius: 5px; cursor: pointer;">
+            Save Preset
+          </button>
+          <button id="export-presets" style="margin-left: 10px; padding: 8px 15px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">
+            Export
+          </button>
+          <button id="import-presets" style="margin-left: 10px; padding: 8px 15px; background: #555; color: white; border: none; border-radius: 5px; cursor: pointer;">
+            Import
+          </button>
+          <input type="file" id="import-presets-file" accept=".json,application/json" style="display: none;">
+        </div>
+        <div id="preset-status" style="font-size: 12px; color: #aaa; margin-bottom: 10px;">
+          MIDI Program Change messages recall presets by their PC number.
+        </div>
+        <div id="preset-list"></div>
+      </div>
       <div style="text-align: center; margin-top: 30px;">
         <div style="margin: 20px 0;">
           <h3>Keyboard Shortcuts</h3>
@@ -1165,6 +3733,12 @@ new p5((p) => {
           <div style="display: inline-block; margin: 10px; padding: 10px; border: 1px solid #555; border-radius: 5px;">
             <strong>C</strong> - Toggle Control Sliders
           </div>
+          <div style="display: inline-block; margin: 10px; padding: 10px; border: 1px solid #555; border-radius: 5px;">
+            <strong>T</strong> - Tap Tempo
+          </div>
+          <div style="display: inline-block; margin: 10px; padding: 10px; border: 1px solid #555; border-radius: 5px;">
+            <strong>E</strong> - Trigger Envelopes (hold)
+          </div>
         </div>
         <div style="margin: 20px 0;">
           <h3>Mouse Controls</h3>
@@ -1198,12 +3772,58 @@ new p5((p) => {
     // Add global function to update MIDI mappings
     window.updateMidiMapping = (index, value) => {
       midiParams.faderMappings[index] = parseInt(value, 10);
+      midiParams.mappingSources[index] = null;
+      refreshMappingInputs();
     };
+    
+    // Resolution selectors switch a parameter between 7-bit, 14-bit CC and NRPN
+    document.querySelectorAll('.midi-mode-select').forEach(select => {
+      select.addEventListener('change', () => {
+        const paramIndex = parseInt(select.dataset.paramIndex, 10);
+        midiParams.controlModes[paramIndex] = select.value;
+        refreshMappingInputs();
+      });
+    });
+    
+    // Learn buttons toggle MIDI Learn for their parameter
+    document.querySelectorAll('.midi-learn-button').forEach(button => {
+      button.addEventListener('click', () => {
+        const paramIndex = parseInt(button.dataset.paramIndex, 10);
+        if (midiLearnIndex === paramIndex) {
+          cancelMidiLearn();
+        } else {
+          startMidiLearn(paramIndex);
+        }
+      });
+    });
+    
+    setupPresetBrowser();
+    setupMatrixEditor();
+    setupSlewSettings();
+    setupProfileEditor();
+    setupFeedbackOutputPicker();
+    setupTriggerSettings();
+    setupTempoSettings();
+    setupAudioSettings();
+    setupModulatorSettings();
+    setupAutomationSettings();
+    setupRenderSettings();
+    setupTerrainSettings();
+    setupLifecycleSettings();
+    setupForceFieldSettings();
+    setupSimulationSeed();
+    renderMidiDeviceList();
+    refreshMappingInputs();
   }
   
   // Toggle settings visibility
   function toggleSettings() {
     showSettings = !showSettings;
+    
+    // Leaving the settings panel abandons any pending MIDI Learn
+    if (!showSettings) {
+      cancelMidiLearn();
+    }
     const settingsPanel = document.getElementById('settings-panel');
     if (settingsPanel) {
       settingsPanel.style.display = showSettings ? 'block' : 'none';
@@ -1225,7 +3845,32 @@ new p5((p) => {
         valueBar.style.width = `${midiParams.faderValues[i] * 100}%`;
         valueText.textContent = `${Math.round(midiParams.faderValues[i] * 100)}%`;
       }
+      
+      const hardwareMarker = document.getElementById(`midi-hardware-${i}`);
+      if (hardwareMarker) {
+        updateHardwareMarker(hardwareMarker, i);
+      }
+      
+      // Live value after modulation, shown only while a modulator moves it
+      const modulatedText = document.getElementById(`midi-modulated-text-${i}`);
+      if (modulatedText) {
+        const modulated = midiParams.modulatedValues[i];
+        modulatedText.textContent = Math.abs(modulated - midiParams.faderValues[i]) > 0.005
+          ? `→ ${Math.round(modulated * 100)}%`
+          : '';
+      }
+    }
+  }
+  
+  // Show or hide the on-screen slider panel, creating it on first use
+  function setSliderPanelVisible(visible) {
+    let sliderPanel = document.getElementById('slider-panel');
+    if (!sliderPanel) {
+      if (!visible) return;
+      createSliderControls();
+      sliderPanel = document.getElementById('slider-panel');
     }
+    sliderPanel.style.display = visible ? 'block' : 'none';
   }
   
   // Create slider controls when no MIDI controller is connected
@@ -1256,19 +3901,19 @@ new p5((p) => {
       <div id="slider-container">
     `;
     
-    // Create sliders for all parameters
-    for (let i = 0; i < midiParams.paramNames.length; i++) {
+    // Create sliders for all parameters, simulation controls first
+    SIMULATION_PARAMS.concat(GESTURE_PARAMS).forEach(i => {
       const paramName = midiParams.paramNames[i];
       const value = midiParams.faderValues[i];
       const valuePercent = Math.round(value * 100);
       
       // Different styling for simulation vs gesture controls
-      const isGesture = i >= 8;
+      const isGesture = GESTURE_PARAMS.includes(i);
       const sliderColor = isGesture ? '#e24a4a' : '#4a90e2';
       const sectionClass = isGesture ? 'gesture-section' : 'param-section';
       
       // Add section header if this is the first gesture control
-      if (i === 8) {
+      if (i === GESTURE_PARAMS[0]) {
         html += `
           <div style="margin-top: 15px; margin-bottom: 10px;">
             <h3 style="margin: 0; color: #e24a4a;">Gesture Controls</h3>
@@ -1291,9 +3936,12 @@ new p5((p) => {
             value="${value}"
             style="width: 100%; height: 8px; -webkit-appearance: none; appearance: none; background: #333; border-radius: 4px; outline: none; opacity: 0.7; transition: opacity .2s;"
           >
+          <div style="position: relative; height: 4px; margin-top: 2px;">
+            <div id="slider-hardware-${i}" style="position: absolute; top: 0; width: 2px; height: 100%; display: none;"></div>
+          </div>
         </div>
       `;
-    }
+    });
     
     html += `
       </div>
@@ -1339,8 +3987,7 @@ new p5((p) => {
       if (slider) {
         slider.addEventListener('input', (e) => {
           const value = parseFloat(e.target.value);
-          midiParams.faderValues[i] = value;
-          document.getElementById(`slider-value-${i}`).textContent = `${Math.round(value * 100)}%`;
+          setFaderValue(i, value);
           
           // Show parameter change notification
           showParamChangeNotification(i, value);
@@ -1390,10 +4037,20 @@ new p5((p) => {
     statusText.id = 'simulation-status';
     statusText.textContent = `Simulation: ${simulationState.toUpperCase()}`;
     
+    const midiStatus = document.createElement('div');
+    midiStatus.id = 'midi-status';
+    midiStatus.textContent = midiDevices.status;
+    midiStatus.style.color = midiDevices.statusIsError ? '#e24a4a' : 'white';
+    
+    const tempoStatus = document.createElement('div');
+    tempoStatus.id = 'tempo-status';
+    
     const controlsText = document.createElement('div');
-    controlsText.textContent = 'S: Settings | R: Reset | P: Pause/Play | C: Toggle Controls';
+    controlsText.textContent = 'S: Settings | R: Reset | P: Pause/Play | C: Toggle Controls | T: Tap Tempo | E: Envelope';
     
     statusBar.appendChild(statusText);
+    statusBar.appendChild(midiStatus);
+    statusBar.appendChild(tempoStatus);
     statusBar.appendChild(controlsText);
     document.body.appendChild(statusBar);
     
@@ -1494,19 +4151,26 @@ new p5((p) => {
     const statusText = document.getElementById('simulation-status');
     if (statusText) {
       const mouseStatus = cameraParams.mouseControl ? 'MOUSE ENABLED' : 'MOUSE DISABLED';
-      statusText.textContent = `Simulation: ${simulationState.toUpperCase()} | ${mouseStatus}`;
+      const presetStatus = activePresetName ? ` | Preset: ${activePresetName}` : '';
+      const automationMode = automation.getMode();
+      const automationStatus = automationMode === 'idle' ? '' : ` | Automation: ${automationMode.toUpperCase()}`;
+      statusText.textContent = `Simulation: ${simulationState.toUpperCase()} | ${mouseStatus}${presetStatus}${automationStatus}`;
     }
   }
   
   // Set up keyboard shortcuts using DOM events
   function setupKeyboardShortcuts() {
     document.addEventListener('keydown', (event) => {
+      // Ignore shortcuts while typing into a settings field (e.g. a preset name)
+      if (event.target.tagName === 'INPUT' && ['text', 'number'].includes(event.target.type)) return;
+      
       if (event.key === 's' || event.key === 'S') {
         toggleSettings();
       } else if (event.key === 'r' || event.key === 'R') {
         simulationState = 'reset';
-        initOrganicModel();
+        seedSimulation(simulationSettings.seed); // Replay the same run from the start
         simulationState = 'running';
+        sendAllParamFeedback();
         updateStatusBar();
       } else if (event.key === 'p' || event.key === 'P') {
         simulationState = simulationState === 'running' ? 'paused' : 'running';
@@ -1515,11 +4179,15 @@ new p5((p) => {
         cameraParams.mouseControl = !cameraParams.mouseControl;
         updateStatusBar();
       } else if (event.key === 'c' || event.key === 'C') {
-        // Toggle slider panel if it exists
+        // Toggle slider panel (creating it if no controller was ever missing)
         const sliderPanel = document.getElementById('slider-panel');
-        if (sliderPanel) {
-          sliderPanel.style.display = sliderPanel.style.display === 'none' ? 'block' : 'none';
-        }
+        setSliderPanelVisible(!sliderPanel || sliderPanel.style.display === 'none');
+      } else if (event.key === 't' || event.key === 'T') {
+        tempoClock.tap(performance.now());
+      } else if ((event.key === 'e' || event.key === 'E') && !event.repeat) {
+        modulatorBank.gateOn('key');
+      } else if (event.key === 'Escape') {
+        cancelMidiLearn();
       }
       
       // Number keys 1-9 to manually adjust parameters
@@ -1536,10 +4204,17 @@ new p5((p) => {
           newValue = Math.min(1, newValue + 0.1);
         }
         
-        midiParams.faderValues[paramIndex] = newValue;
+        setFaderValue(paramIndex, newValue);
         showParamChangeNotification(paramIndex, newValue);
       }
     });
+    
+    // Releasing E closes the envelope gate opened on key down
+    document.addEventListener('keyup', (event) => {
+      if (event.key === 'e' || event.key === 'E') {
+        modulatorBank.gateOff('key');
+      }
+    });
   }
   
   // Setup mouse control
@@ -1588,8 +4263,17 @@ new p5((p) => {
     p.setAttributes('antialias', true);
     p.smooth();
     
+    particleRenderer = createParticleRenderer(p);
+    
+    simulation = createSimulation({
+      seed: simulationSettings.seed,
+      terrainResolution: renderSettings.terrainResolution,
+      terrain: terrainSettings,
+      heightmap: terrainHeightmap,
+      lifecycle: lifecycleSettings
+    });
+    
     initMidi();
-    initOrganicModel();
     createSettingsUI();
     createStatusBar();
     setupKeyboardShortcuts();
@@ -1613,15 +4297,23 @@ new p5((p) => {
     p.pointLight(160, 170, 190, -300, 200, 300); // Slightly blue fill light
     
     // Smoothly interpolate camera rotation when using mouse control
+    // (closing 10% of the gap every 1/60 s, whatever the frame rate)
+    const frameTime = p.deltaTime / 1000;
     if (cameraParams.mouseControl) {
-      cameraParams.yRotation = p.lerp(cameraParams.yRotation, cameraParams.targetYRotation, 0.1);
+      const follow = 1 - Math.pow(0.9, frameTime * 60);
+      cameraParams.yRotation = p.lerp(cameraParams.yRotation, cameraParams.targetYRotation, follow);
     }
     
     // Create a camera view with separate rotations for each axis
-    let baseAngle = cameraParams.autoRotate && !cameraParams.mouseControl 
-      ? p.frameCount * cameraParams.rotationSpeed 
-      : 0;
+    let baseAngle = 0;
+    if (cameraParams.autoRotate && !cameraParams.mouseControl) {
+      cameraParams.autoRotation += cameraParams.rotationRate * frameTime;
+      baseAngle = tempoSync.cameraRotation === 'free'
+        ? cameraParams.autoRotation
+        : getSyncedRotationAngle();
+    }
     baseAngle += cameraParams.yRotation; // Add Y rotation (around vertical axis)
+    baseAngle += cameraParams.pitchBendOffset; // Pitch bend nudge
     
     // Start with base camera position - flipped horizontally
     let camX = 0, camY = -cameraParams.height, camZ = -cameraParams.radius; // Inverted Z for horizontal flip
@@ -1664,8 +4356,12 @@ new p5((p) => {
     p.push();
     p.translate(0, 0, 0);
     
-    updateOrganicModel();
-    drawOrganicModel();
+    updateTempo();
+    updateAutomation();
+    updateAudioRoutes(p.deltaTime);
+    updateModulators(p.deltaTime);
+    updateSimulation(frameTime);
+    drawWorld({ x: camX, y: camY, z: camZ });
     
     p.pop();
     
@@ -1674,19 +4370,19 @@ new p5((p) => {
     
     // Update parameter panels
     if (paramChangeTimer > 0) {
-      paramChangeTimer--;
+      paramChangeTimer = Math.max(0, paramChangeTimer - frameTime);
       
       // Fade out when timer is low
-      if (paramChangeTimer < 30) {
+      if (paramChangeTimer < PARAM_PANEL_FADE_TIME) {
         const paramPanel = document.getElementById('parameter-panel');
         const gesturePanel = document.getElementById('gesture-panel');
         
         if (paramPanel) {
-          paramPanel.style.opacity = paramChangeTimer / 30;
+          paramPanel.style.opacity = paramChangeTimer / PARAM_PANEL_FADE_TIME;
         }
         
         if (gesturePanel) {
-          gesturePanel.style.opacity = paramChangeTimer / 30;
+          gesturePanel.style.opacity = paramChangeTimer / PARAM_PANEL_FADE_TIME;
         }
       }
     }
@@ -0,0 +1,52 @@
+// Rate-limited CC feedback to a MIDI output.
+// Changes are coalesced per CC number and flushed at most once per interval,
+// and values the hardware already shows are not sent again.
+
+// Create a feedback sender. `send(ccNumber, rawValue)` does the actual MIDI output.
+export function createFeedbackSender(send, minInterval = 30) {
+  const pending = new Map(); // CC number -> raw 7-bit value waiting to be sent
+  const knownValues = new Map(); // CC number -> raw value the hardware is known to show
+  let timer = null;
+  let lastFlush = -Infinity;
+
+  function flush() {
+    timer = null;
+    lastFlush = performance.now();
+
+    pending.forEach((rawValue, ccNumber) => {
+      if (knownValues.get(ccNumber) !== rawValue) {
+        send(ccNumber, rawValue);
+        knownValues.set(ccNumber, rawValue);
+      }
+    });
+    pending.clear();
+  }
+
+  return {
+    // Queue a normalized (0-1) value for a CC number
+    queue(ccNumber, value) {
+      pending.set(ccNumber, toRawValue(value));
+
+      if (timer === null) {
+        const wait = Math.max(0, lastFlush + minInterval - performance.now());
+        timer = setTimeout(flush, wait);
+      }
+    },
+
+    // Record a value that came from the hardware itself so it is not echoed back
+    markKnown(ccNumber, value) {
+      knownValues.set(ccNumber, toRawValue(value));
+      pending.delete(ccNumber);
+    },
+
+    // Forget what the hardware shows (e.g. after switching outputs) so everything is resent
+    reset() {
+      knownValues.clear();
+    }
+  };
+}
+
+// Convert a normalized value to a 7-bit CC value
+function toRawValue(value) {
+  return Math.round(Math.min(1, Math.max(0, value)) * 127);
+}
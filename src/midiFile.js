@@ -0,0 +1,200 @@
+// Minimal Standard MIDI File (.mid) reader and writer for CC automation.
+// Writing produces a format 0 file with one track of control changes.
+// Reading accepts format 0 and 1 files, follows the tempo map and returns
+// every control change with its time in milliseconds.
+
+const TICKS_PER_QUARTER = 480;
+const DEFAULT_TEMPO = 500000; // Microseconds per quarter note (120 BPM)
+
+// Write control changes ({ time (ms), channel (1-16), controller, value (0-127) }) to a .mid file
+export function writeMidiFile(controlChanges, duration, trackName = 'MIDI Visuals automation') {
+  const msToTicks = ms => Math.round((ms * 1000 * TICKS_PER_QUARTER) / DEFAULT_TEMPO);
+  const track = [];
+  let lastTick = 0;
+
+  const pushEvent = (tick, bytes) => {
+    track.push(...encodeVariableLength(tick - lastTick), ...bytes);
+    lastTick = tick;
+  };
+
+  // Track name and tempo
+  const nameBytes = Array.from(new TextEncoder().encode(trackName));
+  pushEvent(0, [0xFF, 0x03, ...encodeVariableLength(nameBytes.length), ...nameBytes]);
+  pushEvent(0, [0xFF, 0x51, 0x03, (DEFAULT_TEMPO >> 16) & 0xFF, (DEFAULT_TEMPO >> 8) & 0xFF, DEFAULT_TEMPO & 0xFF]);
+
+  const sorted = controlChanges.slice().sort((a, b) => a.time - b.time);
+  sorted.forEach(cc => {
+    pushEvent(msToTicks(cc.time), [0xB0 | ((cc.channel - 1) & 0x0F), cc.controller & 0x7F, cc.value & 0x7F]);
+  });
+
+  // End of track at the end of the take so loops keep their length
+  pushEvent(Math.max(lastTick, msToTicks(duration)), [0xFF, 0x2F, 0x00]);
+
+  const header = [
+    ...asciiBytes('MThd'), ...uint32Bytes(6),
+    0x00, 0x00, // Format 0
+    0x00, 0x01, // One track
+    (TICKS_PER_QUARTER >> 8) & 0xFF, TICKS_PER_QUARTER & 0xFF
+  ];
+  const trackHeader = [...asciiBytes('MTrk'), ...uint32Bytes(track.length)];
+
+  return new Uint8Array([...header, ...trackHeader, ...track]);
+}
+
+// Read a .mid file. Returns { controlChanges: [{ time, channel, controller, value }], duration } with times in ms.
+export function parseMidiFile(buffer) {
+  const data = new DataView(buffer);
+  let offset = 0;
+
+  const readChunkHeader = () => {
+    const id = String.fromCharCode(
+      data.getUint8(offset), data.getUint8(offset + 1), data.getUint8(offset + 2), data.getUint8(offset + 3)
+    );
+    const length = data.getUint32(offset + 4);
+    offset += 8;
+    return { id, length };
+  };
+
+  if (buffer.byteLength < 14) {
+    throw new Error("File is too short to be a MIDI file");
+  }
+
+  const header = readChunkHeader();
+  if (header.id !== 'MThd') {
+    throw new Error("Not a Standard MIDI File");
+  }
+
+  const trackCount = data.getUint16(offset + 2);
+  const division = data.getUint16(offset + 4);
+  offset += header.length;
+
+  const events = []; // { tick, type: 'cc' | 'tempo' | 'end', ... }
+  for (let t = 0; t < trackCount && offset < buffer.byteLength; t++) {
+    const chunk = readChunkHeader();
+    const end = offset + chunk.length;
+    if (chunk.id === 'MTrk') {
+      readTrack(data, offset, end, events);
+    }
+    offset = end;
+  }
+
+  // Tempo changes apply across all tracks, so convert ticks to ms on the merged list
+  events.sort((a, b) => a.tick - b.tick);
+  const ticksToMs = createTickConverter(division, events.filter(event => event.type === 'tempo'));
+
+  const controlChanges = [];
+  let duration = 0;
+  events.forEach(event => {
+    const time = ticksToMs(event.tick);
+    duration = Math.max(duration, time);
+    if (event.type === 'cc') {
+      controlChanges.push({ time, channel: event.channel, controller: event.controller, value: event.value });
+    }
+  });
+
+  return { controlChanges, duration };
+}
+
+// Parse the events of one track into the shared list
+function readTrack(data, start, end, events) {
+  let offset = start;
+  let tick = 0;
+  let runningStatus = null;
+
+  const readVariableLength = () => {
+    let value = 0;
+    let byte;
+    do {
+      byte = data.getUint8(offset++);
+      value = (value << 7) | (byte & 0x7F);
+    } while (byte & 0x80);
+    return value;
+  };
+
+  while (offset < end) {
+    tick += readVariableLength();
+    let status = data.getUint8(offset);
+
+    if (status < 0x80) {
+      // Running status: reuse the previous status byte
+      if (runningStatus === null) {
+        throw new Error("Invalid MIDI data (running status without a status byte)");
+      }
+      status = runningStatus;
+    } else {
+      offset++;
+    }
+
+    if (status === 0xFF) {
+      const metaType = data.getUint8(offset++);
+      const length = readVariableLength();
+      if (metaType === 0x51 && length === 3) {
+        const tempo = (data.getUint8(offset) << 16) | (data.getUint8(offset + 1) << 8) | data.getUint8(offset + 2);
+        events.push({ tick, type: 'tempo', tempo });
+      } else if (metaType === 0x2F) {
+        events.push({ tick, type: 'end' });
+      }
+      offset += length;
+    } else if (status === 0xF0 || status === 0xF7) {
+      offset += readVariableLength();
+    } else {
+      runningStatus = status;
+      const type = status & 0xF0;
+      const dataLength = type === 0xC0 || type === 0xD0 ? 1 : 2;
+
+      if (type === 0xB0) {
+        events.push({
+          tick,
+          type: 'cc',
+          channel: (status & 0x0F) + 1,
+          controller: data.getUint8(offset),
+          value: data.getUint8(offset + 1)
+        });
+      }
+      offset += dataLength;
+    }
+  }
+}
+
+// Build a function converting absolute ticks to ms using the tempo map
+function createTickConverter(division, tempoEvents) {
+  // SMPTE division: negative frames per second in the high byte, ticks per frame in the low byte
+  if (division & 0x8000) {
+    const framesPerSecond = 256 - (division >> 8);
+    const ticksPerFrame = division & 0xFF;
+    return tick => (tick * 1000) / (framesPerSecond * ticksPerFrame);
+  }
+
+  return tick => {
+    let time = 0;
+    let lastTick = 0;
+    let tempo = DEFAULT_TEMPO;
+
+    for (const change of tempoEvents) {
+      if (change.tick >= tick) break;
+      time += ((change.tick - lastTick) * tempo) / (division * 1000);
+      lastTick = change.tick;
+      tempo = change.tempo;
+    }
+
+    return time + ((tick - lastTick) * tempo) / (division * 1000);
+  };
+}
+
+function encodeVariableLength(value) {
+  const bytes = [value & 0x7F];
+  value >>= 7;
+  while (value > 0) {
+    bytes.unshift((value & 0x7F) | 0x80);
+    value >>= 7;
+  }
+  return bytes;
+}
+
+function asciiBytes(text) {
+  return Array.from(text, char => char.charCodeAt(0));
+}
+
+function uint32Bytes(value) {
+  return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
@@ -0,0 +1,100 @@
+// Modulation matrix: routes from controls to simulation parameters.
+// A route reads a source (one of the faders, or any raw 7-bit CC), shapes
+// it with a deadzone, response curve and optional inversion, and scales it
+// into its own min/max range. Routes into the same parameter are summed, so
+// one control can drive several parameters and several controls can share one.
+
+// Response curves for a 0-1 input
+export const CURVES = [
+  { id: 'linear', name: 'Linear' },
+  { id: 'exponential', name: 'Exponential' },
+  { id: 'log', name: 'Logarithmic' },
+  { id: 'sCurve', name: 'S-curve' }
+];
+
+const CURVE_STEEPNESS = 4;
+
+// Output ranges of the direct fader-to-parameter routes. These were the
+// hard-coded p.map ranges; the gestures (8-13) stay 0-1 because the camera
+// and force code maps them further.
+export const DEFAULT_RANGES = [
+  { min: 0.5, max: 2 }, // Size
+  { min: 0.1, max: 2 }, // Speed
+  { min: 0.01, max: 0.2 }, // Gravity
+  { min: 0.01, max: 0.3 }, // Turbulence
+  { min: 0.01, max: 0.2 }, // Randomness
+  { min: 0.2, max: 1 }, // Particle Density
+  { min: 0, max: 1 }, // Connection Density
+  { min: 20, max: 200 }, // Terrain Height
+  { min: 0, max: 1 }, { min: 0, max: 1 }, { min: 0, max: 1 }, // Gestures
+  { min: 0, max: 1 }, { min: 0, max: 1 }, { min: 0, max: 1 },
+  { min: 0, max: 2 }, // Terrain Speed (noise field units per second)
+  { min: 0, max: 60 }, // Wave Amplitude
+  { min: 0, max: 40 }, // Emission Rate (particles per second)
+  { min: 1, max: 30 } // Lifespan (seconds)
+];
+
+// A new route: source 'fader' (index is the fader) or 'cc' (index is the CC number)
+export function createRoute(source, index, target) {
+  const range = DEFAULT_RANGES[target] || { min: 0, max: 1 };
+  return {
+    source: source,
+    index: index,
+    target: target,
+    min: range.min,
+    max: range.max,
+    curve: 'linear',
+    invert: false,
+    deadzone: 0 // Fraction of the travel at the bottom that is ignored
+  };
+}
+
+// One route per fader into its own parameter, matching the original behaviour
+export function createDefaultRoutes() {
+  return DEFAULT_RANGES.map((range, i) => createRoute('fader', i, i));
+}
+
+// Shape a 0-1 input through the curve
+function applyCurve(curve, value) {
+  switch (curve) {
+    case 'exponential':
+      return (Math.exp(CURVE_STEEPNESS * value) - 1) / (Math.exp(CURVE_STEEPNESS) - 1);
+    case 'log':
+      return Math.log(1 + value * (Math.exp(CURVE_STEEPNESS) - 1)) / CURVE_STEEPNESS;
+    case 'sCurve':
+      return value * value * (3 - 2 * value);
+    default:
+      return value;
+  }
+}
+
+// Map a 0-1 source value through a route into the route's output range
+export function applyRoute(route, value) {
+  let shaped = Math.min(1, Math.max(0, value));
+
+  if (route.deadzone > 0) {
+    shaped = shaped <= route.deadzone ? 0 : (shaped - route.deadzone) / (1 - route.deadzone);
+  }
+
+  shaped = applyCurve(route.curve, shaped);
+  if (route.invert) {
+    shaped = 1 - shaped;
+  }
+
+  return route.min + (route.max - route.min) * shaped;
+}
+
+// Evaluate every route and sum the outputs per parameter. Parameters without
+// a route sit at the bottom of their default range.
+export function evaluateMatrix(routes, getSourceValue, paramCount) {
+  const values = new Array(paramCount).fill(0);
+  const routed = new Array(paramCount).fill(false);
+
+  routes.forEach(route => {
+    if (route.target < 0 || route.target >= paramCount) return;
+    values[route.target] += applyRoute(route, getSourceValue(route));
+    routed[route.target] = true;
+  });
+
+  return values.map((value, i) => (routed[i] ? value : (DEFAULT_RANGES[i] || { min: 0 }).min));
+}
@@ -0,0 +1,141 @@
+// Built-in modulators that keep the scene moving without hands on the hardware.
+// Each modulator is an LFO or an AD/ADSR envelope assigned to one parameter.
+// Outputs are scaled by depth and summed per parameter, so they add to the
+// incoming CC value rather than replacing it.
+
+export const LFO_SHAPES = [
+  { id: 'sine', name: 'Sine' },
+  { id: 'triangle', name: 'Triangle' },
+  { id: 'square', name: 'Square' },
+  { id: 'saw', name: 'Saw' },
+  { id: 'sampleHold', name: 'Sample & Hold' }
+];
+
+// Settings for a new modulator slot. Times are in ms, rate in Hz, depth and sustain 0-1 (depth may be negative).
+export const DEFAULT_MODULATOR = {
+  type: 'off', // 'off', 'lfo' or 'envelope'
+  target: 0, // Parameter index
+  depth: 0.5,
+  shape: 'sine',
+  rate: 0.25,
+  envelopeMode: 'adsr', // 'ad' ignores note off, 'adsr' holds the sustain level while the gate is open
+  attack: 50,
+  decay: 300,
+  sustain: 0.6,
+  release: 800,
+  trigger: 'both' // 'note' (MIDI notes), 'key' (E key) or 'both'
+};
+
+// Create a bank driving the given modulator settings. The settings objects are
+// read every update, so edits take effect immediately. random (0-1) feeds sample & hold.
+export function createModulatorBank(settings, random = Math.random) {
+  const states = settings.map(() => ({
+    phase: 0,
+    held: random() * 2 - 1, // Sample & hold value
+    stage: 'idle', // Envelope stage: 'idle', 'attack', 'decay', 'sustain' or 'release'
+    level: 0,
+    releaseFrom: 0,
+    gate: false
+  }));
+
+  // Bipolar (-1 to 1) LFO value for the current phase
+  function lfoValue(modulator, state) {
+    switch (modulator.shape) {
+      case 'triangle':
+        return 1 - 4 * Math.abs(state.phase - 0.5);
+      case 'square':
+        return state.phase < 0.5 ? 1 : -1;
+      case 'saw':
+        return state.phase * 2 - 1;
+      case 'sampleHold':
+        return state.held;
+      default:
+        return Math.sin(state.phase * Math.PI * 2);
+    }
+  }
+
+  // Advance an envelope by dtMs and return its 0-1 level
+  function advanceEnvelope(modulator, state, dtMs) {
+    const sustain = modulator.envelopeMode === 'ad' ? 0 : modulator.sustain;
+
+    if (state.stage === 'attack') {
+      state.level += dtMs / Math.max(1, modulator.attack);
+      if (state.level >= 1) {
+        state.level = 1;
+        state.stage = 'decay';
+      }
+    } else if (state.stage === 'decay') {
+      state.level -= ((1 - sustain) * dtMs) / Math.max(1, modulator.decay);
+      if (state.level <= sustain) {
+        state.level = sustain;
+        state.stage = modulator.envelopeMode === 'ad' ? 'idle' : 'sustain';
+      }
+    } else if (state.stage === 'sustain') {
+      state.level = sustain;
+    } else if (state.stage === 'release') {
+      state.level -= (state.releaseFrom * dtMs) / Math.max(1, modulator.release);
+      if (state.level <= 0) {
+        state.level = 0;
+        state.stage = 'idle';
+      }
+    }
+
+    return state.level;
+  }
+
+  function triggerMatches(modulator, source) {
+    return modulator.type === 'envelope' && (modulator.trigger === 'both' || modulator.trigger === source);
+  }
+
+  return {
+    // Advance all modulators and return the summed offset for each of paramCount parameters
+    update(dtMs, paramCount) {
+      const offsets = new Array(paramCount).fill(0);
+
+      settings.forEach((modulator, i) => {
+        const state = states[i];
+        let output = 0;
+
+        if (modulator.type === 'lfo') {
+          state.phase += (modulator.rate * dtMs) / 1000;
+          if (state.phase >= 1) {
+            state.phase %= 1;
+            state.held = random() * 2 - 1;
+          }
+          output = lfoValue(modulator, state);
+        } else if (modulator.type === 'envelope') {
+          output = advanceEnvelope(modulator, state, dtMs);
+        }
+
+        if (modulator.type !== 'off' && modulator.target >= 0 && modulator.target < paramCount) {
+          offsets[modulator.target] += output * modulator.depth;
+        }
+      });
+
+      return offsets;
+    },
+
+    // Open the gate of envelopes listening to a trigger source ('note' or 'key')
+    gateOn(source) {
+      settings.forEach((modulator, i) => {
+        if (!triggerMatches(modulator, source)) return;
+        states[i].gate = true;
+        states[i].stage = 'attack'; // Retrigger from the current level
+      });
+    },
+
+    // Close the gate: ADSR envelopes move to their release stage, AD envelopes run on
+    gateOff(source) {
+      settings.forEach((modulator, i) => {
+        const state = states[i];
+        if (!triggerMatches(modulator, source) || !state.gate) return;
+
+        state.gate = false;
+        if (modulator.envelopeMode === 'adsr' && state.stage !== 'idle') {
+          state.stage = 'release';
+          state.releaseFrom = state.level;
+        }
+      });
+    }
+  };
+}
@@ -0,0 +1,150 @@
+// Batched, shader-based particle renderer.
+// Instead of push/translate/sphere per particle, each level of detail has one
+// retained geometry holding BATCH_SIZE unit spheres. The sphere index is
+// stored in the texture coordinate, and a modified p5 material shader moves,
+// scales and colors each sphere from uniform arrays, so a batch of particles
+// is a single draw call with the same lighting and specular look.
+
+import p5 from 'p5';
+
+const BATCH_SIZE = 96; // Two vec4 uniforms per particle, within WebGL's minimum vertex uniform count
+
+// Sphere tessellation per level of detail: [detailX, detailY], nearest first.
+// The first matches p5's default sphere.
+const LOD_DETAIL = [[24, 16], [12, 8], [6, 4]];
+
+// A sphere covering more than this fraction of its distance from the camera
+// uses the given level of detail (0 = full detail)
+const LOD_RATIOS = [1 / 40, 1 / 100];
+
+// Build a geometry of BATCH_SIZE unit spheres, each tagged with its index in u
+function createBatchGeometry(p, detailX, detailY) {
+  const geometry = new p5.Geometry(detailX, detailY);
+  geometry.gid = `particle-batch-${detailX}x${detailY}`;
+
+  for (let instance = 0; instance < BATCH_SIZE; instance++) {
+    const offset = geometry.vertices.length;
+
+    for (let y = 0; y <= detailY; y++) {
+      const latitude = (y / detailY) * Math.PI;
+      for (let x = 0; x <= detailX; x++) {
+        const longitude = (x / detailX) * Math.PI * 2;
+        const normal = p.createVector(
+          Math.sin(latitude) * Math.sin(longitude),
+          Math.cos(latitude),
+          Math.sin(latitude) * Math.cos(longitude)
+        );
+        geometry.vertices.push(normal.copy());
+        geometry.vertexNormals.push(normal);
+        geometry.uvs.push(instance, 0);
+      }
+    }
+
+    for (let y = 0; y < detailY; y++) {
+      for (let x = 0; x < detailX; x++) {
+        const a = offset + y * (detailX + 1) + x;
+        const b = a + detailX + 1;
+        geometry.faces.push([a, b, a + 1], [b, b + 1, a + 1]);
+      }
+    }
+  }
+
+  return geometry;
+}
+
+// Create the renderer, or return null when the shader can't be built (the caller keeps the classic path)
+export function createParticleRenderer(p) {
+  let shader;
+  try {
+    shader = p.baseMaterialShader().modify({
+      vertexDeclarations: `
+        uniform vec4 uParticles[${BATCH_SIZE}]; // xyz position, w radius
+        uniform vec4 uParticleColors[${BATCH_SIZE}];
+        uniform float uParticleCount;
+      `,
+      'vec3 getLocalPosition': `(vec3 position) {
+        int index = int(aTexCoord.x + 0.5);
+        vec4 particle = uParticles[index];
+        // Spheres past the end of a partial batch collapse to a point and aren't drawn
+        float visible = aTexCoord.x < uParticleCount ? 1.0 : 0.0;
+        return particle.xyz + position * particle.w * visible;
+      }`,
+      'vec4 getVertexColor': `(vec4 color) {
+        return uParticleColors[int(aTexCoord.x + 0.5)];
+      }`
+    });
+  } catch (err) {
+    console.error("Could not create the batched particle shader:", err);
+    return null;
+  }
+
+  const geometries = LOD_DETAIL.map(([detailX, detailY]) => createBatchGeometry(p, detailX, detailY));
+  const positions = new Array(BATCH_SIZE * 4).fill(0);
+  const colors = new Array(BATCH_SIZE * 4).fill(0);
+
+  // Draw one level of detail in batches
+  function drawLevel(geometry, particles) {
+    for (let start = 0; start < particles.length; start += BATCH_SIZE) {
+      const count = Math.min(BATCH_SIZE, particles.length - start);
+
+      for (let i = 0; i < count; i++) {
+        const particle = particles[start + i];
+        const color = particle.color;
+        positions[i * 4] = particle.renderPosition.x;
+        positions[i * 4 + 1] = particle.renderPosition.y;
+        positions[i * 4 + 2] = particle.renderPosition.z;
+        positions[i * 4 + 3] = particle.size;
+        colors[i * 4] = color[0] / 255;
+        colors[i * 4 + 1] = color[1] / 255;
+        colors[i * 4 + 2] = color[2] / 255;
+        colors[i * 4 + 3] = color[3] / 255;
+      }
+
+      shader.setUniform('uParticles', positions);
+      shader.setUniform('uParticleColors', colors);
+      shader.setUniform('uParticleCount', count);
+      p.model(geometry);
+    }
+  }
+
+  return {
+    // Draw the particles as lit spheres. With useLod, spheres that are small on screen use coarser meshes.
+    draw(particles, cameraPosition, useLod) {
+      const levels = LOD_DETAIL.map(() => []);
+
+      for (const particle of particles) {
+        let level = 0;
+        if (useLod) {
+          const distance = Math.max(1, Math.hypot(
+            particle.renderPosition.x - cameraPosition.x,
+            particle.renderPosition.y - cameraPosition.y,
+            particle.renderPosition.z - cameraPosition.z
+          ));
+          const ratio = particle.size / distance;
+          level = LOD_RATIOS.findIndex(threshold => ratio > threshold);
+          if (level === -1) level = LOD_RATIOS.length;
+        }
+        levels[level].push(particle);
+      }
+
+      p.push();
+      p.noStroke();
+      p.shader(shader);
+
+      // Same material as the classic path; the color comes from the uniforms,
+      // but the fill alpha still switches on blending
+      p.fill(255, 220);
+      p.specularMaterial(250);
+      p.shininess(50);
+
+      levels.forEach((levelParticles, i) => {
+        if (levelParticles.length > 0) {
+          drawLevel(geometries[i], levelParticles);
+        }
+      });
+
+      p.resetShader();
+      p.pop();
+    }
+  };
+}
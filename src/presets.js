@@ -0,0 +1,172 @@
+// Preset storage for named snapshots of the visualizer state.
+// Presets are plain objects so they can be kept in localStorage and
+// exchanged as JSON files between machines.
+
+import { loadStored, saveStored } from './storage.js';
+import { CURVES, DEFAULT_RANGES } from './modulationMatrix.js';
+import { TERRAIN_GENERATORS } from './terrainGenerators.js';
+
+const STORAGE_KEY = 'midi-visuals-presets';
+const FILE_VERSION = 1;
+
+const CONTROL_MODES = ['7bit', '14bit', 'nrpn'];
+const CAMERA_NUMBER_KEYS = [
+  'radius', 'height', 'rotationRate',
+  'zRotation', 'xRotation', 'yRotation', 'targetYRotation'
+];
+
+// Load the preset list from localStorage (empty list if nothing is stored)
+export function loadPresets() {
+  const presets = loadStored(STORAGE_KEY, []);
+  return Array.isArray(presets) ? presets.filter(isValidPreset).map(sanitizePreset) : [];
+}
+
+// Persist the preset list to localStorage
+export function savePresets(presets) {
+  saveStored(STORAGE_KEY, presets);
+}
+
+// Add a preset, replacing any existing preset with the same name
+export function upsertPreset(presets, preset) {
+  const existingIndex = presets.findIndex(existing => existing.name === preset.name);
+  if (existingIndex !== -1) {
+    presets[existingIndex] = preset;
+  } else {
+    presets.push(preset);
+  }
+  return presets;
+}
+
+// Serialize presets into the JSON file format used for export
+export function exportPresets(presets) {
+  return JSON.stringify({ version: FILE_VERSION, presets: presets }, null, 2);
+}
+
+// Parse an exported preset file, accepting either the wrapped format or a bare array
+export function parsePresetFile(text) {
+  const data = JSON.parse(text);
+  const presets = Array.isArray(data) ? data : data && data.presets;
+
+  if (!Array.isArray(presets)) {
+    throw new Error("File does not contain a preset list");
+  }
+
+  const validPresets = presets.filter(isValidPreset).map(sanitizePreset);
+  if (validPresets.length === 0) {
+    throw new Error("File does not contain any valid presets");
+  }
+
+  return validPresets;
+}
+
+// A preset needs a name and the fader values it restores
+function isValidPreset(preset) {
+  return Boolean(
+    preset &&
+    typeof preset.name === 'string' &&
+    preset.name.length > 0 &&
+    Array.isArray(preset.faderValues)
+  );
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isInteger(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// A route from a fader or CC that exists into a parameter that exists
+// (DEFAULT_RANGES has one entry per parameter)
+function isValidRoute(route) {
+  const paramCount = DEFAULT_RANGES.length;
+  return isObject(route) &&
+    (route.source === 'fader' || route.source === 'cc') &&
+    isInteger(route.index, 0, route.source === 'fader' ? paramCount - 1 : 127) &&
+    isInteger(route.target, 0, paramCount - 1) &&
+    isNumber(route.min) &&
+    isNumber(route.max) &&
+    CURVES.some(curve => curve.id === route.curve) &&
+    typeof route.invert === 'boolean' &&
+    isNumber(route.deadzone) && route.deadzone >= 0 && route.deadzone < 1;
+}
+
+// A copy of a preset with only the values applyPreset can use. Other values
+// (from an old version or a hand-edited file) are dropped field by field, so
+// the current setting stays in place of each. List entries that are unusable
+// become null and are skipped.
+export function sanitizePreset(preset) {
+  const clean = { name: preset.name };
+
+  clean.faderValues = preset.faderValues.map(value =>
+    (isNumber(value) ? Math.min(1, Math.max(0, value)) : null)
+  );
+
+  if (Array.isArray(preset.faderMappings)) {
+    clean.faderMappings = preset.faderMappings.map(ccNumber => (isInteger(ccNumber, 0, 127) ? ccNumber : null));
+  }
+
+  if (Array.isArray(preset.controlModes)) {
+    clean.controlModes = preset.controlModes.map(mode => (CONTROL_MODES.includes(mode) ? mode : null));
+  }
+
+  if (Array.isArray(preset.routes)) {
+    clean.routes = preset.routes.filter(isValidRoute).map(route => Object.assign({}, route));
+  }
+
+  if (isObject(preset.cameraParams)) {
+    clean.cameraParams = {};
+    CAMERA_NUMBER_KEYS.forEach(key => {
+      if (isNumber(preset.cameraParams[key])) {
+        clean.cameraParams[key] = preset.cameraParams[key];
+      }
+    });
+    if (typeof preset.cameraParams.autoRotate === 'boolean') {
+      clean.cameraParams.autoRotate = preset.cameraParams.autoRotate;
+    }
+  }
+
+  if (isObject(preset.organicModel)) {
+    const model = preset.organicModel;
+    clean.organicModel = {};
+    if (isNumber(model.particleDensity) && model.particleDensity >= 0) {
+      clean.organicModel.particleDensity = model.particleDensity;
+    }
+    if (isNumber(model.connectionDensity) && model.connectionDensity >= 0) {
+      clean.organicModel.connectionDensity = model.connectionDensity;
+    }
+    if (isNumber(model.terrainHeight) && model.terrainHeight > 0) {
+      clean.organicModel.terrainHeight = model.terrainHeight;
+    }
+  }
+
+  // The landscape needs a known generator; its seed and parameters of the right type (numbers clamped to their ranges) are kept
+  const generator = isObject(preset.terrain) &&
+    TERRAIN_GENERATORS.find(candidate => candidate.id === preset.terrain.generator);
+  if (generator) {
+    clean.terrain = { generator: generator.id, params: {} };
+    if (isInteger(preset.terrain.seed, 0, Number.MAX_SAFE_INTEGER)) {
+      clean.terrain.seed = preset.terrain.seed;
+    }
+    const params = isObject(preset.terrain.params) ? preset.terrain.params : {};
+    generator.params.forEach(param => {
+      const value = params[param.key];
+      if (typeof param.value === 'boolean' && typeof value === 'boolean') {
+        clean.terrain.params[param.key] = value;
+      } else if (typeof param.value === 'number' && isNumber(value)) {
+        clean.terrain.params[param.key] = Math.min(param.max, Math.max(param.min, value));
+      }
+    });
+  }
+
+  if (typeof preset.savedAt === 'string') {
+    clean.savedAt = preset.savedAt;
+  }
+
+  return clean;
+}
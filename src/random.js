@@ -0,0 +1,118 @@
+// Seeded random numbers and noise.
+// Unlike Math.random and p5's global noise, every generator here has its own
+// seed, so the same seed always gives the same sequence or the same field.
+
+// Random number generator (mulberry32). Returns a function giving values in [0, 1).
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Gradient directions for 3D Perlin noise (the cube edge midpoints)
+const GRADIENTS = [
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Perlin noise with its own permutation. Returns noise(x, y, z = 0) with
+// values in 0-1, centred on 0.5 like p5's noise().
+export function createNoise(seed) {
+  const random = createRandom(seed);
+
+  // Shuffle 0-255 and repeat it, so lookups never need wrapping
+  const permutation = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+  }
+  const perm = new Uint8Array(512);
+  for (let i = 0; i < 512; i++) {
+    perm[i] = permutation[i & 255];
+  }
+
+  function gradientDot(hash, x, y, z) {
+    const g = GRADIENTS[hash % 12];
+    return g[0] * x + g[1] * y + g[2] * z;
+  }
+
+  return function noise(x, y, z = 0) {
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    const zi = Math.floor(z);
+    const X = xi & 255;
+    const Y = yi & 255;
+    const Z = zi & 255;
+    const xf = x - xi;
+    const yf = y - yi;
+    const zf = z - zi;
+    const u = fade(xf);
+    const v = fade(yf);
+    const w = fade(zf);
+
+    const a = perm[X] + Y;
+    const aa = perm[a] + Z;
+    const ab = perm[a + 1] + Z;
+    const b = perm[X + 1] + Y;
+    const ba = perm[b] + Z;
+    const bb = perm[b + 1] + Z;
+
+    const value = lerp(
+      lerp(
+        lerp(gradientDot(perm[aa], xf, yf, zf), gradientDot(perm[ba], xf - 1, yf, zf), u),
+        lerp(gradientDot(perm[ab], xf, yf - 1, zf), gradientDot(perm[bb], xf - 1, yf - 1, zf), u),
+        v
+      ),
+      lerp(
+        lerp(gradientDot(perm[aa + 1], xf, yf, zf - 1), gradientDot(perm[ba + 1], xf - 1, yf, zf - 1), u),
+        lerp(gradientDot(perm[ab + 1], xf, yf - 1, zf - 1), gradientDot(perm[bb + 1], xf - 1, yf - 1, zf - 1), u),
+        v
+      ),
+      w
+    );
+
+    return Math.min(1, Math.max(0, (value + 1) / 2));
+  };
+}
+
+// Noise with layered octaves, each at double the frequency and `falloff` times
+// the amplitude of the one before. The defaults match p5's noiseDetail, so it
+// can stand in for p.noise(). Returns values in 0-1.
+export function createFractalNoise(seed, octaves = 4, falloff = 0.5) {
+  const noise = createNoise(seed);
+
+  return function fractalNoise(x, y = 0, z = 0) {
+    let sum = 0;
+    let total = 0;
+    let amplitude = 0.5;
+    let frequency = 1;
+
+    for (let octave = 0; octave < octaves; octave++) {
+      sum += noise(x * frequency, y * frequency, z * frequency) * amplitude;
+      total += amplitude;
+      amplitude *= falloff;
+      frequency *= 2;
+    }
+
+    return sum / total;
+  };
+}
+
+// A fresh seed for when the user asks for a new one, short enough to note down and type back in
+export function randomSeed() {
+  return Math.floor(Math.random() * 1000000);
+}
@@ -0,0 +1,914 @@
+// Headless simulation core.
+// Holds the particles, their connections and the terrain, and advances them
+// with step(world, params, dt). It doesn't touch the DOM or p5, so the same
+// code runs in the sketch and under Node (see test/simulation.test.js). The
+// sketch turns its controls into step parameters and renders the world.
+//
+// The sketch calls advance() every frame, which runs as many fixed steps of
+// FIXED_TIMESTEP as the elapsed time covers, so the motion is the same at any
+// frame rate. Times and rates are in seconds. Forces and velocities were
+// tuned at one step per 1/60 s and are still measured per FIXED_TIMESTEP.
+//
+// Vectors are plain { x, y, z } objects and colors are [r, g, b, a] arrays (0-255).
+
+import { forEachClosePair, findNearestNeighbors } from './spatialGrid.js';
+import { createTerrainSampler } from './terrainGenerators.js';
+import { createRandom, createFractalNoise } from './random.js';
+import { getEmitterType, createDefaultLifecycle } from './emitters.js';
+import { sumFieldForces } from './forceFields.js';
+
+export const FIXED_TIMESTEP = 1 / 60; // Seconds per physics step
+const MAX_FRAME_TIME = 0.25; // Longer frames (e.g. a background tab) are cut short rather than caught up
+
+const ELASTICITY = 0.01; // How strongly particles return to their original positions
+const DAMPING = Math.pow(0.98, 60); // Share of the velocity kept after a second
+const WALL_BOUNCE = 0.8; // Share of the velocity kept when bouncing off a wall or the ceiling
+const BOUNCINESS = 0.7; // Share of the velocity kept when bouncing off the terrain
+const COLLISION_FORCE = 0.5; // Push between two touching particles
+const HIT_DEBOUNCE_TIME = 1 / 6; // Seconds before another terrain hit counts for the same particle
+const IMPULSE_RATE = 18; // Random impulses per second per particle, times the randomness
+const BEZIER_SPEED = 0.12; // Share of its Bezier curve a particle travels per second at speed 1
+const BEZIER_PULL_RATE = 3; // Times per second a particle is pulled toward its curve
+const NOISE_TIME_SCALE = 0.6; // How fast the noise motion field changes, per second
+const WAVE_NOISE_SCALE = 0.015; // Size of the living terrain's waves
+const TERRAIN_ALPHA = 180;
+const PARTICLE_ALPHA = 220;
+
+// Accessible particle palette (hue, saturation, brightness), picked by a noise value below each limit
+const PARTICLE_PALETTE = [
+  { limit: 0.2, hsb: [180, 60, 80] }, // Teal
+  { limit: 0.4, hsb: [45, 70, 85] }, // Gold
+  { limit: 0.6, hsb: [270, 50, 75] }, // Purple
+  { limit: 0.8, hsb: [120, 40, 70] }, // Green
+  { limit: Infinity, hsb: [15, 65, 90] } // Coral
+];
+
+// Lighter, neutral terrain colors for the generator's five height bands
+const TERRAIN_PALETTE = [
+  [210, 20, 70], // Deep water (lighter muted blue-gray)
+  [200, 15, 85], // Shallow water (very light gray-blue)
+  [40, 15, 95], // Low ground (very light beige)
+  [35, 15, 85], // Medium height (light taupe)
+  [30, 20, 75] // High ground (light gray-brown)
+];
+
+// Parameters for step(). Missing ones take these values.
+export const DEFAULT_STEP_PARAMS = {
+  size: 1, // Multiplier of each particle's own size
+  speed: 1,
+  gravity: 0.01, // Pull toward the centre
+  turbulence: 0.01,
+  randomness: 0.01, // Random impulses and noise motion
+  particleDensity: 0.5, // Share of numParticles to keep
+  connectionDensity: 0.5, // Share of the 5 nearest neighbours to connect
+  terrainHeight: 100,
+  terrainHeightThreshold: 5, // Smallest height change that reshapes the terrain
+  terrainSpeed: 0, // Living terrain drift, in noise units per second
+  waveAmplitude: 0, // Living terrain wave height
+  vortexStrength: 0, // Swirl around the Y axis
+  centerPull: 0, // Extra pull toward the centre on top of gravity
+  impulseSync: null, // null: impulses fire at random; true/false: a tempo boundary was (not) crossed this step
+  bezierT: null, // null: particles travel their Bezier curves freely; 0-1: position locked to the tempo
+  emissionRate: 0, // Particles per second from the enabled emitters
+  lifespan: 10, // Seconds an emitted particle lives
+  forceFields: [] // Placed force fields (see forceFields.js)
+};
+
+function vector(x = 0, y = 0, z = 0) {
+  return { x, y, z };
+}
+
+function copyVector(v) {
+  return { x: v.x, y: v.y, z: v.z };
+}
+
+function subtract(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function addScaled(target, v, scale) {
+  target.x += v.x * scale;
+  target.y += v.y * scale;
+  target.z += v.z * scale;
+  return target;
+}
+
+function scaleVector(v, scale) {
+  v.x *= scale;
+  v.y *= scale;
+  v.z *= scale;
+  return v;
+}
+
+function magnitude(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+// Scale to length 1 in place (a zero vector stays zero)
+function normalize(v) {
+  const length = magnitude(v);
+  return length > 0 ? scaleVector(v, 1 / length) : v;
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+  };
+}
+
+function mapRange(value, inMin, inMax, outMin, outMax) {
+  return outMin + ((value - inMin) / (inMax - inMin)) * (outMax - outMin);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function bezierPoint(a, b, c, d, t) {
+  const u = 1 - t;
+  return u * u * u * a + 3 * u * u * t * b + 3 * u * t * t * c + t * t * t * d;
+}
+
+// HSB (360, 100, 100) to RGB (0-255)
+function hsbToRgb(hue, saturation, brightness) {
+  const s = saturation / 100;
+  const v = brightness / 100;
+  const sector = (hue / 60) % 6;
+  const chroma = v * s;
+  const x = chroma * (1 - Math.abs((sector % 2) - 1));
+  const m = v - chroma;
+  const [r, g, b] = [
+    [chroma, x, 0], [x, chroma, 0], [0, chroma, x],
+    [0, x, chroma], [x, 0, chroma], [chroma, 0, x]
+  ][Math.floor(sector)];
+  return [Math.round((r + m) * 255), Math.round((g + m) * 255), Math.round((b + m) * 255)];
+}
+
+function randomBetween(world, min, max) {
+  return min + (max - min) * world.random();
+}
+
+// Random unit vector (same method as p5.Vector.random3D)
+function randomDirection(world) {
+  const angle = randomBetween(world, 0, Math.PI * 2);
+  const vz = randomBetween(world, -1, 1);
+  const radius = Math.sqrt(1 - vz * vz);
+  return vector(radius * Math.cos(angle), radius * Math.sin(angle), vz);
+}
+
+// Create a world. Options (all optional):
+// seed, numParticles, minParticles, particleDensity, connectionDensity,
+// terrainSize, terrainResolution, terrainHeight, heightmap, terrain:
+// { generator, seed, generatorParams, morphTime, living } and lifecycle (see
+// createDefaultLifecycle in emitters.js). The terrain settings are copied into
+// world.terrainSettings, which updateTerrain reads; change them there (e.g.
+// with the updateTerrain command). The lifecycle object is kept and read every step.
+export function createWorld(options = {}) {
+  const settings = Object.assign({
+    seed: 1,
+    numParticles: 150,
+    minParticles: 10,
+    particleDensity: 0.5,
+    connectionDensity: 0.5,
+    terrainSize: 500,
+    terrainResolution: 30,
+    terrainHeight: 100,
+    heightmap: null,
+    terrain: {},
+    lifecycle: createDefaultLifecycle()
+  }, options);
+
+  const world = {
+    seed: settings.seed,
+    random: null, // Seeded generators, set by resetWorld
+    noise: null,
+    time: 0, // Seconds simulated since the world was seeded
+    accumulator: 0, // Frame time not yet simulated, less than one step
+    interpolation: 0, // Share of a step the accumulator holds, for rendering between steps
+    pendingImpulse: false, // A synced impulse boundary fell in a frame too short for a step
+    numParticles: settings.numParticles,
+    minParticles: settings.minParticles, // Minimum number of particles before spawning more
+    particleDensity: settings.particleDensity,
+    connectionDensity: settings.connectionDensity,
+    particles: [],
+    connections: [],
+    particlesToAdd: [], // Queue of particles to add
+    particlesToRemove: [], // Queue of particle indices to remove
+    lifecycle: settings.lifecycle, // Emitters and the rules for when emitted particles die
+    emissionDue: 0, // Particles owed by the emitters, carried between steps
+    nextEmitter: 0, // Enabled emitters take turns
+    terrainSize: settings.terrainSize,
+    terrainResolution: settings.terrainResolution,
+    terrainHeight: settings.terrainHeight,
+    terrainSettings: Object.assign({
+      generator: 'fbm',
+      seed: settings.seed,
+      generatorParams: {},
+      morphTime: 0, // ms to morph into a new shape (0 = snap)
+      living: false // Drift a layer of noise waves across the terrain
+    }, settings.terrain),
+    heightmap: settings.heightmap, // Grayscale { width, height, data } for the heightmap generator
+    terrain: [], // Displayed grid: terrain[x][z] = { position, color }
+    terrainBands: [], // Color band thresholds of the active generator
+    terrainVersion: 0, // Increases whenever the displayed terrain moves
+    terrainAnimation: {
+      target: [], // Latest shape from generateTerrain; the displayed grid moves toward it
+      baseHeights: [], // Displayed heights without the waves
+      fromHeights: null, // Heights when the current morph started, or null when not morphing
+      morphElapsed: 0,
+      drift: 0, // How far the wave noise field has moved
+      waving: false // The displayed surface still has waves on it
+    }
+  };
+
+  resetWorld(world, world.seed);
+  return world;
+}
+
+// Reseed the world and rebuild it. The same seed and the same steps give the same run.
+export function resetWorld(world, seed = world.seed) {
+  world.seed = seed;
+  world.random = createRandom(seed);
+  world.noise = createFractalNoise(seed);
+  world.time = 0;
+  world.accumulator = 0;
+  world.pendingImpulse = false;
+  world.emissionDue = 0;
+  world.nextEmitter = 0;
+  rebuildWorld(world);
+}
+
+// Rebuild the terrain, particles and connections with the current densities
+export function rebuildWorld(world) {
+  // Generate terrain first
+  updateTerrain(world);
+
+  // Create particles
+  world.particles = [];
+  const actualParticles = Math.floor(world.numParticles * world.particleDensity);
+  for (let i = 0; i < actualParticles; i++) {
+    world.particles.push(createParticle(world));
+  }
+
+  // Create connections between particles
+  world.connections = createConnections(world);
+}
+
+// Create a particle, at a random position on the terrain unless one is given
+export function createParticle(world, x, y, z) {
+  if (x === undefined || y === undefined || z === undefined) {
+    x = randomBetween(world, -world.terrainSize / 2, world.terrainSize / 2);
+    z = randomBetween(world, -world.terrainSize / 2, world.terrainSize / 2);
+
+    // Use noise to create natural-looking height variations
+    const noiseScale = 0.01;
+    y = mapRange(
+      world.noise(x * noiseScale, z * noiseScale),
+      0, 1,
+      -world.terrainHeight / 2,
+      world.terrainHeight / 2
+    );
+  }
+
+  // Generate a fixed size based on position for stability
+  const fixedSize = mapRange(world.noise(x * 0.05, z * 0.05), 0, 1, 4, 12);
+
+  // Generate a stable, accessible color based on position
+  const colorSeed = world.noise(x * 0.02, z * 0.02);
+  const swatch = PARTICLE_PALETTE.find(candidate => colorSeed < candidate.limit);
+  const color = [...hsbToRgb(...swatch.hsb), PARTICLE_ALPHA];
+
+  // Create control points for Bezier motion
+  const controlPoints = [];
+  for (let i = 0; i < 4; i++) {
+    controlPoints.push({
+      x: x + randomBetween(world, -50, 50),
+      y: y + randomBetween(world, -30, 30),
+      z: z + randomBetween(world, -50, 50)
+    });
+  }
+
+  return {
+    position: vector(x, y, z),
+    previousPosition: vector(x, y, z), // Position before the last step
+    renderPosition: vector(x, y, z), // Position to draw, between the last two steps
+    velocity: vector(randomBetween(world, -0.5, 0.5), randomBetween(world, -0.2, 0.2), randomBetween(world, -0.5, 0.5)),
+    size: fixedSize,
+    fixedSize: fixedSize, // Store the fixed size to prevent animation
+    color: color,
+    originalPosition: vector(x, y, z),
+    controlPoints: controlPoints,
+    bezierT: 0, // Parameter for Bezier curve (0-1)
+    bezierDirection: 1, // Direction of movement along curve
+    noiseOffset: randomBetween(world, 0, 1000), // Unique offset into the noise field
+    terrainHits: 0, // Count how many times this particle has hit the terrain
+    lastCollisionTime: -Infinity, // World time of the last counted terrain hit
+    age: 0, // Seconds since the particle was created
+    lifespan: Infinity, // Seconds it lives; only emitted particles die of age
+    emitted: false,
+    fade: 1 // Share of its full size and alpha, while fading in or out
+  };
+}
+
+// Connect each particle to a few of its nearest neighbours, found through a spatial grid
+export function createConnections(world) {
+  const connections = [];
+  const particles = world.particles;
+
+  // If connection density is 0, return empty connections array
+  if (world.connectionDensity <= 0) {
+    return connections;
+  }
+
+  const maxPossibleConnections = Math.min(5, particles.length - 1);
+  // Clamped, since a matrix route can push the density above 1
+  const numConnections = Math.min(
+    maxPossibleConnections,
+    Math.floor(maxPossibleConnections * world.connectionDensity)
+  );
+  const nearest = findNearestNeighbors(particles.map(particle => particle.position), numConnections);
+
+  for (let i = 0; i < particles.length; i++) {
+    const distances = nearest[i];
+
+    // Connect to the closest particles based on connection density
+    for (let k = 0; k < numConnections; k++) {
+      connections.push({
+        from: i,
+        to: distances[k].index,
+        strength: randomBetween(world, 0.01, 0.03),
+        maxLength: distances[k].distance * 1.5
+      });
+    }
+  }
+
+  return connections;
+}
+
+// Color of a terrain height, from the generator's bands (fractions of maxHeight)
+function getTerrainColor(height, maxHeight, bands) {
+  let band = bands.findIndex(threshold => height < maxHeight * threshold);
+  if (band === -1) band = bands.length;
+  return [...hsbToRgb(...TERRAIN_PALETTE[band]), TERRAIN_ALPHA];
+}
+
+// Generate a terrain grid with the active generator, and use its color bands
+export function generateTerrain(world) {
+  const terrain = [];
+  const resolution = world.terrainResolution;
+  const size = world.terrainSize;
+  const settings = world.terrainSettings;
+  const sampler = createTerrainSampler(
+    settings.generator,
+    settings.generatorParams[settings.generator],
+    settings.seed,
+    size,
+    world.heightmap
+  );
+  world.terrainBands = sampler.bands;
+
+  for (let x = 0; x < resolution; x++) {
+    terrain[x] = [];
+    for (let z = 0; z < resolution; z++) {
+      const xPos = mapRange(x, 0, resolution - 1, -size / 2, size / 2);
+      const zPos = mapRange(z, 0, resolution - 1, -size / 2, size / 2);
+      const height = mapRange(sampler.height(xPos, zPos), 0, 1, -world.terrainHeight / 2, world.terrainHeight / 2);
+
+      terrain[x][z] = {
+        position: vector(xPos, height, zPos),
+        color: getTerrainColor(height, world.terrainHeight, world.terrainBands)
+      };
+    }
+  }
+
+  return terrain;
+}
+
+// Show a new terrain shape. With the same grid size it morphs over
+// terrainSettings.morphTime, otherwise the displayed grid is replaced.
+export function setTerrainTarget(world, target) {
+  const animation = world.terrainAnimation;
+  animation.target = target;
+
+  if (world.terrainSettings.morphTime > 0 && world.terrain.length === target.length) {
+    animation.fromHeights = animation.baseHeights.map(column => column.slice());
+    animation.morphElapsed = 0;
+    return;
+  }
+
+  // The displayed grid is a copy, so animating it leaves the target untouched
+  world.terrain = target.map(column => column.map(point => ({
+    position: copyVector(point.position),
+    color: point.color
+  })));
+  animation.baseHeights = target.map(column => column.map(point => point.position.y));
+  animation.fromHeights = null;
+  animation.waving = false;
+  world.terrainVersion++;
+}
+
+// Move the terrain to the shape the current terrain settings give
+export function updateTerrain(world) {
+  setTerrainTarget(world, generateTerrain(world));
+}
+
+// Give the terrain a new shape with a new seed from the world's generator. Returns the seed.
+export function regenerateTerrain(world) {
+  world.terrainSettings.seed = Math.floor(world.random() * 1000000);
+  updateTerrain(world);
+  return world.terrainSettings.seed;
+}
+
+// Advance the morph and the living terrain's waves, and move the displayed
+// surface (which particles collide with) to match
+function animateTerrain(world, dt, waveSpeed, waveAmplitude) {
+  const animation = world.terrainAnimation;
+  const morphing = animation.fromHeights !== null;
+  const waving = world.terrainSettings.living && waveAmplitude > 0;
+
+  // Nothing to do once the surface has settled on its target
+  if (!morphing && !waving && !animation.waving) return;
+
+  let morphAmount = 1;
+  if (morphing) {
+    animation.morphElapsed += dt * 1000;
+    const t = Math.min(1, animation.morphElapsed / world.terrainSettings.morphTime);
+    morphAmount = t * t * (3 - 2 * t); // Ease in and out
+  }
+  if (waving) {
+    animation.drift += waveSpeed * dt;
+  }
+
+  const drift = animation.drift;
+  const terrain = world.terrain;
+  for (let x = 0; x < terrain.length; x++) {
+    for (let z = 0; z < terrain[x].length; z++) {
+      const point = terrain[x][z];
+      let height = animation.target[x][z].position.y;
+      if (morphing) {
+        height = lerp(animation.fromHeights[x][z], height, morphAmount);
+      }
+      animation.baseHeights[x][z] = height;
+
+      // The noise field slides along x and slowly changes shape as it drifts
+      if (waving) {
+        const wave = world.noise(
+          point.position.x * WAVE_NOISE_SCALE + drift,
+          point.position.z * WAVE_NOISE_SCALE,
+          drift * 0.5
+        );
+        height += (wave - 0.5) * 2 * waveAmplitude;
+      }
+
+      point.position.y = height;
+      point.color = getTerrainColor(height, world.terrainHeight, world.terrainBands);
+    }
+  }
+
+  if (morphing && morphAmount >= 1) {
+    animation.fromHeights = null;
+  }
+  animation.waving = waving;
+  world.terrainVersion++;
+}
+
+// Check if a particle collides with the displayed terrain surface.
+// Returns { collision, normal, terrainHeight, penetrationDepth, velocityMagnitude }.
+export function checkTerrainCollision(world, particle) {
+  const terrain = world.terrain;
+  const resolution = world.terrainResolution;
+  const size = world.terrainSize;
+
+  // Convert particle position to terrain grid coordinates
+  const gridX = Math.floor(mapRange(particle.position.x, -size / 2, size / 2, 0, resolution - 1));
+  const gridZ = Math.floor(mapRange(particle.position.z, -size / 2, size / 2, 0, resolution - 1));
+
+  // Check if particle is within terrain bounds
+  if (gridX >= 0 && gridX < resolution - 1 && gridZ >= 0 && gridZ < resolution - 1) {
+    // Get the four terrain points around the particle
+    const p00 = terrain[gridX][gridZ].position;
+    const p10 = terrain[gridX + 1][gridZ].position;
+    const p01 = terrain[gridX][gridZ + 1].position;
+    const p11 = terrain[gridX + 1][gridZ + 1].position;
+
+    // Interpolate to find the exact terrain height at particle's xz position
+    const xRatio = mapRange(particle.position.x, p00.x, p10.x, 0, 1);
+    const zRatio = mapRange(particle.position.z, p00.z, p01.z, 0, 1);
+    const h1 = lerp(p00.y, p10.y, xRatio);
+    const h2 = lerp(p01.y, p11.y, xRatio);
+    const terrainHeight = lerp(h1, h2, zRatio);
+
+    // Surface normal for bounce reflection, pointing upward for consistent bouncing
+    const normal = normalize(cross(subtract(p10, p00), subtract(p01, p00)));
+    if (normal.y < 0) {
+      scaleVector(normal, -1);
+    }
+
+    // Check if particle is below terrain surface (with a small buffer for particle size)
+    const penetrationDepth = (terrainHeight + particle.size * 0.5) - particle.position.y;
+    if (penetrationDepth > 0) {
+      return {
+        collision: true,
+        normal: normal,
+        terrainHeight: terrainHeight,
+        penetrationDepth: penetrationDepth,
+        velocityMagnitude: magnitude(particle.velocity)
+      };
+    }
+  }
+
+  // No collision
+  return {
+    collision: false,
+    normal: vector(0, 1, 0),
+    terrainHeight: -Infinity,
+    penetrationDepth: 0,
+    velocityMagnitude: 0
+  };
+}
+
+// Reflect a particle's velocity off a surface with the given normal, losing some energy,
+// and give it a small push away from the surface
+export function bounceOffSurface(particle, normal, speed) {
+  addScaled(particle.velocity, normal, -2 * dot(particle.velocity, normal));
+  scaleVector(particle.velocity, BOUNCINESS);
+  addScaled(particle.velocity, normal, 0.5 * speed);
+}
+
+// Queue a burst of particles around (x, y), thrown outward at the given speed.
+// tag marks them so releaseBurst can remove them again.
+export function spawnBurst(world, x, y, count, speed, tag) {
+  for (let i = 0; i < count; i++) {
+    const particle = createParticle(
+      world,
+      x + randomBetween(world, -20, 20),
+      y + randomBetween(world, -10, 10),
+      randomBetween(world, -40, 40)
+    );
+    particle.velocity = scaleVector(randomDirection(world), speed);
+    particle.burstTag = tag;
+    world.particlesToAdd.push(particle);
+  }
+}
+
+// Queue removal of the particles from bursts with this tag
+export function releaseBurst(world, tag) {
+  world.particlesToAdd = world.particlesToAdd.filter(particle => particle.burstTag !== tag);
+
+  world.particles.forEach((particle, index) => {
+    if (particle.burstTag === tag) {
+      world.particlesToRemove.push(index);
+    }
+  });
+}
+
+// Height of the displayed terrain surface at x, z (clamped to the terrain's edges)
+function surfaceHeight(world, x, z) {
+  const terrain = world.terrain;
+  const last = terrain.length - 1;
+  const half = world.terrainSize / 2;
+  const gridX = Math.min(last, Math.max(0, mapRange(x, -half, half, 0, last)));
+  const gridZ = Math.min(last, Math.max(0, mapRange(z, -half, half, 0, last)));
+  const x0 = Math.min(last - 1, Math.floor(gridX));
+  const z0 = Math.min(last - 1, Math.floor(gridZ));
+  const h1 = lerp(terrain[x0][z0].position.y, terrain[x0 + 1][z0].position.y, gridX - x0);
+  const h2 = lerp(terrain[x0][z0 + 1].position.y, terrain[x0 + 1][z0 + 1].position.y, gridX - x0);
+  return lerp(h1, h2, gridZ - z0);
+}
+
+// Queue the particles the enabled emitters owe for this step
+function emitParticles(world, emissionRate, lifespan, dt) {
+  const lifecycle = world.lifecycle;
+  const emitters = lifecycle.emitters.filter(emitter => emitter.enabled);
+  if (emitters.length === 0 || emissionRate <= 0) {
+    world.emissionDue = 0;
+    return;
+  }
+
+  world.emissionDue += emissionRate * dt;
+  let alive = world.particles.filter(particle => particle.emitted).length +
+    world.particlesToAdd.filter(particle => particle.emitted).length;
+
+  while (world.emissionDue >= 1) {
+    world.emissionDue -= 1;
+    if (alive >= lifecycle.maxEmitted) continue;
+
+    const emitter = emitters[world.nextEmitter++ % emitters.length];
+    const { position, direction } = getEmitterType(emitter.type).sample(
+      emitter,
+      world.random,
+      (x, z) => surfaceHeight(world, x, z)
+    );
+    const particle = createParticle(world, position.x, position.y, position.z);
+    particle.velocity = scaleVector(direction, emitter.speed);
+    particle.emitted = true;
+    particle.lifespan = lifespan;
+    particle.fade = 0;
+    world.particlesToAdd.push(particle);
+    alive++;
+  }
+}
+
+// Start an emitted particle's fade-out, after which it dies
+function startDying(world, particle) {
+  particle.lifespan = Math.min(particle.lifespan, particle.age + world.lifecycle.fadeTime);
+}
+
+// Age an emitted particle, decide whether it should die, and set its fade
+function updateLife(world, particle, dt) {
+  particle.age += dt;
+  const lifecycle = world.lifecycle;
+
+  if (lifecycle.maxTerrainHits > 0 && particle.terrainHits >= lifecycle.maxTerrainHits) {
+    startDying(world, particle);
+  }
+  if (lifecycle.regionRadius > 0 && magnitude(particle.position) > lifecycle.regionRadius) {
+    startDying(world, particle);
+  }
+
+  const fadeTime = lifecycle.fadeTime;
+  particle.fade = fadeTime > 0
+    ? Math.max(0, Math.min(1, particle.age / fadeTime, (particle.lifespan - particle.age) / fadeTime))
+    : 1;
+  particle.color[3] = PARTICLE_ALPHA * particle.fade;
+}
+
+function refreshConnections(world) {
+  world.connections = world.connectionDensity > 0 ? createConnections(world) : [];
+}
+
+// Advance the world by one step. params are the step parameters (see
+// DEFAULT_STEP_PARAMS) and dt the time the step covers, in seconds.
+export function step(world, params, dt = FIXED_TIMESTEP) {
+  const {
+    size, speed, gravity, turbulence, randomness, particleDensity, connectionDensity,
+    terrainHeight, terrainHeightThreshold, terrainSpeed, waveAmplitude,
+    vortexStrength, centerPull, impulseSync, bezierT, emissionRate, lifespan, forceFields
+  } = Object.assign({}, DEFAULT_STEP_PARAMS, params);
+
+  // Reshape the terrain when its height changes
+  if (Math.abs(world.terrainHeight - terrainHeight) > terrainHeightThreshold) {
+    world.terrainHeight = terrainHeight;
+    updateTerrain(world);
+  }
+
+  // Morph toward the latest shape and move the living terrain's waves
+  animateTerrain(world, dt, terrainSpeed, waveAmplitude);
+
+  // Rebuild the ambient particles with new densities, keeping them where they
+  // were. Emitted and burst particles live on untouched, to die or be released.
+  if (Math.abs(world.particleDensity - particleDensity) > 0.1 ||
+      Math.abs(world.connectionDensity - connectionDensity) > 0.1) {
+    world.particleDensity = particleDensity;
+    world.connectionDensity = connectionDensity;
+
+    const isOwned = particle => particle.emitted || particle.burstTag !== undefined;
+    const oldParticles = world.particles.filter(particle => !isOwned(particle));
+    const ownedParticles = world.particles.filter(isOwned);
+    const removing = world.particlesToRemove.map(index => world.particles[index]);
+    rebuildWorld(world);
+
+    const minLength = Math.min(oldParticles.length, world.particles.length);
+    for (let i = 0; i < minLength; i++) {
+      world.particles[i].position = copyVector(oldParticles[i].position);
+      world.particles[i].previousPosition = copyVector(oldParticles[i].previousPosition);
+      world.particles[i].velocity = copyVector(oldParticles[i].velocity);
+    }
+
+    // Queued removals of owned particles still apply at their new indices
+    world.particles.push(...ownedParticles);
+    world.particlesToRemove = removing
+      .map(particle => world.particles.indexOf(particle))
+      .filter(index => index >= 0);
+    refreshConnections(world);
+  }
+
+  // Forces and velocities are per FIXED_TIMESTEP, so scale them to the step
+  const ticks = dt / FIXED_TIMESTEP;
+
+  // Bounce touching particles off each other.
+  // A spatial grid sized to the largest collision distance limits the checks to nearby pairs.
+  const largestSize = world.particles.reduce((largest, particle) => Math.max(largest, particle.size), 0);
+  forEachClosePair(
+    world.particles.map(particle => particle.position),
+    largestSize * 2 * 0.8,
+    (i, j, distance) => {
+      const particleA = world.particles[i];
+      const particleB = world.particles[j];
+
+      if (distance < (particleA.size + particleB.size) * 0.8) {
+        const direction = normalize(subtract(particleB.position, particleA.position));
+        addScaled(particleA.velocity, direction, -COLLISION_FORCE * ticks);
+        addScaled(particleB.velocity, direction, COLLISION_FORCE * ticks);
+      }
+    }
+  );
+
+  world.time += dt;
+  const halfSize = world.terrainSize / 2;
+  const ceiling = world.terrainHeight * 6; // Much higher ceiling for the box
+
+  // Gravity towards the centre and the vortex around the Y axis act like
+  // fields that reach everywhere, next to the placed ones
+  const fields = [
+    { type: 'attractor', enabled: true, x: 0, y: 0, z: 0, strength: gravity + centerPull, falloff: 0 },
+    { type: 'vortex', enabled: vortexStrength > 0, x: 0, y: 0, z: 0, dx: 0, dy: 1, dz: 0, strength: vortexStrength, falloff: 0 },
+    ...forceFields
+  ];
+
+  for (const particle of world.particles) {
+    // Turbulence, with more movement on the Y axis
+    particle.velocity.x += randomBetween(world, -turbulence - randomness, turbulence + randomness) * ticks;
+    particle.velocity.y += randomBetween(world, -turbulence - randomness * 1.5, turbulence + randomness * 1.5) * ticks;
+    particle.velocity.z += randomBetween(world, -turbulence - randomness, turbulence + randomness) * ticks;
+
+    // Force fields
+    addScaled(particle.velocity, sumFieldForces(fields, particle.position, particle.velocity, world.noise, world.time), ticks);
+
+    // Elasticity (return to original position)
+    addScaled(particle.velocity, subtract(particle.originalPosition, particle.position), ELASTICITY * ticks);
+
+    // Random impulses, more likely with more randomness. When synced they
+    // only fire on the beat or bar (much more likely, but far less often).
+    const impulseDue = impulseSync === null
+      ? world.random() < randomness * IMPULSE_RATE * dt
+      : impulseSync && world.random() < randomness * 5;
+    if (impulseDue) {
+      const impulseStrength = mapRange(randomness, 0, 0.2, 0.5, 3.0);
+      const direction = normalize(vector(
+        randomBetween(world, -1, 1),
+        randomBetween(world, -1, 1),
+        randomBetween(world, -1, 1)
+      ));
+      addScaled(particle.velocity, direction, impulseStrength);
+    }
+
+    // Update position
+    scaleVector(particle.velocity, Math.pow(DAMPING, dt));
+    addScaled(particle.position, particle.velocity, speed * ticks);
+
+    // Bounce off the X and Z walls and the ceiling of the box
+    if (particle.position.x > halfSize) {
+      particle.position.x = halfSize;
+      particle.velocity.x *= -WALL_BOUNCE;
+    } else if (particle.position.x < -halfSize) {
+      particle.position.x = -halfSize;
+      particle.velocity.x *= -WALL_BOUNCE;
+    }
+
+    if (particle.position.z > halfSize) {
+      particle.position.z = halfSize;
+      particle.velocity.z *= -WALL_BOUNCE;
+    } else if (particle.position.z < -halfSize) {
+      particle.position.z = -halfSize;
+      particle.velocity.z *= -WALL_BOUNCE;
+    }
+
+    if (particle.position.y > ceiling) {
+      particle.position.y = ceiling;
+      particle.velocity.y *= -WALL_BOUNCE;
+    }
+
+    // Bounce off the terrain
+    const terrainCollision = checkTerrainCollision(world, particle);
+    if (terrainCollision.collision || particle.position.y < -world.terrainHeight) {
+      // Only count as a hit if enough time has passed since the last one
+      if (world.time - particle.lastCollisionTime > HIT_DEBOUNCE_TIME) {
+        particle.terrainHits++;
+        particle.lastCollisionTime = world.time;
+      }
+
+      // Move the particle to just above the surface, then reflect its velocity
+      particle.position.y = terrainCollision.terrainHeight + particle.size * 0.8;
+      bounceOffSurface(particle, terrainCollision.normal, speed);
+    }
+
+    // Use fixed size with global size parameter
+    if (particle.emitted) {
+      updateLife(world, particle, dt);
+    }
+    particle.size = particle.fixedSize * size * particle.fade;
+
+    // Bezier curve motion
+    if (bezierT !== null) {
+      particle.bezierT = bezierT;
+    } else {
+      particle.bezierT += BEZIER_SPEED * speed * particle.bezierDirection * dt;
+
+      // Reverse direction at endpoints
+      if (particle.bezierT > 1 || particle.bezierT < 0) {
+        particle.bezierDirection *= -1;
+      }
+      particle.bezierT = Math.min(1, Math.max(0, particle.bezierT));
+    }
+
+    // Only occasionally move toward the curve, so other forces still work
+    if (world.random() < BEZIER_PULL_RATE * dt) {
+      const cp = particle.controlPoints;
+      const t = particle.bezierT;
+      particle.position.x = lerp(particle.position.x, bezierPoint(cp[0].x, cp[1].x, cp[2].x, cp[3].x, t), 0.03);
+      particle.position.y = lerp(particle.position.y, bezierPoint(cp[0].y, cp[1].y, cp[2].y, cp[3].y, t), 0.03);
+      particle.position.z = lerp(particle.position.z, bezierPoint(cp[0].z, cp[1].z, cp[2].z, cp[3].z, t), 0.03);
+    }
+
+    // Continuous noise motion, separate from the random impulses, kept subtle
+    const noiseTime = world.time * NOISE_TIME_SCALE;
+    const noiseStrength = mapRange(randomness, 0, 0.2, 0.1, 0.5) * ticks;
+    particle.position.x += (world.noise(particle.noiseOffset, noiseTime) - 0.5) * noiseStrength;
+    particle.position.y += (world.noise(particle.noiseOffset + 100, noiseTime) - 0.5) * noiseStrength;
+    particle.position.z += (world.noise(particle.noiseOffset + 200, noiseTime) - 0.5) * noiseStrength;
+  }
+
+  // Pull connected particles back together when they stretch too far
+  for (const connection of world.connections) {
+    const particleA = world.particles[connection.from];
+    const particleB = world.particles[connection.to];
+    if (!particleA || !particleB) continue;
+
+    const direction = subtract(particleB.position, particleA.position);
+    const distance = magnitude(direction);
+    if (distance > connection.maxLength) {
+      normalize(direction);
+      const correction = (distance - connection.maxLength) * connection.strength * ticks;
+      addScaled(particleA.position, direction, correction);
+      addScaled(particleB.position, direction, -correction);
+    }
+  }
+
+  // New particles from the emitters join on the next step
+  emitParticles(world, emissionRate, lifespan, dt);
+
+  // Emitted particles that have faded out die
+  world.particles.forEach((particle, index) => {
+    if (particle.age >= particle.lifespan) {
+      world.particlesToRemove.push(index);
+    }
+  });
+
+  // Add new particles from the queue
+  if (world.particlesToAdd.length > 0) {
+    world.particles.push(...world.particlesToAdd);
+    world.particlesToAdd = [];
+    refreshConnections(world);
+  }
+
+  // Remove particles marked for deletion (highest index first, so the others stay valid)
+  if (world.particlesToRemove.length > 0) {
+    const indices = [...new Set(world.particlesToRemove)].sort((a, b) => b - a);
+    for (const index of indices) {
+      if (index >= 0 && index < world.particles.length) {
+        world.particles.splice(index, 1);
+      }
+    }
+    world.particlesToRemove = [];
+    refreshConnections(world);
+  }
+
+  // Top up to the minimum number of particles
+  if (world.particles.length < world.minParticles) {
+    const particlesToSpawn = world.minParticles - world.particles.length;
+    for (let i = 0; i < particlesToSpawn; i++) {
+      world.particles.push(createParticle(world));
+    }
+    refreshConnections(world);
+  }
+}
+
+// Advance the world by a frame's worth of time (in seconds) in fixed steps,
+// and set each particle's renderPosition between its last two steps.
+// A synced impulse that falls in a frame too short for a step fires on the next one.
+export function advance(world, params, frameTime) {
+  world.accumulator += Math.min(frameTime, MAX_FRAME_TIME);
+  if (params.impulseSync) {
+    world.pendingImpulse = true;
+  }
+
+  while (world.accumulator >= FIXED_TIMESTEP) {
+    for (const particle of world.particles) {
+      Object.assign(particle.previousPosition, particle.position);
+    }
+
+    const impulseSync = params.impulseSync === null || params.impulseSync === undefined
+      ? null
+      : world.pendingImpulse;
+    step(world, Object.assign({}, params, { impulseSync }), FIXED_TIMESTEP);
+    world.pendingImpulse = false;
+    world.accumulator -= FIXED_TIMESTEP;
+  }
+
+  world.interpolation = world.accumulator / FIXED_TIMESTEP;
+  const t = world.interpolation;
+  for (const particle of world.particles) {
+    const from = particle.previousPosition;
+    const to = particle.position;
+    particle.renderPosition.x = lerp(from.x, to.x, t);
+    particle.renderPosition.y = lerp(from.y, to.y, t);
+    particle.renderPosition.z = lerp(from.z, to.z, t);
+  }
+}
@@ -0,0 +1,193 @@
+// The sketch's handle on the simulation.
+// The world runs in a Web Worker when the browser has them, and on the main
+// thread otherwise (or when the worker fails), behind the same interface.
+// Either way, `view` holds what the renderers need: particles, connections,
+// terrain, terrainVersion, terrainSize, terrainHeight and the densities.
+
+import { createWorld } from './simulation.js';
+import { runCommand, createView, unpackState } from './simulationProtocol.js';
+
+// Create the simulation. options are createWorld's options.
+export function createSimulation(options) {
+  // Kept up to date with every command, so a world can be recreated on the main thread
+  const worldOptions = Object.assign({}, options);
+
+  let worker = null;
+  let world = null; // Only on the main thread
+  let view = createView();
+
+  // The worker answers only init, advance and sync with a state, tagged with the command's id
+  let lastStateId = 0; // Id of the latest command that asked for a state
+  let awaitingState = false; // That state hasn't come back yet
+  let pendingFrameTime = 0; // Frame time that arrived while waiting
+  let pendingImpulse = false;
+  let spawnedSinceState = 0; // Burst particles queued since the last state request
+  let spawnedInRequest = 0; // Burst particles queued before the awaited state request
+  let changedSinceState = false; // A command changed the world since the last state request
+  const seedRequests = []; // Resolvers of regenerateTerrain calls, oldest first
+
+  function runLocally(reason) {
+    if (reason) {
+      console.error("Simulation worker failed, running the physics on the main thread:", reason);
+    }
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    world = createWorld(worldOptions);
+    view = world;
+    awaitingState = false;
+    seedRequests.splice(0).forEach(resolve => resolve(worldOptions.terrain.seed));
+  }
+
+  function send(command) {
+    if (worker) {
+      worker.postMessage(command);
+      changedSinceState = true;
+      return undefined;
+    }
+    return runCommand(world, command);
+  }
+  
+  // Post a command that the worker answers with a state
+  function requestState(command) {
+    lastStateId++;
+    worker.postMessage(Object.assign({ id: lastStateId }, command));
+    awaitingState = true;
+    changedSinceState = false;
+    spawnedInRequest = spawnedSinceState;
+  }
+
+  if (typeof Worker !== 'undefined') {
+    try {
+      worker = new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === 'terrainSeed') {
+          worldOptions.terrain = Object.assign({}, worldOptions.terrain, { seed: message.seed });
+          const resolve = seedRequests.shift();
+          if (resolve) resolve(message.seed);
+          return;
+        }
+        unpackState(view, message);
+        if (message.id === lastStateId && awaitingState) {
+          awaitingState = false;
+          spawnedSinceState -= spawnedInRequest;
+          spawnedInRequest = 0;
+        }
+      };
+      worker.onerror = (event) => {
+        event.preventDefault();
+        runLocally(event.message);
+      };
+      requestState({ type: 'init', options: worldOptions });
+    } catch (err) {
+      runLocally(err);
+    }
+  } else {
+    runLocally();
+  }
+
+  return {
+    get view() {
+      return view;
+    },
+
+    get usesWorker() {
+      return worker !== null;
+    },
+
+    // Particles alive or waiting to be added
+    countParticles() {
+      if (world) {
+        return world.particles.length + world.particlesToAdd.length;
+      }
+      return view.particles.length + view.queuedParticles + spawnedSinceState;
+    },
+
+    // Advance by a frame (see advance in simulation.js). While the worker is
+    // still busy with the last frame, the time adds up for the next one.
+    advance(params, frameTime) {
+      if (!worker) {
+        send({ type: 'advance', params, frameTime });
+        return;
+      }
+
+      pendingFrameTime += frameTime;
+      pendingImpulse = pendingImpulse || params.impulseSync === true;
+      if (awaitingState) return;
+
+      const impulseSync = params.impulseSync === null ? null : pendingImpulse;
+      requestState({ type: 'advance', params: Object.assign({}, params, { impulseSync }), frameTime: pendingFrameTime });
+      pendingFrameTime = 0;
+      pendingImpulse = false;
+    },
+    
+    // Fetch the state after commands that changed the world while nothing
+    // advances it (e.g. while paused). Cheap to call every frame.
+    sync() {
+      if (worker && changedSinceState && !awaitingState) {
+        requestState({ type: 'sync' });
+      }
+    },
+
+    // Restart the world from a seed
+    reset(seed) {
+      worldOptions.seed = seed;
+      send({ type: 'reset', seed });
+    },
+
+    // Rebuild the world with new densities and terrain height
+    rebuild(settings) {
+      Object.assign(worldOptions, settings);
+      send({ type: 'rebuild', settings });
+    },
+
+    // Regenerate the terrain after its settings changed. changes can hold
+    // terrain (the terrain settings), terrainResolution and heightmap.
+    updateTerrain(changes = {}) {
+      if (changes.terrain) {
+        worldOptions.terrain = changes.terrain;
+      }
+      if (changes.terrainResolution !== undefined) {
+        worldOptions.terrainResolution = changes.terrainResolution;
+      }
+      if (changes.heightmap !== undefined) {
+        worldOptions.heightmap = changes.heightmap;
+      }
+      send(Object.assign({ type: 'updateTerrain' }, changes));
+    },
+
+    // Change terrain settings without regenerating the terrain now
+    setTerrainSettings(terrain) {
+      worldOptions.terrain = terrain;
+      send({ type: 'setTerrainSettings', terrain });
+    },
+
+    // Give the terrain a new seed from the world's generator. Resolves to the seed.
+    regenerateTerrain() {
+      if (!worker) {
+        return Promise.resolve(send({ type: 'regenerateTerrain' }));
+      }
+      return new Promise(resolve => {
+        seedRequests.push(resolve);
+        send({ type: 'regenerateTerrain' });
+      });
+    },
+
+    // Change the emitters and death settings (see createDefaultLifecycle in emitters.js)
+    setLifecycle(lifecycle) {
+      worldOptions.lifecycle = lifecycle;
+      send({ type: 'setLifecycle', lifecycle });
+    },
+
+    spawnBurst(x, y, count, speed, tag) {
+      spawnedSinceState += count;
+      send({ type: 'spawnBurst', x, y, count, speed, tag });
+    },
+
+    releaseBurst(tag) {
+      send({ type: 'releaseBurst', tag });
+    }
+  };
+}
@@ -0,0 +1,204 @@
+// Messages between the sketch and the simulation worker.
+// Commands change the world the same way whether it runs in a worker or on
+// the main thread. The world's render state travels back as typed arrays
+// that are transferred rather than copied, and is unpacked into a view with
+// the fields the renderers read from a world: particles (renderPosition,
+// size, color), connections (from, to), terrain, terrainVersion and a few
+// numbers.
+
+import {
+  resetWorld,
+  rebuildWorld,
+  updateTerrain,
+  regenerateTerrain,
+  spawnBurst,
+  releaseBurst,
+  advance
+} from './simulation.js';
+
+const PARTICLE_FLOATS = 8; // x, y, z, size, r, g, b, a
+const TERRAIN_FLOATS = 7; // x, y, z, r, g, b, a
+
+// Apply a command ({ type, ... }) to a world. Returns the command's result, if any.
+export function runCommand(world, command) {
+  switch (command.type) {
+    case 'advance':
+      advance(world, command.params, command.frameTime);
+      return undefined;
+    case 'reset':
+      resetWorld(world, command.seed);
+      return undefined;
+    case 'rebuild':
+      // New densities or terrain height, e.g. from a preset
+      Object.assign(world, command.settings);
+      rebuildWorld(world);
+      return undefined;
+    case 'updateTerrain':
+      if (command.terrain) {
+        Object.assign(world.terrainSettings, command.terrain);
+      }
+      if (command.terrainResolution !== undefined) {
+        world.terrainResolution = command.terrainResolution;
+      }
+      if (command.heightmap !== undefined) {
+        world.heightmap = command.heightmap;
+      }
+      updateTerrain(world);
+      return undefined;
+    case 'setTerrainSettings':
+      // Settings read on the next change or animation step (morph time, living terrain)
+      Object.assign(world.terrainSettings, command.terrain);
+      return undefined;
+    case 'regenerateTerrain':
+      return regenerateTerrain(world);
+    case 'setLifecycle':
+      // Emitter and death settings, read on the next step
+      Object.assign(world.lifecycle, command.lifecycle);
+      return undefined;
+    case 'spawnBurst':
+      spawnBurst(world, command.x, command.y, command.count, command.speed, command.tag);
+      return undefined;
+    case 'releaseBurst':
+      releaseBurst(world, command.tag);
+      return undefined;
+    default:
+      throw new Error(`Unknown simulation command: ${command.type}`);
+  }
+}
+
+// Pack a world's render state into a message. The terrain is only included
+// when includeTerrain is set (it changed since the last message).
+// Returns { message, transfer } with the buffers to transfer.
+export function packState(world, includeTerrain) {
+  const particles = new Float32Array(world.particles.length * PARTICLE_FLOATS);
+  world.particles.forEach((particle, i) => {
+    const offset = i * PARTICLE_FLOATS;
+    particles[offset] = particle.renderPosition.x;
+    particles[offset + 1] = particle.renderPosition.y;
+    particles[offset + 2] = particle.renderPosition.z;
+    particles[offset + 3] = particle.size;
+    particles.set(particle.color, offset + 4);
+  });
+
+  const connections = new Uint32Array(world.connections.length * 2);
+  world.connections.forEach((connection, i) => {
+    connections[i * 2] = connection.from;
+    connections[i * 2 + 1] = connection.to;
+  });
+
+  const message = {
+    type: 'state',
+    particles,
+    connections,
+    queuedParticles: world.particlesToAdd.length,
+    terrainSize: world.terrainSize,
+    terrainHeight: world.terrainHeight,
+    particleDensity: world.particleDensity,
+    connectionDensity: world.connectionDensity,
+    terrainVersion: world.terrainVersion,
+    terrain: null
+  };
+  const transfer = [particles.buffer, connections.buffer];
+
+  if (includeTerrain) {
+    const resolution = world.terrain.length;
+    const points = new Float32Array(resolution * resolution * TERRAIN_FLOATS);
+    for (let x = 0; x < resolution; x++) {
+      for (let z = 0; z < resolution; z++) {
+        const point = world.terrain[x][z];
+        const offset = (x * resolution + z) * TERRAIN_FLOATS;
+        points[offset] = point.position.x;
+        points[offset + 1] = point.position.y;
+        points[offset + 2] = point.position.z;
+        points.set(point.color, offset + 3);
+      }
+    }
+    message.terrain = { resolution, points };
+    transfer.push(points.buffer);
+  }
+
+  return { message, transfer };
+}
+
+// An empty view, filled in by unpackState
+export function createView() {
+  return {
+    particles: [],
+    connections: [],
+    queuedParticles: 0,
+    terrain: [],
+    terrainSize: 0,
+    terrainHeight: 0,
+    particleDensity: 0,
+    connectionDensity: 0,
+    terrainVersion: -1
+  };
+}
+
+// Copy a state message into a view, reusing its objects where the sizes allow.
+// A terrain of a new size replaces view.terrain, so renderers can tell a new grid from a moved one.
+export function unpackState(view, message) {
+  const { particles, connections, terrain } = message;
+
+  const particleCount = particles.length / PARTICLE_FLOATS;
+  view.particles.length = Math.min(view.particles.length, particleCount);
+  for (let i = 0; i < particleCount; i++) {
+    const offset = i * PARTICLE_FLOATS;
+    let particle = view.particles[i];
+    if (!particle) {
+      particle = { renderPosition: { x: 0, y: 0, z: 0 }, size: 0, color: [0, 0, 0, 0] };
+      view.particles.push(particle);
+    }
+    particle.renderPosition.x = particles[offset];
+    particle.renderPosition.y = particles[offset + 1];
+    particle.renderPosition.z = particles[offset + 2];
+    particle.size = particles[offset + 3];
+    for (let c = 0; c < 4; c++) {
+      particle.color[c] = particles[offset + 4 + c];
+    }
+  }
+
+  const connectionCount = connections.length / 2;
+  view.connections.length = Math.min(view.connections.length, connectionCount);
+  for (let i = 0; i < connectionCount; i++) {
+    if (view.connections[i]) {
+      view.connections[i].from = connections[i * 2];
+      view.connections[i].to = connections[i * 2 + 1];
+    } else {
+      view.connections.push({ from: connections[i * 2], to: connections[i * 2 + 1] });
+    }
+  }
+
+  if (terrain) {
+    const { resolution, points } = terrain;
+    if (view.terrain.length !== resolution) {
+      view.terrain = [];
+      for (let x = 0; x < resolution; x++) {
+        view.terrain[x] = [];
+        for (let z = 0; z < resolution; z++) {
+          view.terrain[x][z] = { position: { x: 0, y: 0, z: 0 }, color: [0, 0, 0, 0] };
+        }
+      }
+    }
+
+    for (let x = 0; x < resolution; x++) {
+      for (let z = 0; z < resolution; z++) {
+        const point = view.terrain[x][z];
+        const offset = (x * resolution + z) * TERRAIN_FLOATS;
+        point.position.x = points[offset];
+        point.position.y = points[offset + 1];
+        point.position.z = points[offset + 2];
+        for (let c = 0; c < 4; c++) {
+          point.color[c] = points[offset + 3 + c];
+        }
+      }
+    }
+  }
+
+  view.queuedParticles = message.queuedParticles;
+  view.terrainSize = message.terrainSize;
+  view.terrainHeight = message.terrainHeight;
+  view.particleDensity = message.particleDensity;
+  view.connectionDensity = message.connectionDensity;
+  view.terrainVersion = message.terrainVersion;
+}
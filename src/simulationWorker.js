@@ -0,0 +1,42 @@
+// Web Worker that owns the world and runs the physics off the main thread.
+// It receives the commands from simulationProtocol.js. Only init, advance and
+// sync are answered with the world's render state, tagged with the command's
+// id; regenerateTerrain is answered with the new seed.
+
+import { createWorld } from './simulation.js';
+import { runCommand, packState } from './simulationProtocol.js';
+
+let world = null;
+let sentTerrainVersion = -1;
+
+function postState(id) {
+  const includeTerrain = world.terrainVersion !== sentTerrainVersion;
+  sentTerrainVersion = world.terrainVersion;
+  const { message, transfer } = packState(world, includeTerrain);
+  message.id = id;
+  self.postMessage(message, transfer);
+}
+
+self.onmessage = (event) => {
+  const command = event.data;
+
+  if (command.type === 'init') {
+    world = createWorld(command.options);
+    postState(command.id);
+    return;
+  }
+
+  // A request for the state after commands that changed the world without an advance
+  if (command.type === 'sync') {
+    postState(command.id);
+    return;
+  }
+
+  const result = runCommand(world, command);
+  if (command.type === 'regenerateTerrain') {
+    self.postMessage({ type: 'terrainSeed', seed: result });
+  }
+  if (command.type === 'advance') {
+    postState(command.id);
+  }
+};
@@ -0,0 +1,54 @@
+// Per-parameter smoothing (slew) so jumps in control values don't pop.
+// Each parameter has its own rise and fall times in ms and a smoothing law,
+// and is advanced by the real elapsed time rather than once per frame.
+
+export const SLEW_LAWS = [
+  { id: 'exponential', name: 'Exponential' },
+  { id: 'linear', name: 'Linear slew' },
+  { id: 'spring', name: 'Critically damped spring' }
+];
+
+// Defaults: the gestures (8-13) keep roughly the feel of the old per-frame
+// smoothing, the other parameters get a short slew to hide 7-bit steps and jumps.
+export function createDefaultSlew(paramIndex) {
+  return paramIndex >= 8 && paramIndex <= 13
+    ? { bypass: false, law: 'exponential', rise: 60, fall: 110 }
+    : { bypass: false, law: 'exponential', rise: 50, fall: 50 };
+}
+
+// State for one smoothed parameter
+export function createSlewState(value = 0) {
+  return { value: value, velocity: 0 };
+}
+
+// Move state toward target over dtMs using the slew settings. Returns the new value.
+export function stepSlew(slew, state, target, dtMs) {
+  const time = target > state.value ? slew.rise : slew.fall;
+
+  if (slew.bypass || time <= 0) {
+    state.value = target;
+    state.velocity = 0;
+    return state.value;
+  }
+
+  if (slew.law === 'linear') {
+    // Full scale (0 to 1) takes `time` ms
+    const maxStep = dtMs / time;
+    state.value += Math.max(-maxStep, Math.min(maxStep, target - state.value));
+    state.velocity = 0;
+  } else if (slew.law === 'spring') {
+    // Critically damped spring (no overshoot), integrated in closed form so large steps stay stable
+    const omega = 2 / time;
+    const x = omega * dtMs;
+    const decay = 1 / (1 + x + 0.48 * x * x + 0.235 * x * x * x);
+    const change = state.value - target;
+    const temp = (state.velocity + omega * change) * dtMs;
+    state.velocity = (state.velocity - omega * temp) * decay;
+    state.value = target + (change + temp) * decay;
+  } else {
+    state.value += (target - state.value) * (1 - Math.exp(-dtMs / time));
+    state.velocity = 0;
+  }
+
+  return state.value;
+}
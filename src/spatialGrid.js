@@ -0,0 +1,152 @@
+// Uniform spatial grid for neighbour queries between particles.
+// Points are bucketed into cubic cells, so close pairs and nearest
+// neighbours only need to look at nearby cells instead of every particle.
+// Positions are any objects with x, y and z (e.g. p5.Vector).
+
+const CELL_OFFSET = 32768; // Keeps cell coordinates positive when packed into one key
+const CELL_RANGE = 65536;
+const POINTS_PER_CELL = 4; // Target occupancy when sizing cells for nearest-neighbour search
+
+function cellKey(cx, cy, cz) {
+  return (cx + CELL_OFFSET) + (cy + CELL_OFFSET) * CELL_RANGE + (cz + CELL_OFFSET) * CELL_RANGE * CELL_RANGE;
+}
+
+function distanceBetween(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+// Bucket point indices by cell, and record the range of occupied cells
+function buildGrid(positions, cellSize) {
+  const cells = new Map();
+  const coords = [];
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  positions.forEach((position, i) => {
+    const cell = [
+      Math.floor(position.x / cellSize),
+      Math.floor(position.y / cellSize),
+      Math.floor(position.z / cellSize)
+    ];
+    coords.push(cell);
+
+    for (let axis = 0; axis < 3; axis++) {
+      min[axis] = Math.min(min[axis], cell[axis]);
+      max[axis] = Math.max(max[axis], cell[axis]);
+    }
+
+    const key = cellKey(cell[0], cell[1], cell[2]);
+    const bucket = cells.get(key);
+    if (bucket) {
+      bucket.push(i);
+    } else {
+      cells.set(key, [i]);
+    }
+  });
+
+  return { cells, coords, min, max };
+}
+
+// Call visit(i, j, distance) once for every pair (i < j) closer than maxDistance
+export function forEachClosePair(positions, maxDistance, visit) {
+  if (positions.length < 2 || maxDistance <= 0) return;
+
+  const { cells, coords } = buildGrid(positions, maxDistance);
+
+  for (let i = 0; i < positions.length; i++) {
+    const [cx, cy, cz] = coords[i];
+
+    // Any closer point lies in this cell or one of its 26 neighbours
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const bucket = cells.get(cellKey(cx + dx, cy + dy, cz + dz));
+          if (!bucket) continue;
+
+          for (const j of bucket) {
+            if (j <= i) continue;
+            const distance = distanceBetween(positions[i], positions[j]);
+            if (distance < maxDistance) {
+              visit(i, j, distance);
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+// For every point, find its k nearest other points.
+// Returns one array per point of { index, distance }, nearest first.
+export function findNearestNeighbors(positions, k) {
+  const count = positions.length;
+  const neighbors = positions.map(() => []);
+  k = Math.min(k, count - 1);
+  if (k <= 0) return neighbors;
+
+  // Size cells from the bounding box so each holds a few points on average
+  const low = { x: Infinity, y: Infinity, z: Infinity };
+  const high = { x: -Infinity, y: -Infinity, z: -Infinity };
+  positions.forEach(position => {
+    ['x', 'y', 'z'].forEach(axis => {
+      low[axis] = Math.min(low[axis], position[axis]);
+      high[axis] = Math.max(high[axis], position[axis]);
+    });
+  });
+  const volume = Math.max(1, high.x - low.x) * Math.max(1, high.y - low.y) * Math.max(1, high.z - low.z);
+  const cellSize = Math.max(1, Math.cbrt((volume * POINTS_PER_CELL) / count));
+
+  const { cells, coords, min, max } = buildGrid(positions, cellSize);
+
+  for (let i = 0; i < count; i++) {
+    const home = coords[i];
+    const best = []; // Sorted nearest first, at most k entries
+
+    // Largest ring that can still contain points
+    let maxRing = 0;
+    for (let axis = 0; axis < 3; axis++) {
+      maxRing = Math.max(maxRing, home[axis] - min[axis], max[axis] - home[axis]);
+    }
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // Points in this ring or beyond are at least (ring - 1) cells away, so
+      // once k candidates are all closer than that the search is complete
+      if (best.length === k && best[k - 1].distance <= (ring - 1) * cellSize) break;
+
+      // Clamp to the occupied cells so flat or lopsided point sets stay cheap
+      const from = [0, 1, 2].map(axis => Math.max(-ring, min[axis] - home[axis]));
+      const to = [0, 1, 2].map(axis => Math.min(ring, max[axis] - home[axis]));
+
+      for (let dx = from[0]; dx <= to[0]; dx++) {
+        for (let dy = from[1]; dy <= to[1]; dy++) {
+          for (let dz = from[2]; dz <= to[2]; dz++) {
+            // Only the shell of the cube: inner cells were searched in earlier rings
+            if (Math.max(Math.abs(dx), Math.abs(dy), Math.abs(dz)) !== ring) continue;
+
+            const bucket = cells.get(cellKey(home[0] + dx, home[1] + dy, home[2] + dz));
+            if (!bucket) continue;
+
+            for (const j of bucket) {
+              if (j === i) continue;
+              const distance = distanceBetween(positions[i], positions[j]);
+              if (best.length === k && distance >= best[k - 1].distance) continue;
+
+              // Insert in order, dropping the farthest when full
+              let slot = best.length;
+              while (slot > 0 && best[slot - 1].distance > distance) slot--;
+              best.splice(slot, 0, { index: j, distance });
+              if (best.length > k) best.pop();
+            }
+          }
+        }
+      }
+    }
+
+    neighbors[i] = best;
+  }
+
+  return neighbors;
+}
@@ -0,0 +1,23 @@
+// Helpers for settings that are kept in localStorage as JSON.
+// Storage can be unavailable (private mode, quota), so failures are logged
+// and the caller falls back to its defaults.
+
+// Read a stored JSON value, returning the fallback if missing or unreadable
+export function loadStored(key, fallback) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (err) {
+    console.error(`Could not load ${key}:`, err);
+    return fallback;
+  }
+}
+
+// Store a value as JSON
+export function saveStored(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.error(`Could not save ${key}:`, err);
+  }
+}
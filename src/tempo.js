@@ -0,0 +1,138 @@
+// Tempo tracking for rhythmic motion.
+// Follows incoming MIDI clock (24 pulses per quarter note) with start, stop
+// and continue, and falls back to tap tempo or a free-running clock when no
+// MIDI clock is arriving. Times are DOMHighResTimeStamps in milliseconds,
+// the same base WebMidi uses for event timestamps.
+
+const PULSES_PER_BEAT = 24;
+const CLOCK_TIMEOUT = 1000; // Stop following MIDI clock after this long without a pulse
+const TAP_TIMEOUT = 2000; // Taps further apart than this start a new tempo
+const MIN_BPM = 30;
+const MAX_BPM = 300;
+
+// Create a tempo clock starting at the given tempo
+export function createTempoClock(initialBpm = 120) {
+  const state = {
+    bpm: initialBpm,
+    source: 'internal', // 'internal', 'tap' or 'midi'
+    // Free-running position: beat = anchorBeat + elapsed beats since anchorTime
+    anchorTime: performance.now(),
+    anchorBeat: 0,
+    // MIDI clock position
+    clockPulses: 0,
+    lastPulseTime: null,
+    pulseIntervals: [],
+    transportRunning: true,
+    taps: []
+  };
+
+  // Beat position (in beats, fractional) at a given time
+  function beatAt(time) {
+    if (state.source === 'midi') {
+      if (!state.transportRunning) {
+        return state.clockPulses / PULSES_PER_BEAT;
+      }
+
+      // Interpolate between pulses so synced motion stays smooth
+      const pulseDuration = 60000 / (state.bpm * PULSES_PER_BEAT);
+      const sincePulse = Math.min(Math.max(0, time - state.lastPulseTime), pulseDuration);
+      return (state.clockPulses + sincePulse / pulseDuration) / PULSES_PER_BEAT;
+    }
+
+    return state.anchorBeat + ((time - state.anchorTime) * state.bpm) / 60000;
+  }
+
+  // Continue free-running from the current position
+  function useInternalClock(time, source) {
+    state.anchorBeat = beatAt(time);
+    state.anchorTime = time;
+    state.source = source;
+  }
+
+  return {
+    // Handle a MIDI clock pulse
+    clockPulse(time) {
+      if (state.lastPulseTime !== null) {
+        const interval = time - state.lastPulseTime;
+
+        // Ignore gaps (e.g. the first pulse after the clock was stopped)
+        if (interval > 0 && interval < 250) {
+          state.pulseIntervals.push(interval);
+          if (state.pulseIntervals.length > PULSES_PER_BEAT * 2) {
+            state.pulseIntervals.shift();
+          }
+
+          const average = state.pulseIntervals.reduce((sum, value) => sum + value, 0) /
+            state.pulseIntervals.length;
+          state.bpm = 60000 / (average * PULSES_PER_BEAT);
+        }
+      }
+
+      // Switch to following the MIDI clock from the current position
+      if (state.source !== 'midi') {
+        state.clockPulses = Math.round(beatAt(time) * PULSES_PER_BEAT);
+        state.source = 'midi';
+      }
+
+      state.lastPulseTime = time;
+      if (state.transportRunning) {
+        state.clockPulses++;
+      }
+    },
+
+    // MIDI start: run from the top
+    start(time) {
+      state.clockPulses = 0;
+      state.transportRunning = true;
+      state.lastPulseTime = time;
+    },
+
+    // MIDI stop: hold the position (pulses still update the tempo)
+    stop() {
+      state.transportRunning = false;
+    },
+
+    // MIDI continue: run on from where stop left off
+    resume(time) {
+      state.transportRunning = true;
+      state.lastPulseTime = time;
+    },
+
+    // Tap tempo. Ignored while a MIDI clock is being followed.
+    tap(time) {
+      if (state.source === 'midi') return false;
+
+      state.taps = state.taps.filter(tapTime => time - tapTime < TAP_TIMEOUT);
+      state.taps.push(time);
+
+      if (state.taps.length >= 2) {
+        const first = state.taps[0];
+        const last = state.taps[state.taps.length - 1];
+        const average = (last - first) / (state.taps.length - 1);
+        state.bpm = Math.min(MAX_BPM, Math.max(MIN_BPM, 60000 / average));
+      }
+
+      // Each tap lands on a beat
+      state.anchorBeat = Math.round(beatAt(time));
+      state.anchorTime = time;
+      state.source = 'tap';
+      return true;
+    },
+
+    // Current tempo and position: { bpm, source, running, beat }
+    getState(time) {
+      if (state.source === 'midi' && time - state.lastPulseTime > CLOCK_TIMEOUT) {
+        console.log("MIDI clock lost, continuing on the internal clock");
+        state.transportRunning = true;
+        useInternalClock(time, 'internal');
+      }
+
+      return {
+        bpm: state.bpm,
+        source: state.source,
+        running: state.source !== 'midi' || state.transportRunning,
+        beat: beatAt(time)
+      };
+    }
+  };
+}
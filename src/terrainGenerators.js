@@ -0,0 +1,225 @@
+// Terrain generators.
+// Each generator turns a position on the terrain into a height between 0 and
+// 1, using its own parameters and an explicit seed, and says where the color
+// bands of its landscape lie. A grayscale heightmap image can be used as well.
+// Parameters are numbers with a range, or booleans (shown as checkboxes).
+
+import { createNoise } from './random.js';
+
+// Color band thresholds are fractions of the terrain height, measured from the
+// middle: heights run from -0.5 to 0.5. The four thresholds separate deep
+// water, shallow water, low ground, medium height and high ground.
+const DEFAULT_BANDS = [-0.3, -0.1, 0.2, 0.4];
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function smoothstep(edge0, edge1, value) {
+  const t = clamp01((value - edge0) / (edge1 - edge0));
+  return t * t * (3 - 2 * t);
+}
+
+// Fractal Brownian motion: octaves of noise, each finer and fainter. Returns 0-1.
+function fbm(noise, x, z, scale, octaves, persistence, lacunarity) {
+  let sum = 0;
+  let amplitude = 1;
+  let total = 0;
+  let frequency = scale;
+
+  for (let octave = 0; octave < octaves; octave++) {
+    sum += noise(x * frequency, z * frequency) * amplitude;
+    total += amplitude;
+    amplitude *= persistence;
+    frequency *= lacunarity;
+  }
+
+  return sum / total;
+}
+
+// Bilinear sample of a heightmap ({ width, height, data } with 0-255 values) at u, v in 0-1
+function sampleHeightmap(heightmap, u, v) {
+  const x = clamp01(u) * (heightmap.width - 1);
+  const y = clamp01(v) * (heightmap.height - 1);
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(heightmap.width - 1, x0 + 1);
+  const y1 = Math.min(heightmap.height - 1, y0 + 1);
+  const at = (px, py) => heightmap.data[py * heightmap.width + px] / 255;
+
+  const top = at(x0, y0) + (at(x1, y0) - at(x0, y0)) * (x - x0);
+  const bottom = at(x0, y1) + (at(x1, y1) - at(x0, y1)) * (x - x0);
+  return top + (bottom - top) * (y - y0);
+}
+
+export const TERRAIN_GENERATORS = [
+  {
+    id: 'fbm',
+    name: 'Fractal noise (fBm)',
+    params: [
+      { key: 'scale', name: 'Scale', min: 0.002, max: 0.1, step: 0.001, value: 0.02 },
+      { key: 'octaves', name: 'Octaves', min: 1, max: 8, step: 1, value: 4 },
+      { key: 'persistence', name: 'Persistence', min: 0.1, max: 0.9, step: 0.05, value: 0.5 },
+      { key: 'lacunarity', name: 'Lacunarity', min: 1.5, max: 4, step: 0.1, value: 2 }
+    ],
+    sample(context, x, z) {
+      const { params, noise } = context;
+      return fbm(noise, x, z, params.scale, params.octaves, params.persistence, params.lacunarity);
+    },
+    bands() {
+      return DEFAULT_BANDS;
+    }
+  },
+  {
+    id: 'ridged',
+    name: 'Ridged multifractal',
+    params: [
+      { key: 'scale', name: 'Scale', min: 0.002, max: 0.1, step: 0.001, value: 0.012 },
+      { key: 'octaves', name: 'Octaves', min: 1, max: 8, step: 1, value: 5 },
+      { key: 'gain', name: 'Gain', min: 0.1, max: 0.9, step: 0.05, value: 0.5 },
+      { key: 'lacunarity', name: 'Lacunarity', min: 1.5, max: 4, step: 0.1, value: 2 },
+      { key: 'sharpness', name: 'Sharpness', min: 1, max: 4, step: 0.1, value: 2 }
+    ],
+    sample(context, x, z) {
+      const { params, noise } = context;
+      let sum = 0;
+      let amplitude = 1;
+      let total = 0;
+      let frequency = params.scale;
+      let weight = 1;
+
+      // Fold the noise at its midpoint into sharp crests. Each octave is
+      // weighted by the one before, so detail gathers along the ridges.
+      for (let octave = 0; octave < params.octaves; octave++) {
+        let signal = 1 - Math.abs(noise(x * frequency, z * frequency) * 2 - 1);
+        signal = Math.pow(signal, params.sharpness) * weight;
+        weight = clamp01(signal * 2);
+        sum += signal * amplitude;
+        total += amplitude;
+        amplitude *= params.gain;
+        frequency *= params.lacunarity;
+      }
+
+      return sum / total;
+    },
+    bands() {
+      // Mostly valleys and rock: less water, more high ground
+      return [-0.4, -0.3, 0, 0.2];
+    }
+  },
+  {
+    id: 'terraced',
+    name: 'Terraced',
+    params: [
+      { key: 'scale', name: 'Scale', min: 0.002, max: 0.1, step: 0.001, value: 0.015 },
+      { key: 'octaves', name: 'Octaves', min: 1, max: 8, step: 1, value: 3 },
+      { key: 'steps', name: 'Steps', min: 2, max: 16, step: 1, value: 6 },
+      { key: 'smoothness', name: 'Edge smoothness', min: 0, max: 1, step: 0.05, value: 0.2 }
+    ],
+    sample(context, x, z) {
+      const { params, noise } = context;
+      const height = fbm(noise, x, z, params.scale, params.octaves, 0.5, 2);
+
+      // Flat steps, with the last part of each step ramping up to the next
+      const levels = params.steps - 1;
+      const scaled = height * levels;
+      const step = Math.min(levels, Math.floor(scaled));
+      const within = scaled - step;
+      const ramp = params.smoothness > 0 ? smoothstep(1 - params.smoothness, 1, within) : 0;
+      return (step + ramp) / levels;
+    },
+    bands(params) {
+      // Band edges halfway between terrace levels, so each terrace has one color
+      const levels = params.steps - 1;
+      const edges = [];
+      for (let step = 1; step <= levels; step++) {
+        edges.push((step - 0.5) / levels - 0.5);
+      }
+      return [0, 1, 2, 3].map(i => edges[Math.round((i * (edges.length - 1)) / 3)]);
+    }
+  },
+  {
+    id: 'islands',
+    name: 'Islands',
+    params: [
+      { key: 'scale', name: 'Scale', min: 0.002, max: 0.1, step: 0.001, value: 0.02 },
+      { key: 'octaves', name: 'Octaves', min: 1, max: 8, step: 1, value: 4 },
+      { key: 'coverage', name: 'Land coverage', min: 0, max: 1, step: 0.05, value: 0.45 }
+    ],
+    sample(context, x, z) {
+      const { params, noise, size } = context;
+      const detail = fbm(noise, x, z, params.scale, params.octaves, 0.5, 2);
+
+      // Broad blobs of noise decide where land is, and the edges of the terrain stay sea
+      const landNoise = noise(x * params.scale * 0.35 + 100, z * params.scale * 0.35 + 100);
+      const threshold = 1 - params.coverage;
+      const distance = Math.hypot(x, z) / (size / 2);
+      const land = smoothstep(threshold - 0.08, threshold + 0.08, landNoise) * (1 - smoothstep(0.6, 1, distance));
+
+      return clamp01(detail * 0.5 + land * 0.45);
+    },
+    bands() {
+      // Sea level at 0.4 of the height: open sea, reefs, beaches, hills and peaks
+      return [-0.22, -0.1, 0.05, 0.2];
+    }
+  },
+  {
+    id: 'flat',
+    name: 'Flat',
+    params: [
+      { key: 'level', name: 'Level', min: 0, max: 1, step: 0.05, value: 0.5 }
+    ],
+    sample(context) {
+      return context.params.level;
+    },
+    bands() {
+      return DEFAULT_BANDS;
+    }
+  },
+  {
+    id: 'heightmap',
+    name: 'Heightmap image',
+    params: [
+      { key: 'invert', name: 'Black is high', value: false } // Normally white is high
+    ],
+    sample(context, x, z) {
+      const { params, size, heightmap } = context;
+      if (!heightmap) return 0.5; // Flat until an image is loaded
+
+      const height = sampleHeightmap(heightmap, x / size + 0.5, z / size + 0.5);
+      return params.invert ? 1 - height : height;
+    },
+    bands() {
+      return DEFAULT_BANDS;
+    }
+  }
+];
+
+export function getTerrainGenerator(id) {
+  return TERRAIN_GENERATORS.find(generator => generator.id === id) || TERRAIN_GENERATORS[0];
+}
+
+// Default parameter values of every generator, keyed by generator id
+export function createDefaultGeneratorParams() {
+  const params = {};
+  TERRAIN_GENERATORS.forEach(generator => {
+    params[generator.id] = {};
+    generator.params.forEach(param => {
+      params[generator.id][param.key] = param.value;
+    });
+  });
+  return params;
+}
+
+// Create a sampler for a generator with its parameters (missing ones take their defaults) and seed.
+// Returns { height(x, z) in 0-1 for a position on a terrain of the given size, bands }.
+export function createTerrainSampler(generatorId, params, seed, size, heightmap = null) {
+  const generator = getTerrainGenerator(generatorId);
+  const fullParams = Object.assign({}, createDefaultGeneratorParams()[generator.id], params);
+  const context = { params: fullParams, noise: createNoise(seed), size, heightmap };
+
+  return {
+    height: (x, z) => generator.sample(context, x, z),
+    bands: generator.bands(fullParams)
+  };
+}
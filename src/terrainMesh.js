@@ -0,0 +1,70 @@
+// Retained terrain mesh.
+// The simulation's terrain grid is turned into one p5.Geometry, so it
+// is uploaded to the GPU once and drawn with a single call every frame until
+// the grid changes, instead of one immediate-mode shape per triangle.
+
+import p5 from 'p5';
+
+let meshCount = 0; // Each mesh gets its own id, so p5 doesn't reuse a stale buffer
+
+// Build the geometry for a terrain grid (terrain[x][z] = { position, color: [r, g, b, a] })
+export function buildTerrainGeometry(terrain) {
+  const resolution = terrain.length;
+  const geometry = new p5.Geometry(resolution - 1, resolution - 1);
+  geometry.gid = `terrain-${meshCount++}`;
+
+  const index = (x, z) => x * resolution + z;
+
+  for (let x = 0; x < resolution; x++) {
+    for (let z = 0; z < resolution; z++) {
+      const point = terrain[x][z];
+      geometry.vertices.push(new p5.Vector(point.position.x, point.position.y, point.position.z));
+      // Same constant normal immediate mode gave the old triangles, so the lighting is unchanged
+      geometry.vertexNormals.push(new p5.Vector(0, 0, 1));
+      geometry.uvs.push(x / (resolution - 1), z / (resolution - 1));
+      const color = point.color;
+      geometry.vertexColors.push(color[0] / 255, color[1] / 255, color[2] / 255, color[3] / 255);
+    }
+  }
+
+  // Two triangles per grid cell, with the same edges the per-triangle strokes drew
+  for (let x = 0; x < resolution - 1; x++) {
+    for (let z = 0; z < resolution - 1; z++) {
+      const a = index(x, z);
+      const b = index(x + 1, z);
+      const c = index(x, z + 1);
+      const d = index(x + 1, z + 1);
+      geometry.faces.push([a, b, c], [b, d, c]);
+      geometry.edges.push([a, b], [a, c], [b, c]);
+    }
+  }
+
+  // Close the far sides of the grid
+  for (let i = 0; i < resolution - 1; i++) {
+    geometry.edges.push([index(resolution - 1, i), index(resolution - 1, i + 1)]);
+    geometry.edges.push([index(i, resolution - 1), index(i + 1, resolution - 1)]);
+  }
+
+  return geometry;
+}
+
+// Move an existing terrain mesh to the grid's current heights and colors.
+// The grid must have the size the mesh was built from. The GPU still holds
+// the old shape: free the mesh's buffers with p.freeGeometry, and the next
+// p.model call uploads it again, wireframe included.
+export function updateTerrainGeometry(geometry, terrain) {
+  const resolution = terrain.length;
+
+  for (let x = 0; x < resolution; x++) {
+    for (let z = 0; z < resolution; z++) {
+      const i = x * resolution + z;
+      const point = terrain[x][z];
+      geometry.vertices[i].set(point.position.x, point.position.y, point.position.z);
+      const color = point.color;
+      geometry.vertexColors[i * 4] = color[0] / 255;
+      geometry.vertexColors[i * 4 + 1] = color[1] / 255;
+      geometry.vertexColors[i * 4 + 2] = color[2] / 255;
+      geometry.vertexColors[i * 4 + 3] = color[3] / 255;
+    }
+  }
+}
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createForceField,
+  clampStrength,
+  getControlRange,
+  fieldWeight,
+  sumFieldForces
+} from '../src/forceFields.js';
+import { createFractalNoise } from '../src/random.js';
+
+const STILL = { x: 0, y: 0, z: 0 };
+const noise = createFractalNoise(3);
+
+function field(type, properties) {
+  return Object.assign(createForceField(type), { enabled: true, falloff: 0 }, properties);
+}
+
+function close(a, b) {
+  return Math.abs(a - b) < 1e-9;
+}
+
+test('an attractor pulls toward its position and a repeller pushes away', () => {
+  const position = { x: 100, y: 0, z: 0 };
+  const pull = sumFieldForces([field('attractor', { x: 50, strength: 0.2 })], position, STILL, noise, 0);
+  const push = sumFieldForces([field('repeller', { x: 50, strength: 0.2 })], position, STILL, noise, 0);
+
+  assert.ok(close(pull.x, -0.2));
+  assert.ok(close(push.x, 0.2));
+});
+
+test('the falloff weakens a field linearly to nothing at its radius', () => {
+  const attractor = field('attractor', { falloff: 100 });
+
+  assert.equal(fieldWeight(attractor, { x: 0, y: 0, z: 0 }), 1);
+  assert.ok(close(fieldWeight(attractor, { x: 0, y: 25, z: 0 }), 0.75));
+  assert.equal(fieldWeight(attractor, { x: 0, y: 0, z: 150 }), 0);
+  assert.equal(fieldWeight(field('attractor'), { x: 0, y: 0, z: 5000 }), 1);
+});
+
+test('wind pushes along its direction everywhere in reach', () => {
+  const wind = field('wind', { dx: 0, dy: 0, dz: 2, strength: 0.1 });
+  const force = sumFieldForces([wind], { x: 300, y: 20, z: -40 }, STILL, noise, 0);
+
+  assert.deepEqual(force, { x: 0, y: 0, z: 0.1 });
+});
+
+test('a vortex swirls around its own axis', () => {
+  const vortex = field('vortex', { x: 100, dx: 0, dy: 1, dz: 0, strength: 0.1 });
+  const force = sumFieldForces([vortex], { x: 100, y: 30, z: 50 }, STILL, noise, 0);
+
+  // At +z of the axis the swirl points along -x, as the built-in vortex does
+  assert.ok(close(force.x, -0.1));
+  assert.ok(close(force.y, 0));
+  assert.ok(close(force.z, 0));
+});
+
+test('a drag zone slows particles only inside its slab', () => {
+  const drag = field('drag', { y: 100, dx: 0, dy: 1, dz: 0, strength: 0.5, falloff: 20 });
+  const velocity = { x: 4, y: 0, z: 0 };
+
+  const inside = sumFieldForces([drag], { x: 500, y: 100, z: 500 }, velocity, noise, 0);
+  const outside = sumFieldForces([drag], { x: 0, y: 150, z: 0 }, velocity, noise, 0);
+
+  assert.ok(close(inside.x, -2));
+  assert.deepEqual(outside, { x: 0, y: 0, z: 0 });
+});
+
+test('curl noise flows at the field strength and changes over time', () => {
+  const curl = field('curl', { strength: 0.3 });
+  const position = { x: 40, y: 10, z: -70 };
+  const now = sumFieldForces([curl], position, STILL, noise, 0);
+  const later = sumFieldForces([curl], position, STILL, noise, 5);
+
+  assert.ok(close(Math.hypot(now.x, now.y, now.z), 0.3));
+  assert.notDeepEqual(now, later);
+});
+
+test('disabled fields have no effect and enabled fields add up', () => {
+  const wind = field('wind', { dx: 1, dy: 0, dz: 0, strength: 0.1 });
+  const off = Object.assign({}, wind, { enabled: false });
+
+  assert.deepEqual(sumFieldForces([off], STILL, STILL, noise, 0), { x: 0, y: 0, z: 0 });
+  assert.ok(close(sumFieldForces([wind, wind, off], STILL, STILL, noise, 0).x, 0.2));
+});
+
+test('each type keeps its strength within its own range', () => {
+  assert.equal(clampStrength('attractor', -0.3), 0);
+  assert.equal(clampStrength('vortex', -0.3), -0.3);
+  assert.equal(clampStrength('drag', 0.8), 0.8);
+  assert.equal(clampStrength('wind', 0.8), 0.5);
+
+  assert.equal(createForceField('drag', 4).strength, 0.1);
+  assert.equal(createForceField('drag', 4).id, 4);
+});
+
+test('a strength route starts with the range of its field type', () => {
+  assert.deepEqual(getControlRange(createForceField('vortex'), 'strength'), { min: -0.5, max: 0.5 });
+  assert.deepEqual(getControlRange(createForceField('drag'), 'strength'), { min: 0, max: 1 });
+  assert.deepEqual(getControlRange(createForceField('drag'), 'falloff'), { min: 0, max: 1000 });
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHighResDecoder, resolveControls } from '../src/highResolution.js';
+
+// Decode a sequence of raw control changes and resolve the last one
+function resolveLast(messages, faderMappings, controlModes) {
+  const decoder = createHighResDecoder();
+  let highRes = null;
+  messages.forEach(([controller, rawValue]) => {
+    highRes = decoder.decode('input:1', controller, rawValue);
+  });
+  const [controller, rawValue] = messages[messages.length - 1];
+  return resolveControls(highRes, controller, rawValue / 127, faderMappings, controlModes);
+}
+
+test('one CC drives every parameter mapped to it', () => {
+  const driven = resolveLast([[74, 127]], [74, 20, 74, 74], ['7bit', '7bit', '7bit']);
+
+  assert.deepEqual(driven, [
+    { paramIndex: 0, value: 1 },
+    { paramIndex: 2, value: 1 },
+    { paramIndex: 3, value: 1 }
+  ]);
+  assert.deepEqual(resolveLast([[75, 64]], [74, 20, 74], []), []);
+});
+
+test('a 14-bit pair drives all its parameters, and 7-bit parameters on its MSB too', () => {
+  const mappings = [1, 1, 1, 33];
+  const modes = ['14bit', '7bit', '14bit', '7bit'];
+
+  assert.deepEqual(resolveLast([[1, 64]], mappings, modes), [
+    { paramIndex: 0, value: (64 * 128) / 16383 },
+    { paramIndex: 2, value: (64 * 128) / 16383 },
+    { paramIndex: 1, value: 64 / 127 }
+  ]);
+
+  // The LSB belongs to the pair, so the 7-bit parameter on CC 33 stays put
+  assert.deepEqual(resolveLast([[1, 64], [33, 1]], mappings, modes), [
+    { paramIndex: 0, value: (64 * 128 + 1) / 16383 },
+    { paramIndex: 2, value: (64 * 128 + 1) / 16383 }
+  ]);
+});
+
+test('an NRPN drives every parameter listening to its number and nothing else', () => {
+  const nrpn = [[99, 1], [98, 2], [6, 127], [38, 127]];
+  const driven = resolveLast(nrpn, [130, 6, 130, 38], ['nrpn', '7bit', 'nrpn', '7bit']);
+
+  assert.deepEqual(driven, [{ paramIndex: 0, value: 1 }, { paramIndex: 2, value: 1 }]);
+  assert.deepEqual(resolveLast([[99, 1]], [99], []), []);
+});
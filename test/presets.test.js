@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePresetFile, sanitizePreset } from '../src/presets.js';
+import { createRoute } from '../src/modulationMatrix.js';
+
+test('a well-formed preset comes through unchanged', () => {
+  const preset = {
+    name: 'Calm',
+    faderValues: [0.2, 0.5, 1],
+    faderMappings: [34, 35, 36],
+    controlModes: ['7bit', '14bit'],
+    routes: [createRoute('fader', 0, 0), createRoute('cc', 74, 3)],
+    cameraParams: { radius: 300, autoRotate: true, rotationRate: 0.03 },
+    organicModel: { particleDensity: 0.5, connectionDensity: 0.3, terrainHeight: 100 },
+    terrain: { generator: 'fbm', seed: 1234, params: { scale: 0.02, octaves: 4 } },
+    savedAt: '2026-01-01T00:00:00.000Z'
+  };
+
+  assert.deepEqual(sanitizePreset(preset), preset);
+});
+
+test('unusable values are dropped field by field', () => {
+  const clean = sanitizePreset({
+    name: 'Broken',
+    faderValues: [0.5, 'loud', 3, null],
+    faderMappings: [34, 200, -1, 1.5],
+    controlModes: ['nrpn', 'fast'],
+    routes: [createRoute('fader', 1, 1), { source: 'fader', index: 'x' }, null],
+    cameraParams: { radius: 'far', height: -200, autoRotate: 'yes' },
+    organicModel: { particleDensity: NaN, connectionDensity: 0.4, terrainHeight: -5 },
+    terrain: { generator: 'fbm', seed: -3, params: { scale: 5, octaves: 'many' } }
+  });
+
+  assert.deepEqual(clean.faderValues, [0.5, null, 1, null]);
+  assert.deepEqual(clean.faderMappings, [34, null, null, null]);
+  assert.deepEqual(clean.controlModes, ['nrpn', null]);
+  assert.deepEqual(clean.routes, [createRoute('fader', 1, 1)]);
+  assert.deepEqual(clean.cameraParams, { height: -200 });
+  assert.deepEqual(clean.organicModel, { connectionDensity: 0.4 });
+  assert.deepEqual(clean.terrain, { generator: 'fbm', params: { scale: 0.1 } });
+});
+
+test('a heightmap preset keeps its invert switch', () => {
+  const terrain = (params) => sanitizePreset({ name: 'Map', faderValues: [], terrain: { generator: 'heightmap', params } }).terrain;
+
+  assert.deepEqual(terrain({ invert: true }), { generator: 'heightmap', params: { invert: true } });
+  assert.deepEqual(terrain({ invert: 1 }), { generator: 'heightmap', params: {} });
+  assert.deepEqual(
+    sanitizePreset({ name: 'Hills', faderValues: [], terrain: { generator: 'fbm', params: { octaves: true } } }).terrain,
+    { generator: 'fbm', params: {} }
+  );
+});
+
+test('routes from faders or into parameters that do not exist are dropped', () => {
+  const routes = [
+    createRoute('fader', 17, 17),
+    createRoute('fader', 20, 0),
+    createRoute('fader', 0, 18),
+    createRoute('cc', 120, 3),
+    createRoute('cc', 128, 3),
+    Object.assign(createRoute('cc', 74, 0), { target: -1 })
+  ];
+
+  assert.deepEqual(sanitizePreset({ name: 'Routes', faderValues: [], routes }).routes, [
+    createRoute('fader', 17, 17),
+    createRoute('cc', 120, 3)
+  ]);
+});
+
+test('a preset with a malformed block keeps its other settings', () => {
+  const clean = sanitizePreset({
+    name: 'Old',
+    faderValues: [0.1],
+    organicModel: 'dense',
+    cameraParams: [1, 2],
+    terrain: { generator: 'volcano', seed: 5 }
+  });
+
+  assert.deepEqual(clean, { name: 'Old', faderValues: [0.1] });
+});
+
+test('an imported file is sanitized and needs a valid preset', () => {
+  const presets = parsePresetFile(JSON.stringify({
+    version: 1,
+    presets: [{ name: 'A', faderValues: [2] }, { name: '', faderValues: [] }]
+  }));
+
+  assert.deepEqual(presets, [{ name: 'A', faderValues: [1] }]);
+  assert.throws(() => parsePresetFile('[{ "name": "B" }]'), /any valid presets/);
+});
@@ -0,0 +1,405 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createWorld,
+  createParticle,
+  createConnections,
+  checkTerrainCollision,
+  bounceOffSurface,
+  spawnBurst,
+  releaseBurst,
+  step,
+  advance,
+  FIXED_TIMESTEP
+} from '../src/simulation.js';
+
+// A world with a flat terrain at height 0 and no particles of its own
+function createFlatWorld(options = {}) {
+  return createWorld(Object.assign({
+    seed: 42,
+    numParticles: 0,
+    minParticles: 0,
+    terrain: { generator: 'flat', generatorParams: {} }
+  }, options));
+}
+
+// Step parameters without random forces, so a step only moves particles by their velocity
+const CALM_PARAMS = { gravity: 0, turbulence: 0, randomness: 0 };
+
+function addParticle(world, x, y, z, velocity) {
+  const particle = createParticle(world, x, y, z);
+  particle.velocity = Object.assign({ x: 0, y: 0, z: 0 }, velocity);
+  world.particles.push(particle);
+  return particle;
+}
+
+test('the same seed builds the same world', () => {
+  const a = createWorld({ seed: 7 });
+  const b = createWorld({ seed: 7 });
+  const c = createWorld({ seed: 8 });
+
+  for (let i = 0; i < 20; i++) {
+    step(a, {});
+    step(b, {});
+  }
+
+  assert.deepEqual(a.particles.map(particle => particle.position), b.particles.map(particle => particle.position));
+  assert.notDeepEqual(a.particles[0].position, c.particles[0].position);
+});
+
+test('a particle above the terrain does not collide', () => {
+  const world = createFlatWorld();
+  const particle = createParticle(world, 10, 20, -30);
+
+  const collision = checkTerrainCollision(world, particle);
+  assert.equal(collision.collision, false);
+});
+
+test('a particle in the terrain collides, with the surface height and an upward normal', () => {
+  const world = createFlatWorld();
+  const particle = createParticle(world, 10, -3, -30);
+
+  const collision = checkTerrainCollision(world, particle);
+  assert.equal(collision.collision, true);
+  assert.ok(Math.abs(collision.terrainHeight) < 1e-9);
+  assert.ok(Math.abs(collision.penetrationDepth - (3 + particle.size * 0.5)) < 1e-9);
+  assert.ok(Math.abs(collision.normal.y - 1) < 1e-9);
+});
+
+test('a particle touching the surface within half its size collides', () => {
+  const world = createFlatWorld();
+  const particle = createParticle(world, 0, 0, 0);
+  particle.position.y = particle.size * 0.4;
+
+  assert.equal(checkTerrainCollision(world, particle).collision, true);
+});
+
+test('collision follows a sloped terrain between grid points', () => {
+  const world = createFlatWorld();
+
+  // Tilt the grid so height = x / 10
+  for (const column of world.terrain) {
+    for (const point of column) {
+      point.position.y = point.position.x / 10;
+    }
+  }
+
+  const particle = createParticle(world, 100, 0, 0);
+  const collision = checkTerrainCollision(world, particle);
+  assert.equal(collision.collision, true);
+  assert.ok(Math.abs(collision.terrainHeight - 10) < 1e-9);
+
+  // The normal leans away from the slope and keeps pointing up
+  const length = Math.hypot(collision.normal.x, collision.normal.y, collision.normal.z);
+  assert.ok(Math.abs(length - 1) < 1e-9);
+  assert.ok(collision.normal.x < 0);
+  assert.ok(collision.normal.y > 0);
+});
+
+test('a particle outside the terrain does not collide', () => {
+  const world = createFlatWorld();
+  const particle = createParticle(world, 0, -50, 0);
+  particle.position.x = world.terrainSize;
+
+  assert.equal(checkTerrainCollision(world, particle).collision, false);
+});
+
+test('bouncing reflects the velocity around the normal and loses energy', () => {
+  const particle = { velocity: { x: 1, y: -2, z: 0.5 } };
+  bounceOffSurface(particle, { x: 0, y: 1, z: 0 }, 0);
+
+  assert.ok(Math.abs(particle.velocity.x - 0.7) < 1e-9);
+  assert.ok(Math.abs(particle.velocity.y - 1.4) < 1e-9);
+  assert.ok(Math.abs(particle.velocity.z - 0.35) < 1e-9);
+});
+
+test('bouncing off a slope reflects along its normal', () => {
+  const normal = { x: Math.SQRT1_2, y: Math.SQRT1_2, z: 0 };
+  const particle = { velocity: { x: 0, y: -1, z: 0 } };
+  bounceOffSurface(particle, normal, 0);
+
+  // Straight down off a 45 degree slope goes sideways
+  assert.ok(Math.abs(particle.velocity.x - 0.7) < 1e-9);
+  assert.ok(Math.abs(particle.velocity.y) < 1e-9);
+});
+
+test('bouncing adds a push away from the surface that grows with speed', () => {
+  const particle = { velocity: { x: 0, y: 0, z: 0 } };
+  bounceOffSurface(particle, { x: 0, y: 1, z: 0 }, 2);
+
+  assert.ok(Math.abs(particle.velocity.y - 1) < 1e-9);
+});
+
+test('a step bounces a falling particle off the terrain and counts the hit', () => {
+  const world = createFlatWorld();
+  const particle = addParticle(world, 0, 5, 0, { y: -20 });
+
+  step(world, CALM_PARAMS);
+
+  assert.ok(particle.velocity.y > 0);
+  assert.ok(particle.position.y > 0);
+  assert.ok(Math.abs(particle.position.y - particle.size * 0.8) < 1);
+  assert.equal(particle.terrainHits, 1);
+});
+
+test('hits in quick succession count once', () => {
+  const world = createFlatWorld();
+  const particle = addParticle(world, 0, 5, 0, { y: -20 });
+
+  step(world, CALM_PARAMS);
+  particle.velocity.y = -20;
+  step(world, CALM_PARAMS);
+
+  assert.equal(particle.terrainHits, 1);
+});
+
+test('a step bounces particles off the walls and the ceiling', () => {
+  const world = createFlatWorld();
+  const halfSize = world.terrainSize / 2;
+  const wall = addParticle(world, halfSize - 1, 50, 0, { x: 10 });
+  const ceiling = addParticle(world, 0, world.terrainHeight * 6 - 1, 0, { y: 10 });
+
+  step(world, CALM_PARAMS);
+
+  assert.ok(wall.position.x <= halfSize + 1);
+  assert.ok(wall.velocity.x < 0);
+  assert.ok(ceiling.position.y <= world.terrainHeight * 6 + 1);
+  assert.ok(ceiling.velocity.y < 0);
+});
+
+test('connections link each particle to its nearest neighbours', () => {
+  const world = createFlatWorld({ connectionDensity: 0.4 });
+  for (let i = 0; i < 10; i++) {
+    addParticle(world, i * 10, 20, 0);
+  }
+
+  const connections = createConnections(world);
+
+  // 0.4 of the 5 possible neighbours is 2 per particle
+  assert.equal(connections.length, 20);
+  const fromFirst = connections.filter(connection => connection.from === 0);
+  assert.deepEqual(fromFirst.map(connection => connection.to).sort(), [1, 2]);
+
+  for (const connection of connections) {
+    assert.notEqual(connection.from, connection.to);
+    const distance = Math.abs(connection.from - connection.to) * 10;
+    assert.ok(Math.abs(connection.maxLength - distance * 1.5) < 1e-6);
+    assert.ok(connection.strength >= 0.01 && connection.strength <= 0.03);
+  }
+});
+
+test('connections are capped by the number of other particles', () => {
+  const world = createFlatWorld({ connectionDensity: 1 });
+  for (let i = 0; i < 3; i++) {
+    addParticle(world, i * 10, 20, 0);
+  }
+
+  // Each of the 3 particles can only connect to the 2 others
+  assert.equal(createConnections(world).length, 6);
+});
+
+test('a connection density of 0 builds no connections', () => {
+  const world = createFlatWorld({ connectionDensity: 0 });
+  for (let i = 0; i < 5; i++) {
+    addParticle(world, i * 10, 20, 0);
+  }
+
+  assert.deepEqual(createConnections(world), []);
+});
+
+test('bursts are added on the next step and removed again on release', () => {
+  const world = createFlatWorld();
+  spawnBurst(world, 0, 50, 4, 2, 60);
+  assert.equal(world.particles.length, 0);
+
+  step(world, CALM_PARAMS);
+  assert.equal(world.particles.length, 4);
+  assert.ok(world.connections.length > 0);
+
+  releaseBurst(world, 60);
+  step(world, CALM_PARAMS);
+  assert.equal(world.particles.length, 0);
+  assert.deepEqual(world.connections, []);
+});
+
+test('the world tops up to its minimum number of particles', () => {
+  const world = createFlatWorld({ minParticles: 5 });
+  assert.equal(world.particles.length, 0);
+
+  step(world, CALM_PARAMS);
+  assert.equal(world.particles.length, 5);
+});
+
+test('emitters release Emission Rate particles per second, up to the maximum', () => {
+  const world = createFlatWorld();
+
+  for (let i = 0; i < 60; i++) {
+    step(world, Object.assign({ emissionRate: 30 }, CALM_PARAMS));
+  }
+  const emitted = world.particles.length + world.particlesToAdd.length;
+  assert.ok(emitted >= 29 && emitted <= 30);
+  assert.ok(world.particles.every(particle => particle.emitted));
+
+  world.lifecycle.maxEmitted = 10;
+  for (let i = 0; i < 60; i++) {
+    step(world, Object.assign({ emissionRate: 30 }, CALM_PARAMS));
+  }
+  assert.equal(world.particles.length, emitted);
+});
+
+test('emitted particles fade in and die after their lifespan', () => {
+  const world = createFlatWorld();
+  step(world, Object.assign({ emissionRate: 60, lifespan: 1 }, CALM_PARAMS));
+  step(world, Object.assign({ lifespan: 1 }, CALM_PARAMS));
+  const particle = world.particles[0];
+
+  assert.equal(particle.lifespan, 1);
+  assert.ok(particle.fade > 0 && particle.fade < 1);
+  assert.ok(particle.size < particle.fixedSize);
+
+  for (let i = 0; i < 60; i++) {
+    step(world, CALM_PARAMS);
+  }
+  assert.equal(world.particles.length, 0);
+});
+
+test('emitted particles die after the set number of terrain hits', () => {
+  const world = createFlatWorld();
+  world.lifecycle.maxTerrainHits = 1;
+  world.lifecycle.fadeTime = 0;
+  const particle = addParticle(world, 0, 5, 0, { y: -20 });
+  particle.emitted = true;
+  particle.lifespan = 10;
+
+  step(world, CALM_PARAMS);
+  assert.equal(particle.terrainHits, 1);
+  step(world, CALM_PARAMS);
+  assert.equal(world.particles.length, 0);
+});
+
+test('emitted particles fade out and die outside the region', () => {
+  const world = createFlatWorld();
+  world.lifecycle.regionRadius = 200;
+  const inside = addParticle(world, 0, 50, 0);
+  const outside = addParticle(world, 300, 50, 0);
+  for (const particle of [inside, outside]) {
+    particle.emitted = true;
+    particle.lifespan = 10;
+  }
+
+  step(world, CALM_PARAMS);
+  assert.equal(inside.lifespan, 10);
+  assert.ok(outside.lifespan < 1);
+
+  for (let i = 0; i < 40; i++) {
+    step(world, CALM_PARAMS);
+  }
+  assert.deepEqual(world.particles, [inside]);
+});
+
+test('emitted and burst particles survive a density change, and emitted ones still expire', () => {
+  const world = createWorld({ seed: 42, terrain: { generator: 'flat', generatorParams: {} } });
+  const params = Object.assign({ lifespan: 1 }, CALM_PARAMS);
+  for (let i = 0; i < 10; i++) {
+    step(world, Object.assign({ emissionRate: 60 }, params));
+  }
+  spawnBurst(world, 0, 50, 3, 2, 61);
+  step(world, params);
+  const emitted = world.particles.filter(particle => particle.emitted);
+  assert.ok(emitted.length >= 9);
+
+  step(world, Object.assign({ particleDensity: 0.9 }, params));
+  assert.equal(world.particleDensity, 0.9);
+  for (const particle of emitted) {
+    assert.ok(world.particles.includes(particle));
+  }
+  assert.equal(world.particles.filter(particle => particle.burstTag === 61).length, 3);
+
+  for (let i = 0; i < 70; i++) {
+    step(world, Object.assign({ particleDensity: 0.9 }, params));
+  }
+  assert.equal(world.particles.filter(particle => particle.emitted).length, 0);
+  assert.equal(world.particles.filter(particle => particle.burstTag === 61).length, 3);
+
+  releaseBurst(world, 61);
+  step(world, Object.assign({ particleDensity: 0.5 }, params));
+  assert.equal(world.particles.filter(particle => particle.burstTag === 61).length, 0);
+});
+
+test('particles that were not emitted live on', () => {
+  const world = createFlatWorld();
+  world.lifecycle.regionRadius = 100;
+  addParticle(world, 300, 50, 0);
+
+  for (let i = 0; i < 60; i++) {
+    step(world, Object.assign({ lifespan: 0.1 }, CALM_PARAMS));
+  }
+  assert.equal(world.particles.length, 1);
+});
+
+test('placed force fields push particles during a step', () => {
+  const world = createFlatWorld();
+  const inReach = addParticle(world, 0, 50, 0);
+  const outOfReach = addParticle(world, 400, 50, 0);
+  const wind = { type: 'wind', enabled: true, x: 0, y: 50, z: 0, dx: 0, dy: 0, dz: 1, strength: 0.5, falloff: 100 };
+
+  step(world, Object.assign({ forceFields: [wind] }, CALM_PARAMS));
+  assert.ok(inReach.velocity.z > 0.4);
+  assert.ok(Math.abs(outOfReach.velocity.z) < 0.01);
+});
+
+test('advance runs whole fixed steps and renders between the last two', () => {
+  const world = createFlatWorld();
+  const particle = addParticle(world, 0, 50, 0, { x: 6 });
+
+  advance(world, CALM_PARAMS, FIXED_TIMESTEP * 2.5);
+
+  assert.ok(Math.abs(world.time - FIXED_TIMESTEP * 2) < 1e-9);
+  assert.ok(Math.abs(world.interpolation - 0.5) < 1e-9);
+  const { previousPosition, position, renderPosition } = particle;
+  assert.ok(Math.abs(renderPosition.x - (previousPosition.x + position.x) / 2) < 1e-9);
+  assert.ok(renderPosition.x > previousPosition.x && renderPosition.x < position.x);
+});
+
+test('the same time gives the same motion at any frame rate', () => {
+  const slow = createWorld({ seed: 3 });
+  const fast = createWorld({ seed: 3 });
+
+  // Start half a step in, so frame boundaries never land on a step boundary
+  advance(slow, {}, FIXED_TIMESTEP / 2);
+  advance(fast, {}, FIXED_TIMESTEP / 2);
+  for (let i = 0; i < 40; i++) {
+    advance(slow, {}, FIXED_TIMESTEP * 1.5);
+  }
+  for (let i = 0; i < 120; i++) {
+    advance(fast, {}, FIXED_TIMESTEP / 2);
+  }
+
+  assert.ok(Math.abs(slow.time - fast.time) < 1e-9);
+  assert.deepEqual(slow.particles.map(particle => particle.position), fast.particles.map(particle => particle.position));
+});
+
+test('a long frame is not caught up in full', () => {
+  const world = createFlatWorld();
+  advance(world, CALM_PARAMS, 10);
+
+  assert.ok(world.time < 1);
+});
+
+test('a synced impulse in a frame without a step fires on the next step', () => {
+  const world = createFlatWorld();
+  const particle = addParticle(world, 0, 50, 0);
+  const params = Object.assign({}, CALM_PARAMS, { randomness: 1, impulseSync: true });
+
+  advance(world, params, FIXED_TIMESTEP / 4);
+  assert.equal(world.time, 0);
+
+  const before = Object.assign({}, particle.velocity);
+  advance(world, Object.assign({}, params, { impulseSync: false }), FIXED_TIMESTEP);
+  const change = Math.hypot(
+    particle.velocity.x - before.x,
+    particle.velocity.y - before.y,
+    particle.velocity.z - before.z
+  );
+  assert.ok(change > 1);
+});
@@ -0,0 +1,169 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld, advance, FIXED_TIMESTEP } from '../src/simulation.js';
+import { runCommand, packState, createView, unpackState } from '../src/simulationProtocol.js';
+import { createSimulation } from '../src/simulationClient.js';
+
+function close(a, b) {
+  return Math.abs(a - b) < 1e-3; // Float32 precision
+}
+
+test('a packed state unpacks into a view of the world', () => {
+  const world = createWorld({ seed: 5, terrainResolution: 12 });
+  advance(world, {}, FIXED_TIMESTEP * 3);
+
+  const view = createView();
+  unpackState(view, packState(world, true).message);
+
+  assert.equal(view.particles.length, world.particles.length);
+  world.particles.forEach((particle, i) => {
+    const unpacked = view.particles[i];
+    assert.ok(close(unpacked.renderPosition.x, particle.renderPosition.x));
+    assert.ok(close(unpacked.renderPosition.y, particle.renderPosition.y));
+    assert.ok(close(unpacked.renderPosition.z, particle.renderPosition.z));
+    assert.ok(close(unpacked.size, particle.size));
+    assert.deepEqual(unpacked.color, particle.color);
+  });
+
+  assert.deepEqual(
+    view.connections.map(connection => [connection.from, connection.to]),
+    world.connections.map(connection => [connection.from, connection.to])
+  );
+
+  assert.equal(view.terrain.length, 12);
+  assert.ok(close(view.terrain[3][7].position.y, world.terrain[3][7].position.y));
+  assert.deepEqual(view.terrain[3][7].color, world.terrain[3][7].color);
+  assert.equal(view.terrainVersion, world.terrainVersion);
+  assert.equal(view.particleDensity, world.particleDensity);
+});
+
+test('a state without terrain keeps the terrain grid, and a new size replaces it', () => {
+  const world = createWorld({ seed: 5, terrainResolution: 12 });
+  const view = createView();
+  unpackState(view, packState(world, true).message);
+  const grid = view.terrain;
+
+  unpackState(view, packState(world, false).message);
+  assert.equal(view.terrain, grid);
+
+  runCommand(world, { type: 'updateTerrain', terrainResolution: 20 });
+  unpackState(view, packState(world, true).message);
+  assert.notEqual(view.terrain, grid);
+  assert.equal(view.terrain.length, 20);
+});
+
+test('a smaller state shortens the view', () => {
+  const world = createWorld({ seed: 5 });
+  const view = createView();
+  unpackState(view, packState(world, true).message);
+
+  runCommand(world, { type: 'rebuild', settings: { particleDensity: 0.2 } });
+  unpackState(view, packState(world, false).message);
+  assert.equal(view.particles.length, world.particles.length);
+  assert.equal(view.connections.length, world.connections.length);
+});
+
+test('commands change the world', () => {
+  const world = createWorld({ seed: 5 });
+
+  runCommand(world, { type: 'spawnBurst', x: 0, y: 50, count: 3, speed: 2, tag: 64 });
+  assert.equal(world.particlesToAdd.length, 3);
+  runCommand(world, { type: 'releaseBurst', tag: 64 });
+  assert.equal(world.particlesToAdd.length, 0);
+
+  runCommand(world, { type: 'setTerrainSettings', terrain: { living: true } });
+  assert.equal(world.terrainSettings.living, true);
+
+  const seed = runCommand(world, { type: 'regenerateTerrain' });
+  assert.equal(world.terrainSettings.seed, seed);
+
+  runCommand(world, { type: 'setLifecycle', lifecycle: { maxTerrainHits: 3 } });
+  assert.equal(world.lifecycle.maxTerrainHits, 3);
+  assert.equal(world.lifecycle.emitters.length, 3);
+
+  assert.throws(() => runCommand(world, { type: 'unknown' }), /Unknown simulation command/);
+});
+
+test('without Web Workers the simulation runs on the main thread', async () => {
+  const terrain = { generator: 'flat', generatorParams: {} };
+  const simulation = createSimulation({ seed: 9, terrain });
+  assert.equal(simulation.usesWorker, false);
+  assert.ok(simulation.view.particles.length > 0);
+
+  const count = simulation.countParticles();
+  simulation.spawnBurst(0, 50, 4, 2, 70);
+  assert.equal(simulation.countParticles(), count + 4);
+
+  simulation.advance({ impulseSync: null }, FIXED_TIMESTEP);
+  assert.equal(simulation.view.particles.length, count + 4);
+
+  const seed = await simulation.regenerateTerrain();
+  assert.equal(simulation.view.terrainSettings.seed, seed);
+  assert.equal(terrain.seed, undefined);
+});
+
+// Runs simulationWorker.js in this thread. Messages are held until flush(),
+// like a worker that is still busy.
+class FakeWorker {
+  constructor() {
+    this.inbox = [];
+    this.outbox = [];
+    this.posted = [];
+    FakeWorker.current = this;
+  }
+
+  postMessage(command) {
+    this.posted.push(command.type);
+    this.inbox.push(structuredClone(command));
+  }
+
+  flush() {
+    while (this.inbox.length > 0) {
+      self.onmessage({ data: this.inbox.shift() });
+    }
+    while (this.outbox.length > 0) {
+      this.onmessage({ data: this.outbox.shift() });
+    }
+  }
+
+  terminate() {}
+}
+
+test('the worker answers only state requests, and one advance is in flight at a time', async () => {
+  globalThis.self = { postMessage: message => FakeWorker.current.outbox.push(message) };
+  globalThis.Worker = FakeWorker;
+  try {
+    await import('../src/simulationWorker.js');
+    const simulation = createSimulation({ seed: 9, terrain: { generator: 'flat', generatorParams: {} } });
+    const worker = FakeWorker.current;
+    assert.equal(simulation.usesWorker, true);
+    worker.flush();
+    const count = simulation.countParticles();
+
+    simulation.advance({ impulseSync: null }, FIXED_TIMESTEP);
+    simulation.spawnBurst(0, 50, 4, 2, 70);
+    simulation.updateTerrain({ terrainResolution: 16 });
+    simulation.advance({ impulseSync: null }, FIXED_TIMESTEP);
+    assert.deepEqual(worker.posted, ['init', 'advance', 'spawnBurst', 'updateTerrain']);
+
+    // The first advance's state leaves the burst queued after it counted
+    worker.flush();
+    assert.equal(simulation.countParticles(), count + 4);
+    assert.equal(simulation.view.terrain.length, 30);
+
+    simulation.advance({ impulseSync: null }, FIXED_TIMESTEP);
+    worker.flush();
+    assert.equal(simulation.view.particles.length, count + 4);
+    assert.equal(simulation.view.terrain.length, 16);
+
+    // Without advances, a sync fetches the state once after a change
+    simulation.sync();
+    simulation.reset(3);
+    simulation.sync();
+    simulation.sync();
+    assert.deepEqual(worker.posted.slice(-3), ['advance', 'reset', 'sync']);
+  } finally {
+    delete globalThis.Worker;
+    delete globalThis.self;
+  }
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { forEachClosePair, findNearestNeighbors } from '../src/spatialGrid.js';
+import { createRandom } from '../src/random.js';
+
+// Same arithmetic as the grid, so the distances compare exactly
+function distanceBetween(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+// Points scattered through a box centred on the origin, so cells go negative too
+function scatter(seed, count, size) {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, () => ({
+    x: (random() - 0.5) * size,
+    y: (random() - 0.5) * size,
+    z: (random() - 0.5) * size
+  }));
+}
+
+// Points exactly on cell edges and corners for a cell size of 10, some of
+// them exactly 10 apart (not a close pair) and some just under
+function onCellBoundaries() {
+  const points = [];
+  for (const x of [-20, -10, 0, 10, 20]) {
+    for (const y of [-10, 0, 10]) {
+      points.push({ x, y, z: 0 });
+    }
+  }
+  points.push({ x: 9.999, y: 0, z: 0 }, { x: -0.001, y: -10, z: 10 }, { x: 10, y: 10, z: -10 });
+  return points;
+}
+
+function closePairs(positions, maxDistance) {
+  const pairs = [];
+  forEachClosePair(positions, maxDistance, (i, j, distance) => pairs.push([i, j, distance]));
+  return pairs.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+}
+
+function bruteClosePairs(positions, maxDistance) {
+  const pairs = [];
+  for (let i = 0; i < positions.length; i++) {
+    for (let j = i + 1; j < positions.length; j++) {
+      const distance = distanceBetween(positions[i], positions[j]);
+      if (distance < maxDistance) pairs.push([i, j, distance]);
+    }
+  }
+  return pairs;
+}
+
+// Distances only: points at the same distance may come in either order
+function neighborDistances(neighbors) {
+  return neighbors.map(list => list.map(neighbor => neighbor.distance));
+}
+
+function bruteNeighborDistances(positions, k) {
+  return positions.map((position, i) => positions
+    .filter((other, j) => j !== i)
+    .map(other => distanceBetween(position, other))
+    .sort((a, b) => a - b)
+    .slice(0, k));
+}
+
+test('close pairs match a brute-force search', () => {
+  const positions = scatter(7, 300, 400);
+  for (const maxDistance of [5, 30, 120]) {
+    assert.deepEqual(closePairs(positions, maxDistance), bruteClosePairs(positions, maxDistance));
+  }
+});
+
+test('close pairs across cell boundaries are all found, and pairs at the distance are not', () => {
+  const positions = onCellBoundaries();
+  const pairs = closePairs(positions, 10);
+
+  assert.deepEqual(pairs, bruteClosePairs(positions, 10));
+  assert.ok(pairs.every(([, , distance]) => distance < 10));
+  assert.deepEqual(closePairs(positions, 10.5), bruteClosePairs(positions, 10.5));
+});
+
+test('nearest neighbours match a brute-force search', () => {
+  const positions = scatter(11, 250, 600);
+  for (const k of [1, 4, 12]) {
+    const neighbors = findNearestNeighbors(positions, k);
+
+    assert.deepEqual(neighborDistances(neighbors), bruteNeighborDistances(positions, k));
+    neighbors.forEach((list, i) => list.forEach(({ index, distance }) => {
+      assert.notEqual(index, i);
+      assert.equal(distance, distanceBetween(positions[i], positions[index]));
+    }));
+  }
+});
+
+test('nearest neighbours on cell boundaries and in flat or lopsided sets match a brute-force search', () => {
+  const flat = scatter(3, 120, 500).map(position => Object.assign(position, { y: 0 }));
+  const lopsided = scatter(5, 100, 20).concat([{ x: 900, y: -400, z: 700 }]);
+
+  for (const positions of [onCellBoundaries(), flat, lopsided]) {
+    const neighbors = findNearestNeighbors(positions, 5);
+    assert.deepEqual(neighborDistances(neighbors), bruteNeighborDistances(positions, 5));
+  }
+});
+
+test('small inputs give no pairs and at most the other points as neighbours', () => {
+  assert.deepEqual(closePairs([{ x: 0, y: 0, z: 0 }], 10), []);
+  assert.deepEqual(closePairs(scatter(1, 5, 10), 0), []);
+  assert.deepEqual(findNearestNeighbors([{ x: 0, y: 0, z: 0 }], 3), [[]]);
+  assert.deepEqual(neighborDistances(findNearestNeighbors([{ x: 0, y: 0, z: 0 }, { x: 3, y: 4, z: 0 }], 3)), [[5], [5]]);
+});